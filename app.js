@@ -1,84 +1,46 @@
 import express, { response } from 'express';
 import dotenv from 'dotenv';
-import { GoogleGenAI } from '@google/genai';
-import fs from 'fs';
-import csvParser from 'csv-parser';
+import { fileURLToPath } from 'url';
+import {
+  analyzeAspects,
+  analyzeConversations,
+  analyzeSentiment,
+  analyzeTimeSeries,
+  analyzeTopics,
+  analyzeTrends,
+  compareAnalyses,
+  generateInsights,
+  generateSummary,
+} from './services/analyses.js';
+import { listProviders, resolveProvider } from './services/providers/index.js';
+import { usageMiddleware } from './services/usage.js';
+import { handleError } from './utils/errors.js';
+import datasetsRouter from './routes/datasets.js';
+import resultsRouter from './routes/results.js';
+import jobsRouter from './routes/jobs.js';
+import evaluationsRouter from './routes/evaluations.js';
+import templatesRouter from './routes/templates.js';
+import exportsRouter from './routes/exports.js';
+import translateRouter from './routes/translate.js';
+import usageRouter from './routes/usage.js';
+import watchesRouter from './routes/watches.js';
+import alertsRouter from './routes/alerts.js';
 
 dotenv.config();
 
 const app = express();
 app.use(express.json());
-
-const START_INDEX = 0; // Starting index for sampling rows from CSV
-const MAX_ROWS = 100; // Maximum number of rows to sample from CSV
-
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-
-// Function to parse CSV file
-async function parseCsv(filePath, startingIndex = 0, maxRows = 1000) {
-  if (!fs.existsSync(filePath)) {
-    throw new Error('CSV file not found.');
-  }
-
-  const rows = [];
-  await new Promise((resolve, reject) => {
-    fs.createReadStream(filePath)
-      .pipe(csvParser())
-      .on('data', (row) => rows.push(row))
-      .on('end', resolve)
-      .on('error', reject);
-  });
-
-  if (rows.length === 0) {
-    throw new Error('CSV file is empty.');
-  }
-
-  const endIndex = Math.min(startingIndex + maxRows, rows.length);
-  const sampleRows = rows.slice(startingIndex, endIndex);
-  return { rows, sampleRows };
-}
-
-// Function to estimate tokens
-function estimateTokens(compactCsv) {
-  return Math.ceil(compactCsv.length / 4) + 500;
-}
-
-// Function to handle errors
-function handleError(res, error) {
-  console.error('Error during CSV analysis:', error);
-  if (error.code === 'ENOENT') {
-    res.status(404).json({ error: 'India.csv file not found.' });
-  } else if (error.message.includes('token count exceeds')) {
-    res.status(400).json({ error: 'Input too large for model. Try a smaller CSV or increase sampling limit.' });
-  } else if (error.status === 400 && error.message.includes('response_schema')) {
-    res.status(400).json({ error: 'Schema validation failed—check config.', details: error.message });
-  } else {
-    res.status(500).json({ error: 'Failed to process CSV file with Gemini API.', details: error.message });
-  }
-}
-
-// Function to translate text using Gemini
-async function translateText(text, targetLanguage) {
-  if (!text || text.length === 0 || targetLanguage.toLowerCase() === 'english') {
-    return text;
-  }
-  
-  // Note: Using a minimal prompt here for brevity. Use the robust one from previous context for production.
-  const prompt = `Translate the following text into ${targetLanguage}. Return ONLY the translated text. Text to translate: ${text}`;
-
-  try {
-    const result = await ai.models.generateContent({
-      model: 'gemini-2.5-flash',
-      contents: [{ parts: [{ text: prompt }] }],
-      config: { temperature: 0.1 },
-    });
-    return result.text.trim();
-  } catch (error) {
-    console.error("Translation API error:", error);
-    return text;
-  }
-}
-
+app.use(usageMiddleware);
+app.use('/datasets', datasetsRouter);
+app.use('/results', resultsRouter);
+app.use('/jobs', jobsRouter);
+app.use('/evaluations', evaluationsRouter);
+app.use('/templates', templatesRouter);
+app.use('/exports', exportsRouter);
+app.use('/translate', translateRouter);
+app.use('/usage', usageRouter);
+app.use('/watches', watchesRouter);
+app.use('/alerts', alertsRouter);
 
 // Route for general chat
 // app.get('/gemini', async (req, res) => {
@@ -202,316 +164,100 @@ async function translateText(text, targetLanguage) {
 
 
 /**
- * Express endpoint to analyze the sentiment of 100 sampled tweets 
- * from India.csv using a 5-point scale and a Diplomat persona.
+ * Express endpoint to analyze the sentiment of tweets from a dataset (?datasetId=..., default India.csv)
+ * using a 5-point scale and a Diplomat persona.
+ * By default the 100 rows from START_INDEX are scored; ?start= and ?limit= pick another range and
+ * ?mode=full scores every row from start onwards. Rows are split into token-sized batches that run
+ * with bounded concurrency (?concurrency=).
+ * ?groupBy=language,hashtag adds per-group distributions (top ?groupLimit= groups per dimension, 0 for all).
+ * ?translate=true translates non-English tweets into English before scoring (also on the other
+ * sentiment-based routes). ?includeText=true adds each tweet's text and language to its result.
  */
 app.get('/analyze-multiple-tweets-sentiment', async (req, res) => {
     try {
-        const csvFilePath = './India.csv';
-        
-        // 1. Load the data, getting 100 sample rows (tweets)
-        // Ensure that rows are objects { id: '...', tweet: '...' }
-        const { rows, sampleRows } = await parseCsv(csvFilePath, START_INDEX, MAX_ROWS);
-
-        // Prepare the text data string for the prompt
-        const tweetDataString = sampleRows.map(row => 
-            // Using assumed object keys. Adjust indices (row[0], row[6]) if object keys aren't used.
-            `ID: ${row.id || row[0]} | TEXT: ${row.tweet || row[6]}`
-        ).join('\n');
-        
-        const totalSampledTweets = sampleRows.length;
-
-        // 2. Construct the PROMPT with the 5-point scale and strict rules
-        const prompt = [
-            {
-                parts: [
-                    {
-                        text: `**Role:** You are a **proud Indian** and a multilingual sentiment analysis expert. Your classification must reflect an informed, nuanced perspective focused on **national interest, cultural pride, and constructive commentary**.
-**CRITICAL CONSTRAINT: Do not return all 3s. The score distribution must reflect genuine positive and negative sentiment based on the rules and examples provided.**
-
-Analyze the sentiment for each of the ${totalSampledTweets} tweets provided below, regardless of the language.
-
-**Classification Rules (5-Point Scale):** You must classify the sentiment using a numerical score from 1 to 5.
-
-- **5 (STRONGLY POSITIVE):** Clear excitement, strong support, emphatic praise, or clear national pride/celebration.
-- **4 (SLIGHTLY POSITIVE):** Expresses mild approval, light optimism, satisfaction, or a subtle celebration.
-- **3 (NEUTRAL/INDETERMINATE): STRICTLY USE ONLY IF:** The tweet is a simple, non-editorialized announcement or purely data-driven factual statement. If you sense any trace of approval, dissatisfaction, or implied political/cultural stance, DO NOT use 3.
-- **2 (SLIGHTLY NEGATIVE):** Expresses mild concern, constructive criticism, or minor dissatisfaction.
-- **1 (STRONGLY NEGATIVE):** Clear outrage, strong condemnation, significant fear, or deep pessimism.
-
-**FEW-SHOT EXAMPLES (MUST FOLLOW THIS SCORING LOGIC):**
-ID: X1 | TEXT: The inauguration of the new highway is a major step forward for connectivity! -> SCORE: 5
-ID: X2 | TEXT: The new tax policy seems a bit confusing, will it affect small businesses? -> SCORE: 2
-ID: X3 | TEXT: Today, PM Modi met with global leaders at the G20 summit in Delhi. -> SCORE: 3
-ID: X4 | TEXT: Very disappointing to see the poor sanitation in my city's public park. Needs urgent attention. -> SCORE: 1
-ID: X5 | TEXT: Feeling good about the upcoming reforms; a step in the right direction. -> SCORE: 4
-
-Return ONLY a single JSON object containing an array of results. The output must adhere strictly to the provided JSON Schema.
-
-**Example JSON Structure (MUST be followed):**
-{
-  "sentiments": [
-    { "id": "X1", "sentiment_score": 5 },
-    { "id": "X2", "sentiment_score": 2 }
-    // ... all 100 results must follow this pattern
-  ]
-}
-
-Tweet Data (ID | TEXT):
----
-${tweetDataString}
----`,
-                    },,
-                ],
-            },
-        ];
-
-        // 3. Define the CORRECTED Structured Output Schema
-        const multiSentimentSchema = {
-            type: 'object',
-            properties: {
-                sentiments: {
-                    type: 'array',
-                    description: `A list of ${totalSampledTweets} sentiment score results.`,
-                    // FIX IS HERE: The array 'items' must be a valid schema for an object
-                    items: { 
-                        type: 'object',
-                        properties: {
-                            id: { type: 'string', description: 'The original ID of the tweet.' },
-                            sentiment_score: { 
-                                type: 'integer', // Numerical score 1-5
-                                description: 'The classified sentiment score (1=Strongly Negative, 5=Strongly Positive).',
-                                minimum: 1, 
-                                maximum: 5  
-                            },
-                        },
-                        required: ['id', 'sentiment_score']
-                    },
-                },
-            },
-            required: ['sentiments'],
-            additionalProperties: false,
-        };
-
-
-        // 4. Call the Gemini API
-        const result = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: prompt,
-            config: {
-                temperature: 0.3, 
-                responseMimeType: 'application/json',
-                responseSchema: multiSentimentSchema, // Use the corrected schema
-            },
-        });
-
-        // 5. Parse and return the results
-        const responseText = result.text;
-        
-        if (!responseText) {
-            return res.status(500).json({ error: 'Gemini returned empty response.' });
-        }
-
-        let sentimentResults;
-        try {
-            sentimentResults = JSON.parse(responseText);
-        } catch (parseError) {
-            // Handle cases where the model might still produce malformed JSON
-            console.error('Failed to parse JSON response:', responseText, parseError);
-            return res.status(500).json({
-                error: 'Gemini returned invalid JSON format. Check raw output.',
-                geminiResponse: responseText
-            });
-        }
-
-        const analysisSummary = {
-            1: { count: 0, percentage: 0 },
-            2: { count: 0, percentage: 0 },
-            3: { count: 0, percentage: 0 },
-            4: { count: 0, percentage: 0 },
-            5: { count: 0, percentage: 0 }
-        };
-
-        const sentiments = sentimentResults.sentiments || [];
-        const actualCount = sentiments.length;
-
-        if (actualCount > 0) {
-            // 5a. Calculate the count for each score
-            sentiments.forEach(item => {
-                const score = item.sentiment_score;
-                if (score >= 1 && score <= 5) {
-                    analysisSummary[score].count += 1;
-                }
-            });
-
-            // 5b. Calculate the percentage for each score
-            for (const score in analysisSummary) {
-                const count = analysisSummary[score].count;
-                // Round percentage to 2 decimal places
-                analysisSummary[score].percentage = parseFloat(((count / actualCount) * 100).toFixed(2));
-            }
-        }
-
-        res.json({
-            count: actualCount, // Use the actual count of results
-            summary: analysisSummary, 
-            results: sentiments // Rename for clarity
-        });
+        res.json(await analyzeSentiment(req.query));
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+
+/**
+ * Express endpoint for sentiment over time: scores the dated tweets of a dataset and buckets them
+ * by ?interval=hour|day|week (default day) in ?timezone= (IANA name, default UTC).
+ * ?from= and ?to= (ISO 8601) limit the date range. Scores the whole dataset unless ?mode=sample.
+ */
+app.get('/analyze-sentiment-timeseries', async (req, res) => {
+    try {
+        res.json(await analyzeTimeSeries(req.query));
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+
+/**
+ * Express endpoint for thread-level sentiment: groups tweets by conversation_id and reports, per
+ * thread, the root tweet's score, the replies' aggregate score and whether the thread drifted.
+ * Scores the whole dataset unless ?mode=sample. ?minReplies= (default 1) drops short threads,
+ * ?sort=disagreement puts threads whose replies most disagree with the root first, and
+ * ?threadLimit= (default 50, 0 for all) caps the number of threads returned.
+ */
+app.get('/analyze-conversations', async (req, res) => {
+    try {
+        res.json(await analyzeConversations(req.query));
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+
+/**
+ * Express endpoint for aspect-level sentiment: extracts the entities, hashtags and topics each
+ * tweet talks about, scores the sentiment toward each one and aggregates per target across the
+ * scored rows (mentions, mean score, 1-5 distribution). Same row range options as
+ * /analyze-multiple-tweets-sentiment. ?minMentions= (default 1) and ?targetLimit= (default 50,
+ * 0 for all) trim the target list; ?target=USA returns only that target with its mentions.
+ */
+app.get('/analyze-aspects', async (req, res) => {
+    try {
+        res.json(await analyzeAspects(req.query));
+    } catch (error) {
+        handleError(res, error);
+    }
+});
 
+
+/**
+ * Express endpoint for topic clustering: groups the tweets into up to ?topicCount= (default 8)
+ * topics, names each one and reports its size, keywords, ?examples= (default 3) representative
+ * tweets and sentiment distribution; every scored result carries its topic id. Scores the whole
+ * dataset unless ?mode=sample, after the usual filters; ?topic=topic-2 also lists that topic's tweets.
+ */
+app.get('/analyze-topics', async (req, res) => {
+    try {
+        res.json(await analyzeTopics(req.query));
     } catch (error) {
         handleError(res, error);
     }
 });
 
 
-// Define a route to trigger the trend analysis of the local CSV file
+// Define a route to trigger the trend analysis of the local CSV file (?lang= translates the trends;
+// ?topics=true draws them from the dataset's topics, citing topic and tweet ids)
 app.get('/analyze-trends-india-csv', async (req, res) => {
     try {
-        // Get the requested translation language from the query parameter
-        const targetLanguage = req.query.lang;
-        
-        const csvFilePath = './India.csv';
-        // Ensure parseCsv is available and correctly implemented
-        const { rows, sampleRows } = await parseCsv(csvFilePath, START_INDEX, MAX_ROWS);
-
-        // --- 1. Define the CORRECTED JSON structure for the prompt ---
-        // We are aiming for a list of objects, not a list of quoted strings.
-        const analysisPrompt = [
-            {
-                parts: [
-                    {
-                        text: `Analyze the trends in the following tweeter CSV data:
-
-${sampleRows.map((row) => Object.values(row).join(',')).join('\n')}
-
-Identify 2-3 significant trends. Return the trends with their description in ENGLISH ONLY in the following JSON format:
-
-{
-  "trends": [
-    { "title": "Trend Title 1", "description": "Detailed description of the first trend." },
-    { "title": "Trend Title 2", "description": "Detailed description of the second trend." }
-  ]
-}`,
-                    },
-                ],
-            },
-        ];
-
-        // --- 2. Define the CORRECTED JSON Schema ---
-        const analysisResponseSchema = {
-            type: 'object',
-            properties: {
-                trends: {
-                    type: 'array',
-                    description: 'A list of key trends identified in the data.',
-                    items: {
-                        type: 'object',
-                        properties: {
-                            title: { type: 'string', description: 'A concise title for the trend.' },
-                            description: { type: 'string', description: 'A detailed explanation of the trend.' },
-                        },
-                        required: ['title', 'description']
-                    },
-                },
-            },
-            required: ['trends'],
-        };
-
-        // --- 3. Call the Gemini API for Analysis ---
-        const result = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: analysisPrompt,
-            config: {
-                temperature: 0.1,
-                responseMimeType: 'application/json',
-                responseSchema: analysisResponseSchema,
-            },
-        });
-
-        const responseText = result.text;
-        // Parse the JSON response from the model
-        let trendsResult = JSON.parse(responseText);
-
-        // --- 4. Optional: Translate the results if a targetLanguage is provided ---
-        if (targetLanguage && targetLanguage.toLowerCase() !== 'english') {
-            const translatedTrends = [];
-            
-            // Loop through each trend object
-            for (const trend of trendsResult.trends) {
-                const translatedTitle = await translateText(trend.title, targetLanguage);
-                const translatedDescription = await translateText(trend.description, targetLanguage);
-                
-                translatedTrends.push({
-                    title: translatedTitle,
-                    description: translatedDescription
-                });
-            }
-            // Replace the English trends with the translated ones
-            trendsResult.trends = translatedTrends;
-        }
-
-        // --- 5. Send the final response ---
-        res.json(trendsResult);
+        res.json(await analyzeTrends(req.query));
     } catch (error) {
-        console.error('Error in /analyze-trends-india-csv:', error);
-        res.status(500).json({ message: 'Internal Server Error', error: error.message });
+        handleError(res, error);
     }
 });
 
 
-// Define a route to trigger the insight generation of the local CSV file
+// Define a route to trigger the insight generation of the local CSV file (?topics=true as for trends)
 app.get('/generate-insights-india-csv', async (req, res) => {
   try {
-    const csvFilePath = './India.csv';
-    const { rows, sampleRows } = await parseCsv(csvFilePath, START_INDEX, MAX_ROWS);
-    const lang = req.query.lang || 'english';
-
-    const prompt = [
-      {
-        parts: [
-          {
-            text: `Generate insights from the following tweeter CSV data:
-
-${sampleRows.map((row) => Object.values(row).join(',')).join('\n')}
-
-Return the insights in the following JSON format:
-
-{
-  "insights": ["Insight 1: Notable trend or observation.", "Insight 2: Any shift in data or unusual pattern."]
-}`,
-          },
-        ],
-      },
-    ];
-
-    const result = await ai.models.generateContent({
-      model: 'gemini-2.5-flash',
-      contents: prompt,
-      config: {
-        responseMimeType: 'application/json',
-        responseSchema: {
-          type: 'object',
-          properties: {
-            insights: {
-              type: 'array',
-              items: {
-                type: 'string',
-              },
-            },
-          },
-        },
-      },
-    });
-
-    const responseText = result.text;
-    const insights = JSON.parse(responseText).insights;
-
-    if (lang.toLowerCase() !== 'english') {
-      const translatedInsights = await Promise.all(insights.map((insight) => translateText(insight, lang)));
-      res.json({ insights: translatedInsights });
-    } else {
-      res.json({ insights });
-    }
+    res.json(await generateInsights(req.query));
   } catch (error) {
     handleError(res, error);
   }
@@ -521,63 +267,36 @@ Return the insights in the following JSON format:
 // Define a route to trigger the summary generation of the local CSV file
 app.get('/generate-summary-india-csv', async (req, res) => {
   try {
-    const csvFilePath = './India.csv';
-    const { rows, sampleRows } = await parseCsv(csvFilePath, START_INDEX, MAX_ROWS);
-    const lang = req.query.lang || 'english';
-
-    const prompt = [
-      {
-        parts: [
-          {
-            text: `Generate a short summary of the key findings from the following tweeter CSV data:
-
-${sampleRows.map((row) => Object.values(row).join(',')).join('\n')}
-
-Return the summary in the following JSON format:
-
-{
-  "summary": "Short overall summary of key findings from the data."
-}`,
-          },
-        ],
-      },
-    ];
-
-    const result = await ai.models.generateContent({
-      model: 'gemini-2.5-flash',
-      contents: prompt,
-      config: {
-        responseMimeType: 'application/json',
-        responseSchema: {
-          type: 'object',
-          properties: {
-            summary: {
-              type: 'string',
-            },
-          },
-        },
-      },
-    });
-
-    const responseText = result.text;
-    const summary = JSON.parse(responseText).summary;
-
-    if (lang.toLowerCase() !== 'english') {
-      const translatedSummary = await translateText(summary, lang);
-      res.json({ summary: translatedSummary });
-    } else {
-      res.json({ summary });
-    }
+    res.json(await generateSummary(req.query));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+/**
+ * Express endpoint comparing two datasets or time windows. Parameters prefixed with "a." or "b."
+ * describe one side (a.datasetId=, b.from=, b.to=, a.label=, ...) and unprefixed ones apply to
+ * both. Returns distribution deltas (B minus A), significant shifts per language and hashtag
+ * (?alpha=, ?minCount=), topics that appeared or disappeared and a summary translatable with ?lang=.
+ */
+app.get('/compare', async (req, res) => {
+  try {
+    res.json(await compareAnalyses(req.query));
   } catch (error) {
     handleError(res, error);
   }
 });
 
 
-// Update the welcome route to include the new endpoint
-app.get('/', (req, res) => {
-  res.send('<h1>Gemini API Demo</h1><p>Visit <a href="/gemini">/gemini</a> for a quick chat or <a href="/count-sentiment-india-csv">/count-sentiment-india-csv</a> to get the sentiment counts or <a href="/generate-insights-india-csv">/generate-insights-india-csv</a> to get insights or <a href="/generate-summary-india-csv">/generate-summary-india-csv</a> to get summary.</p>');
+// List the model providers that can be selected with ?provider=
+app.get('/providers', (req, res) => {
+  res.json({ providers: listProviders(), default: resolveProvider().info });
 });
 
 
+// Serve the dashboard (public/index.html) at / along with its script and stylesheet
+app.use(express.static(fileURLToPath(new URL('./public', import.meta.url))));
+
+
 export default app;
\ No newline at end of file
@@ -1,9 +1,13 @@
 import dotenv from 'dotenv';
 import app from './app.js';
+import { resumeJobs } from './services/jobs.js';
 
 dotenv.config();
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}. Access it at http://localhost:${PORT}`);
-});
\ No newline at end of file
+  resumeJobs()
+    .then((count) => count > 0 && console.log(`Resumed ${count} unfinished job(s).`))
+    .catch((error) => console.error('Failed to resume jobs:', error));
+});
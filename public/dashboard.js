@@ -0,0 +1,341 @@
+// Dashboard for the analysis routes: reads the controls, calls the JSON API and renders the
+// responses as charts, lists and a searchable table. No build step and no third-party code.
+
+const SCORES = [1, 2, 3, 4, 5];
+const SCORE_LABELS = {
+  1: 'Strongly negative',
+  2: 'Negative',
+  3: 'Neutral',
+  4: 'Positive',
+  5: 'Strongly positive',
+};
+const PAGE_SIZE = 25;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const form = document.getElementById('controls');
+const table = { rows: [], page: 0 };
+
+// Function to create an element; children are nodes or strings (always inserted as text)
+function element(tag, attributes = {}, children = []) {
+  const node = document.createElement(tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    if (name === 'style') {
+      Object.assign(node.style, value);
+    } else {
+      node.setAttribute(name, value);
+    }
+  }
+  node.append(...children);
+  return node;
+}
+
+function svgElement(tag, attributes = {}, text) {
+  const node = document.createElementNS(SVG_NS, tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    node.setAttribute(name, value);
+  }
+  if (text !== undefined) {
+    node.textContent = text;
+  }
+  return node;
+}
+
+function scoreColour(score) {
+  return `var(--score-${score})`;
+}
+
+function setStatus(message, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+function showEmpty(id, message) {
+  document.getElementById(id).replaceChildren(element('p', { class: 'empty' }, [message]));
+}
+
+// Function to call a GET route of the API and return its JSON, throwing the API's error message
+async function getJson(path, params = {}) {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== ''));
+  const response = await fetch(`${path}?${query}`);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `${path} failed with status ${response.status}`);
+  }
+  return body;
+}
+
+// Function to read the controls into the query parameters shared by every analysis
+function requestParams() {
+  const values = Object.fromEntries(new FormData(form));
+  const params = {
+    datasetId: values.datasetId,
+    provider: values.provider,
+    language: values.language,
+    hashtag: values.hashtag,
+    keyword: values.keyword,
+    from: values.from,
+    // The date picker's end day is inclusive; ?to= is exclusive, so send the next day
+    to: values.to ? new Date(Date.parse(values.to) + 86400000).toISOString().slice(0, 10) : '',
+    sampling: values.sampling,
+    limit: values.limit,
+  };
+  if (values.sampling === 'random' || values.sampling === 'stratified') {
+    params.seed = values.seed;
+  }
+  return params;
+}
+
+async function loadOptions() {
+  const [{ datasets }, { providers, default: fallback }, { languages }] = await Promise.all([
+    getJson('/datasets'),
+    getJson('/providers'),
+    getJson('/translate/languages'),
+  ]);
+
+  const datasetSelect = document.getElementById('dataset');
+  datasetSelect.replaceChildren(
+    element('option', { value: '' }, ['Default (India.csv)']),
+    ...datasets.map((dataset) => element('option', { value: dataset.id }, [`${dataset.name} (${dataset.rowCount} rows)`])),
+  );
+
+  const providerSelect = document.getElementById('provider');
+  providerSelect.replaceChildren(...providers.map(({ name, defaultModel }) => element('option', { value: name }, [`${name} (${defaultModel})`])));
+  providerSelect.value = fallback.name;
+
+  document.getElementById('lang').replaceChildren(
+    ...languages.map(({ code, name, native }) => element('option', { value: code }, [native ? `${name} – ${native}` : name])),
+  );
+}
+
+// Function to draw the 1-5 distribution as a bar chart
+function renderDistribution(summary) {
+  const width = 420;
+  const height = 220;
+  const barWidth = 56;
+  const top = 20;
+  const chartHeight = 150;
+  const maxCount = Math.max(1, ...SCORES.map((score) => summary[score].count));
+  const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': 'Score distribution' });
+
+  SCORES.forEach((score, index) => {
+    const { count, percentage } = summary[score];
+    const barHeight = (count / maxCount) * chartHeight;
+    const x = 30 + index * (barWidth + 22);
+    const bar = svgElement('rect', { x, y: top + chartHeight - barHeight, width: barWidth, height: barHeight, rx: 3, style: `fill: ${scoreColour(score)}` });
+    bar.append(svgElement('title', {}, `${SCORE_LABELS[score]}: ${count} tweets (${percentage}%)`));
+    svg.append(
+      bar,
+      svgElement('text', { x: x + barWidth / 2, y: top + chartHeight - barHeight - 5, 'text-anchor': 'middle' }, `${count} (${percentage}%)`),
+      svgElement('text', { x: x + barWidth / 2, y: top + chartHeight + 16, 'text-anchor': 'middle' }, String(score)),
+      svgElement('text', { x: x + barWidth / 2, y: top + chartHeight + 30, 'text-anchor': 'middle' }, SCORE_LABELS[score]),
+    );
+  });
+  document.getElementById('distribution').replaceChildren(svg);
+}
+
+// Function to draw the mean score per day as a line over a bar chart of tweet counts
+function renderTimeSeries(series) {
+  if (series.length === 0) {
+    showEmpty('timeseries', 'None of the scored tweets have a date.');
+    return;
+  }
+  const width = 420;
+  const height = 220;
+  const left = 30;
+  const right = 30;
+  const top = 15;
+  const chartHeight = 160;
+  const step = (width - left - right) / series.length;
+  const maxCount = Math.max(...series.map((bucket) => bucket.count));
+  const y = (score) => top + chartHeight - ((score - 1) / 4) * chartHeight;
+  const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': 'Mean score per day' });
+
+  for (const score of SCORES) {
+    svg.append(
+      svgElement('line', { x1: left, x2: width - right, y1: y(score), y2: y(score), stroke: '#eef2f7' }),
+      svgElement('text', { x: left - 8, y: y(score) + 4, 'text-anchor': 'end' }, String(score)),
+    );
+  }
+  const points = series.map((bucket, index) => {
+    const x = left + step * index + step / 2;
+    const barHeight = (bucket.count / maxCount) * (chartHeight / 3);
+    const bar = svgElement('rect', { x: x - step * 0.3, y: top + chartHeight - barHeight, width: step * 0.6, height: barHeight, fill: '#d9e2ec' });
+    bar.append(svgElement('title', {}, `${bucket.bucket}: ${bucket.count} tweets, mean ${bucket.meanScore}`));
+    svg.append(bar);
+    if (series.length <= 14 || index % Math.ceil(series.length / 7) === 0) {
+      svg.append(svgElement('text', { x, y: top + chartHeight + 16, 'text-anchor': 'middle' }, bucket.bucket.slice(5)));
+    }
+    return `${x},${y(bucket.meanScore)}`;
+  });
+  svg.append(svgElement('polyline', { points: points.join(' '), style: 'fill: none; stroke: var(--accent); stroke-width: 2' }));
+  points.forEach((point, index) => {
+    const [cx, cy] = point.split(',');
+    const dot = svgElement('circle', { cx, cy, r: 3.5, style: 'fill: var(--accent)' });
+    dot.append(svgElement('title', {}, `${series[index].bucket}: mean ${series[index].meanScore} over ${series[index].count} tweets`));
+    svg.append(dot);
+  });
+  document.getElementById('timeseries').replaceChildren(svg);
+}
+
+// Function to render a stacked bar of the 1-5 shares of a group
+function stackedBar(summary) {
+  return element('div', { class: 'stack' }, SCORES
+    .filter((score) => summary[score].percentage > 0)
+    .map((score) => element('span', {
+      title: `${SCORE_LABELS[score]}: ${summary[score].count} (${summary[score].percentage}%)`,
+      style: { width: `${summary[score].percentage}%`, background: scoreColour(score) },
+    })));
+}
+
+function renderLanguages(groups) {
+  if (!groups || groups.length === 0) {
+    showEmpty('languages', 'No language information in this dataset.');
+    return;
+  }
+  const rows = groups.map((group) => element('tr', {}, [
+    element('td', {}, [group.value]),
+    element('td', {}, [`${group.count} (${group.share}%)`]),
+    element('td', {}, [String(group.meanScore)]),
+    element('td', {}, [stackedBar(group.summary)]),
+  ]));
+  document.getElementById('languages').replaceChildren(element('table', {}, [
+    element('thead', {}, [element('tr', {}, ['Language', 'Tweets', 'Mean', 'Scores'].map((name) => element('th', {}, [name])))]),
+    element('tbody', {}, rows),
+  ]));
+}
+
+function renderSelection({ selection, ingestion, provider, template, rows }) {
+  const parts = [
+    `${rows.scored} of ${selection.matched} matching tweets scored by ${provider.name} (${provider.model}) with ${template.id}.`,
+  ];
+  if (selection.sampling.seed !== null) {
+    parts.push(`Sample seed ${selection.sampling.seed}.`);
+  }
+  if (ingestion && ingestion.malformed > 0) {
+    parts.push(`${ingestion.malformed} malformed rows were skipped.`);
+  }
+  document.getElementById('selection').textContent = parts.join(' ');
+}
+
+// Function to warn when some texts could not be translated and are shown in English
+function translationWarning(translation) {
+  if (!translation || translation.failed === 0) {
+    return [];
+  }
+  return [element('p', { class: 'warning' }, [
+    `${translation.failed} text(s) could not be translated into ${translation.language.name} and are shown in English.`,
+  ])];
+}
+
+function renderTable() {
+  const query = document.getElementById('search').value.trim().toLowerCase();
+  const score = document.getElementById('score-filter').value;
+  const matches = table.rows.filter((row) => (!score || String(row.sentiment_score) === score)
+    && (!query || [row.text, row.translatedText, row.id, row.language].some((value) => value && value.toLowerCase().includes(query))));
+  const pages = Math.max(1, Math.ceil(matches.length / PAGE_SIZE));
+  table.page = Math.min(table.page, pages - 1);
+
+  const body = document.getElementById('tweets');
+  const visible = matches.slice(table.page * PAGE_SIZE, (table.page + 1) * PAGE_SIZE);
+  if (visible.length === 0) {
+    body.replaceChildren(element('tr', {}, [element('td', { colspan: 4, class: 'empty' }, [table.rows.length ? 'No tweets match.' : 'No scored tweets.'])]));
+  } else {
+    body.replaceChildren(...visible.map((row) => element('tr', {}, [
+      element('td', {}, [element('span', { class: 'score', title: SCORE_LABELS[row.sentiment_score], style: { background: scoreColour(row.sentiment_score) } }, [String(row.sentiment_score)])]),
+      element('td', {}, [row.language || '']),
+      element('td', {}, row.translatedText ? [row.text, element('br'), element('em', {}, [row.translatedText])] : [row.text || '']),
+      element('td', {}, [row.id]),
+    ])));
+  }
+  document.getElementById('table-count').textContent = `${matches.length} of ${table.rows.length} tweets`;
+  document.getElementById('page').textContent = `Page ${table.page + 1} of ${pages}`;
+  document.getElementById('previous').disabled = table.page === 0;
+  document.getElementById('next').disabled = table.page >= pages - 1;
+}
+
+// The analyses the buttons run; each renders its own panels
+const RUNS = {
+  async sentiment(params) {
+    const response = await getJson('/analyze-multiple-tweets-sentiment', { ...params, groupBy: 'language', includeText: 'true' });
+    // Pin a server-drawn seed so the other analyses look at the same sample
+    const seedInput = form.elements.seed;
+    if (response.selection.sampling.seed !== null && !seedInput.value) {
+      seedInput.value = response.selection.sampling.seed;
+    }
+    renderDistribution(response.summary);
+    renderSelection(response);
+    renderLanguages(response.groups && response.groups.language);
+    table.rows = response.results;
+    table.page = 0;
+    renderTable();
+
+    try {
+      const timeseries = await getJson('/analyze-sentiment-timeseries', { ...requestParams(), mode: 'sample', interval: 'day' });
+      renderTimeSeries(timeseries.series);
+    } catch (error) {
+      showEmpty('timeseries', error.message);
+    }
+  },
+
+  async trends(params) {
+    const { trends, translation } = await getJson('/analyze-trends-india-csv', params);
+    document.getElementById('trends').replaceChildren(
+      ...translationWarning(translation),
+      ...trends.map((trend) => element('div', {}, [element('h3', {}, [trend.title]), element('p', {}, [trend.description])])),
+    );
+  },
+
+  async insights(params) {
+    const { insights, translation } = await getJson('/generate-insights-india-csv', params);
+    document.getElementById('insights').replaceChildren(
+      ...translationWarning(translation),
+      element('ul', {}, insights.map((insight) => element('li', {}, [insight]))),
+    );
+  },
+
+  async summary(params) {
+    const { summary, translation } = await getJson('/generate-summary-india-csv', params);
+    document.getElementById('summary').replaceChildren(...translationWarning(translation), element('p', {}, [summary]));
+  },
+};
+
+async function run(names) {
+  const buttons = form.querySelectorAll('button');
+  buttons.forEach((button) => { button.disabled = true; });
+  const failures = [];
+  try {
+    // Sentiment goes first so that a seed it draws is reused by the text analyses
+    const groups = [names.filter((name) => name === 'sentiment'), names.filter((name) => name !== 'sentiment')];
+    for (const group of groups.filter((group) => group.length > 0)) {
+      setStatus(`Running ${group.join(', ')}…`);
+      const params = { ...requestParams(), lang: form.elements.lang.value };
+      await Promise.all(group.map((name) => RUNS[name]({ ...params, ...(name === 'sentiment' && { lang: undefined }) })
+        .catch((error) => failures.push(`${name}: ${error.message}`))));
+    }
+  } finally {
+    buttons.forEach((button) => { button.disabled = false; });
+  }
+  if (failures.length > 0) {
+    setStatus(failures.join(' · '), true);
+  } else {
+    setStatus(`Finished at ${new Date().toLocaleTimeString()}.`);
+  }
+}
+
+form.addEventListener('submit', (event) => {
+  event.preventDefault();
+  run(Object.keys(RUNS));
+});
+form.querySelectorAll('button[data-run]:not([data-run="all"])').forEach((button) => {
+  button.addEventListener('click', () => run([button.dataset.run]));
+});
+form.elements.sampling.addEventListener('change', () => { form.elements.seed.value = ''; });
+document.getElementById('search').addEventListener('input', () => { table.page = 0; renderTable(); });
+document.getElementById('score-filter').addEventListener('change', () => { table.page = 0; renderTable(); });
+document.getElementById('previous').addEventListener('click', () => { table.page -= 1; renderTable(); });
+document.getElementById('next').addEventListener('click', () => { table.page += 1; renderTable(); });
+
+loadOptions()
+  .then(() => setStatus('Ready.'))
+  .catch((error) => setStatus(`Could not load the datasets and providers: ${error.message}`, true));
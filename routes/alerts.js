@@ -0,0 +1,24 @@
+import express from 'express';
+import { getAlert, listAlerts } from '../services/alerts.js';
+import { handleError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Alert history, newest first (?watchId=, ?datasetId=, ?type=drop|spike, ?from=, ?to=, ?limit=)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listAlerts(req.query));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getAlert(req.params.id));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import { appendToDataset, createDataset, deleteDataset, getDataset, listDatasets, previewDataset } from '../services/datasets.js';
+import { invalidateResults } from '../services/resultStore.js';
+import { checkDatasetWatches } from '../services/watches.js';
+import { handleError } from '../utils/errors.js';
+import { discardUpload, parseJsonField, receiveDataFile } from '../utils/upload.js';
+
+const router = express.Router();
+
+// Upload a CSV, TSV, JSON Lines or JSON file as a new dataset (multipart field "file", optional
+// "name" and JSON "columns")
+router.post('/', async (req, res) => {
+  try {
+    const file = await receiveDataFile(req, res);
+    if (!file) {
+      return res.status(400).json({ error: 'Please upload a CSV, TSV, JSON Lines or JSON file in the "file" field.' });
+    }
+
+    const columns = parseJsonField(req.body.columns, 'columns');
+    const dataset = await createDataset({
+      filePath: file.path,
+      originalName: file.originalname,
+      name: req.body.name,
+      columns,
+    });
+    res.status(201).json(dataset);
+  } catch (error) {
+    await discardUpload(req.file);
+    handleError(res, error);
+  }
+});
+
+// Append the rows of another file (multipart field "file", any input format) to a dataset; the
+// dataset's watches are then checked in the background
+router.post('/:id/rows', async (req, res) => {
+  try {
+    const file = await receiveDataFile(req, res);
+    if (!file) {
+      return res.status(400).json({ error: 'Please upload a CSV, TSV, JSON Lines or JSON file in the "file" field.' });
+    }
+    const { dataset, appended } = await appendToDataset(req.params.id, { filePath: file.path, originalName: file.originalname });
+    res.json({ ...dataset, appended, checkingWatches: await checkDatasetWatches(dataset.id) });
+  } catch (error) {
+    handleError(res, error);
+  } finally {
+    await discardUpload(req.file);
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ datasets: await listDatasets() });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const dataset = await getDataset(req.params.id);
+    const preview = await previewDataset(req.params.id, Number(req.query.preview) || 5);
+    res.json({ ...dataset, preview });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const dataset = await deleteDataset(req.params.id);
+    const removedResults = await invalidateResults({ datasetId: dataset.id });
+    res.json({ deleted: dataset.id, removedResults });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import path from 'path';
+import { resolveDatasetSource } from '../services/datasets.js';
+import { getEvaluation, listEvaluations, runEvaluation } from '../services/evaluation.js';
+import { detectFormat } from '../services/ingest.js';
+import { handleError } from '../utils/errors.js';
+import { discardUpload, parseJsonField, receiveDataFile } from '../utils/upload.js';
+
+const router = express.Router();
+
+// Evaluate the sentiment prompt against a labelled file (CSV, TSV, JSON Lines or JSON): either an upload in "file" or an existing
+// "datasetId". Optional fields: "variants" (JSON array of { provider, model, template }),
+// "goldColumn", "name" and JSON "columns".
+router.post('/', async (req, res) => {
+  let file;
+  try {
+    file = await receiveDataFile(req, res);
+    const { datasetId, goldColumn, name } = req.body || {};
+    if (!file && !datasetId) {
+      return res.status(400).json({ error: 'Upload a labelled file in the "file" field or pass a "datasetId".' });
+    }
+
+    const source = file
+      ? { filePath: file.path, format: await detectFormat(file.path, file.originalname), columns: parseJsonField(req.body.columns, 'columns') }
+      : await resolveDatasetSource(datasetId);
+    const evaluation = await runEvaluation({
+      filePath: source.filePath,
+      format: source.format,
+      name: name || (file && path.parse(file.originalname).name),
+      columns: source.columns,
+      goldColumn,
+      variants: parseJsonField(req.body.variants, 'variants'),
+    });
+    res.status(201).json(evaluation);
+  } catch (error) {
+    handleError(res, error);
+  } finally {
+    await discardUpload(file);
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ evaluations: await listEvaluations() });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getEvaluation(req.params.id));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { buildReport, prepareTweetExport } from '../services/exports.js';
+import { handleError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Download a dataset's rows with their stored scores: ?datasetId=&format=csv|ndjson|xlsx
+// plus the ?provider=, ?model= and ?template= the tweets were scored with
+router.get('/tweets', async (req, res) => {
+  try {
+    const exported = await prepareTweetExport(req.query);
+    res.attachment(exported.fileName);
+    res.type(exported.contentType);
+    res.set('X-Scored-Tweets', String(exported.scored));
+    await pipeline(Readable.from(exported.chunks), res);
+  } catch (error) {
+    // Once streaming has started the status is sent; pipeline has already closed the response
+    if (res.headersSent) {
+      console.error('Export failed while streaming:', error);
+      return;
+    }
+    handleError(res, error);
+  }
+});
+
+// Download the trends, insights and summary of a dataset as one report: ?datasetId=&format=md|json
+router.get('/report', async (req, res) => {
+  try {
+    const report = await buildReport(req.query);
+    res.attachment(report.fileName);
+    res.type(report.contentType);
+    res.send(report.body);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,76 @@
+import express from 'express';
+import { cancelJob, createJob, describeJob, getJob, isTerminal, listJobs, subscribeToJob } from '../services/jobs.js';
+import { handleError } from '../utils/errors.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 15000;
+
+// Start an analysis in the background: { "type": "sentiment", "params": { "datasetId": "...", "mode": "full" } }
+router.post('/', async (req, res) => {
+  try {
+    const { type, params } = req.body || {};
+    if (!type) {
+      return res.status(400).json({ error: 'Please provide the job "type".' });
+    }
+    const job = await createJob(type, params);
+    res.status(202).location(`/jobs/${job.id}`).json(describeJob(job));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.get('/', (req, res) => {
+  res.json({ jobs: listJobs().map((job) => describeJob(job, { includeResult: false })) });
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    res.json(describeJob(getJob(req.params.id)));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    res.json(describeJob(await cancelJob(req.params.id), { includeResult: false }));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Server-Sent Events stream of a job's progress; ends with the terminal status (and the result)
+router.get('/:id/events', (req, res) => {
+  let job;
+  try {
+    job = getJob(req.params.id);
+  } catch (error) {
+    return handleError(res, error);
+  }
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+
+  const send = (current) => {
+    const terminal = isTerminal(current);
+    const event = terminal ? current.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(describeJob(current, { includeResult: terminal }))}\n\n`);
+    if (terminal) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const unsubscribe = subscribeToJob(job.id, send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  function cleanup() {
+    unsubscribe();
+    clearInterval(heartbeat);
+  }
+  req.on('close', cleanup);
+
+  send(job);
+});
+
+export default router;
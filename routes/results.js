@@ -0,0 +1,49 @@
+import express from 'express';
+import { invalidateResults, queryLowConfidence, queryResults } from '../services/resultStore.js';
+import { parseThreshold } from '../services/signals.js';
+import { handleError } from '../utils/errors.js';
+import { parseNonNegativeInt } from '../utils/query.js';
+
+const router = express.Router();
+
+// Query stored sentiment scores by ?datasetId= ("default" for India.csv), ?id=, ?provider=, ?model=, ?promptVersion=
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseNonNegativeInt(req.query.limit, 100, 'limit'), 1000);
+    const offset = parseNonNegativeInt(req.query.offset, 0, 'offset');
+    const { total, results } = await queryResults(req.query, { limit, offset });
+    res.json({ total, limit, offset, results });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// List stored extended results (?detail=extended) below ?threshold= confidence (default 0.6) for
+// human review, least confident first. Takes the same filters; ?promptVersion= is e.g. "proud-indian-v1+signals".
+router.get('/review', async (req, res) => {
+  try {
+    const threshold = parseThreshold(req.query.threshold);
+    const limit = Math.min(parseNonNegativeInt(req.query.limit, 100, 'limit'), 1000);
+    const offset = parseNonNegativeInt(req.query.offset, 0, 'offset');
+    const { total, results } = await queryLowConfidence(req.query, { threshold, limit, offset });
+    res.json({ threshold, total, limit, offset, results });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Invalidate stored scores matching the same filters, e.g. after the rubric changes.
+// Without any filter this clears the whole cache, so it must be asked for with ?all=true.
+router.delete('/', async (req, res) => {
+  try {
+    const { datasetId, id, provider, model, promptVersion } = req.query;
+    if (![datasetId, id, provider, model, promptVersion].some(Boolean) && req.query.all !== 'true') {
+      return res.status(400).json({ error: 'Pass at least one filter, or all=true to clear every stored result.' });
+    }
+    res.json({ removed: await invalidateResults(req.query) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import { TEMPLATE_TYPES, createTemplate, getTemplate, listTemplates } from '../services/templates.js';
+import { handleError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// List prompt templates, optionally of one ?type= (sentiment, trends, insights, summary)
+router.get('/', async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !TEMPLATE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${TEMPLATE_TYPES.join(', ')}.` });
+    }
+    res.json({ templates: await listTemplates({ type }) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getTemplate(req.params.id));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Add a template, or the next version of an existing one:
+// { "name": "brand-monitor", "type": "sentiment", "persona": "...", "scale": [...], "examples": [...] }
+router.post('/', async (req, res) => {
+  try {
+    const template = await createTemplate(req.body);
+    res.status(201).location(`/templates/${template.id}`).json(template);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
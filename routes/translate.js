@@ -0,0 +1,22 @@
+import express from 'express';
+import { SUPPORTED_LANGUAGES, translateRequest } from '../services/translation.js';
+import { handleError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Translate many texts in one request:
+// { "texts": ["...", "..."], "lang": "hi", "provider": "gemini", "model": "...", "cache": "use" }
+router.post('/', async (req, res) => {
+  try {
+    res.json(await translateRequest(req.body));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// List the languages "lang" accepts, by ISO code or name
+router.get('/languages', (req, res) => {
+  res.json({ languages: SUPPORTED_LANGUAGES });
+});
+
+export default router;
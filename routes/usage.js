@@ -0,0 +1,18 @@
+import express from 'express';
+import { getCallLimits } from '../services/modelCalls.js';
+import { summariseUsage } from '../services/usage.js';
+import { handleError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Calls, tokens and estimated cost of model API calls per route, per day and per model
+// (?from=, ?to=, ?route=), with the limits the call layer currently applies
+router.get('/', async (req, res) => {
+  try {
+    res.json({ ...await summariseUsage(req.query), limits: getCallLimits() });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import { checkWatch, createWatch, deleteWatch, getWatch, listWatches } from '../services/watches.js';
+import { handleError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Watch a dataset for sudden sentiment drops or spikes:
+// { "datasetId": "...", "params": { "hashtag": "india" }, "window": "1d", "threshold": 0.5, "webhookUrl": "https://..." }
+router.post('/', async (req, res) => {
+  try {
+    const watch = await createWatch(req.body || {});
+    res.status(201).location(`/watches/${watch.id}`).json(watch);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ watches: await listWatches({ datasetId: req.query.datasetId }) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getWatch(req.params.id));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    res.json({ deleted: (await deleteWatch(req.params.id)).id });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Check the windows that closed since the last check now, and return what was found
+router.post('/:id/check', async (req, res) => {
+  try {
+    await getWatch(req.params.id);
+    res.json(await checkWatch(req.params.id));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+import dotenv from 'dotenv';
+import { runEvaluation } from '../services/evaluation.js';
+import { withUsageRoute } from '../services/usage.js';
+
+dotenv.config();
+
+// Command-line entry point for the evaluation harness:
+//   npm run evaluate -- gold.csv [provider[:model][@template] ...]
+// Each argument is one variant; with two or more the report compares them to the first.
+
+function parseVariant(spec) {
+  const [providerAndModel, template] = spec.split('@');
+  const [provider, ...model] = providerAndModel.split(':');
+  return {
+    ...(provider && { provider }),
+    ...(model.length > 0 && { model: model.join(':') }),
+    ...(template && { template }),
+  };
+}
+
+function formatMetric(value) {
+  return value === null ? '-' : value.toFixed(3);
+}
+
+async function main() {
+  const [filePath, ...variantSpecs] = process.argv.slice(2);
+  if (!filePath) {
+    console.error('Usage: npm run evaluate -- <gold.csv> [provider[:model][@template] ...]');
+    process.exit(1);
+  }
+
+  const evaluation = await withUsageRoute('script evaluate', () => runEvaluation({ filePath, variants: variantSpecs.map(parseVariant) }));
+  console.log(`Evaluation ${evaluation.id}: ${evaluation.items} gold rows (${evaluation.invalidRows} invalid), gold column "${evaluation.goldColumn}"`);
+
+  for (const report of evaluation.variants) {
+    const { name, model, template } = report.variant;
+    console.log(`\n${name} / ${model} / ${template.id} — scored ${report.coverage.scored}/${report.coverage.total}`);
+    console.table({
+      all: report.overall,
+      ...report.byLanguage,
+    }, ['count', 'accuracy', 'mae', 'kappa', 'weightedKappa']);
+    console.log('Confusion matrix (rows = gold 1-5, columns = predicted 1-5):');
+    report.overall.confusionMatrix.forEach((row, index) => console.log(`  ${index + 1}: ${row.join('\t')}`));
+  }
+
+  for (const comparison of evaluation.comparison || []) {
+    const label = ({ name, model, template }) => `${name}/${model}/${template.id}`;
+    console.log(`\n${label(comparison.candidate)} vs ${label(comparison.baseline)}:`
+      + ` accuracy ${formatMetric(comparison.accuracy)}, MAE ${formatMetric(comparison.mae)}, kappa ${formatMetric(comparison.kappa)},`
+      + ` agreement ${formatMetric(comparison.agreementWithBaseline)}`);
+  }
+  console.log(`\nFull report saved as evaluation ${evaluation.id} (GET /evaluations/${evaluation.id}).`);
+}
+
+main().catch((error) => {
+  console.error(error.message, error.details || '');
+  process.exit(1);
+});
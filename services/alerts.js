@@ -0,0 +1,251 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { createHmac } from 'crypto';
+import { createHttpError } from '../utils/errors.js';
+import { parseDateParam, parseNonNegativeInt } from '../utils/query.js';
+import { dataPath } from '../utils/storage.js';
+
+// Alert history and webhook delivery for watches (see watches.js). Each alert is POSTed to its
+// watch's webhook and then appended to DATA_DIR/alerts/alerts.ndjson together with the outcome of
+// the delivery, so a webhook that is down never loses an alert; GET /alerts reads the log back.
+
+export const ALERT_TYPES = ['drop', 'spike'];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_RETRY_MS = 1000;
+
+// Addresses webhooks may not point at unless their host is in ALERT_WEBHOOK_HOSTS: loopback,
+// private, carrier-grade NAT, link-local (cloud metadata), IETF protocol assignments, benchmarking,
+// multicast and reserved ranges, and NAT64 prefixes that would reach any of them over IPv6
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+let writeQueue = Promise.resolve();
+
+function alertsPath() {
+  return path.join(dataPath('alerts'), 'alerts.ndjson');
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Function to read ALERT_WEBHOOK_HOSTS, the hosts webhooks are limited to (empty allows any public host)
+function allowedHosts() {
+  return (process.env.ALERT_WEBHOOK_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// Function to check an address against the blocked ranges (IPv4-mapped IPv6 addresses included)
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Checks that a webhook may be called, so a watch cannot make the server send requests into its
+ * own network. With ALERT_WEBHOOK_HOSTS set the host must be one of those; otherwise it must not
+ * be localhost or resolve to a loopback, private or link-local address. Runs when a watch is
+ * saved and before every delivery; the delivery itself connects through webhookLookup, which
+ * checks the addresses it connects to, so a DNS answer that changes after this check is refused.
+ */
+async function checkWebhookHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const allowed = allowedHosts();
+  if (allowed.length > 0) {
+    if (!allowed.includes(host)) {
+      throw createHttpError(400, `Webhooks may only be sent to ${allowed.join(', ')} (ALERT_WEBHOOK_HOSTS).`);
+    }
+    return;
+  }
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    throw createHttpError(400, 'Webhooks may not be sent to localhost. List the host in ALERT_WEBHOOK_HOSTS to allow it.');
+  }
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw createHttpError(400, `The webhook host ${host} could not be resolved.`);
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw createHttpError(400, `The webhook host ${host} is a loopback, private or link-local address. List it in ALERT_WEBHOOK_HOSTS to allow it.`);
+  }
+}
+
+// Function used as the DNS lookup of webhook connections: resolves the host and refuses blocked
+// addresses, so the request goes to an address that was checked (allow-listed hosts go anywhere)
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    if (allowedHosts().length === 0 && addresses.some(({ address }) => isBlockedAddress(address))) {
+      callback(createHttpError(400, `The webhook host ${hostname} resolved to a loopback, private or link-local address.`));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+// Function to POST a body to a webhook once and resolve with the response status. Redirects are
+// not followed, and IP literals skip webhookLookup because checkWebhookHost already checked them.
+function postWebhook(url, body, headers) {
+  const transport = new URL(url).protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: webhookLookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Function to check a webhook URL when a watch is saved; null when none is given
+export async function parseWebhookUrl(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw createHttpError(400, 'webhookUrl must be an absolute http(s) URL.');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw createHttpError(400, 'webhookUrl must be an absolute http(s) URL.');
+  }
+  await checkWebhookHost(url);
+  return url.toString();
+}
+
+/**
+ * POSTs an alert to a webhook as JSON. Network errors, timeouts, 429 and 5xx responses are retried
+ * (three attempts in all, with backoff); redirects are not followed, and an address refused by
+ * webhookLookup is not retried. When ALERT_WEBHOOK_SECRET is set the body is signed with
+ * HMAC-SHA256 in the X-Alert-Signature header so the receiver can check where it came from.
+ * Returns the delivery outcome rather than throwing.
+ */
+export async function deliverAlert(alert, url) {
+  if (!url) {
+    return { status: 'skipped', reason: 'No webhook URL is configured for this watch or in ALERT_WEBHOOK_URL.' };
+  }
+  try {
+    await parseWebhookUrl(url);
+  } catch (error) {
+    return { status: 'failed', url, attempts: 0, error: error.message };
+  }
+  const body = JSON.stringify(alert);
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.ALERT_WEBHOOK_SECRET) {
+    headers['X-Alert-Signature'] = `sha256=${createHmac('sha256', process.env.ALERT_WEBHOOK_SECRET).update(body).digest('hex')}`;
+  }
+
+  let error = null;
+  let attempts = 0;
+  while (attempts < WEBHOOK_ATTEMPTS) {
+    attempts += 1;
+    try {
+      const responseStatus = await postWebhook(url, body, headers);
+      if (responseStatus >= 200 && responseStatus < 300) {
+        return { status: 'delivered', url, attempts, responseStatus, deliveredAt: new Date().toISOString() };
+      }
+      error = `The webhook answered ${responseStatus}.`;
+      if (responseStatus !== 429 && responseStatus < 500) {
+        break;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+      if (requestError.expose) {
+        break;
+      }
+    }
+    if (attempts < WEBHOOK_ATTEMPTS) {
+      await sleep(WEBHOOK_RETRY_MS * 2 ** (attempts - 1));
+    }
+  }
+  return { status: 'failed', url, attempts, error };
+}
+
+// Function to append an alert to the history; writes are queued so lines never interleave
+export function recordAlert(alert) {
+  const line = `${JSON.stringify(alert)}\n`;
+  const task = () => fs.promises.appendFile(alertsPath(), line);
+  writeQueue = writeQueue.then(task, task);
+  return writeQueue;
+}
+
+// Function to read every alert in the log, oldest first
+async function readAlerts() {
+  await writeQueue.catch(() => {});
+  const alerts = [];
+  let input;
+  try {
+    input = fs.createReadStream(alertsPath(), 'utf8');
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      try {
+        alerts.push(JSON.parse(line));
+      } catch (error) {
+        console.error('Skipping corrupt alert log line:', line);
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  } finally {
+    input?.destroy();
+  }
+  return alerts;
+}
+
+/**
+ * Lists alerts newest first for GET /alerts. ?watchId=, ?datasetId= and ?type=drop|spike narrow
+ * the list, ?from= and ?to= (exclusive) keep alerts whose window starts in that range, and
+ * ?limit= (default 50, 0 for all) caps it; `total` counts every match.
+ */
+export async function listAlerts(params = {}) {
+  const from = parseDateParam(params.from, 'from');
+  const to = parseDateParam(params.to, 'to');
+  if (params.type && !ALERT_TYPES.includes(params.type)) {
+    throw createHttpError(400, `type must be one of ${ALERT_TYPES.join(', ')}.`);
+  }
+  const limit = parseNonNegativeInt(params.limit, 50, 'limit');
+
+  const matches = (await readAlerts()).filter((alert) => {
+    const start = Date.parse(alert.window.start);
+    return (!params.watchId || alert.watch.id === params.watchId)
+      && (!params.datasetId || alert.watch.datasetId === params.datasetId)
+      && (!params.type || alert.type === params.type)
+      && (from === null || start >= from)
+      && (to === null || start < to);
+  }).reverse();
+  return { total: matches.length, alerts: matches.slice(0, limit || undefined) };
+}
+
+export async function getAlert(id) {
+  const alert = (await readAlerts()).find((item) => item.id === id);
+  if (!alert) {
+    throw createHttpError(404, `Alert ${id} not found.`);
+  }
+  return alert;
+}
@@ -0,0 +1,405 @@
+import { aggregateAspects } from './aspects.js';
+import { groupSentiments, parseGroupBy } from './breakdown.js';
+import { comparisonFacts, compareGroups, compareScores, compareTopics, jointTweets, parseCompareParams } from './compare.js';
+import { buildThreads, sortThreads } from './conversations.js';
+import { MAX_ROWS, START_INDEX, loadDatasetRows, runSentimentAnalysis } from './pipeline.js';
+import { resolveProvider } from './providers/index.js';
+import { summariseScores } from './sentiment.js';
+import { parseThreshold, selectForReview, summariseSignals } from './signals.js';
+import { describeTemplate, resolveTemplate } from './templates.js';
+import { INTERVALS, buildTimeSeries, selectDatedTweets, validateTimezone } from './timeseries.js';
+import { checkCitations, clusterTopics, parseTopicOptions } from './topics.js';
+import { resolveLanguage, translateTexts, translationReport } from './translation.js';
+import { createHttpError } from '../utils/errors.js';
+import { parseDateParam, parseNonNegativeInt } from '../utils/query.js';
+import { getLanguage } from '../utils/tweets.js';
+
+// The analyses behind the HTTP routes, as plain functions of their parameters so they can also
+// run as background jobs. Sentiment-based analyses accept `options` for runSentimentAnalysis
+// (reuse, onProgress, signal); the others ignore them.
+
+/**
+ * Translates the texts of a response into ?lang= (an ISO code or language name) in one batched
+ * call. Texts whose translation failed stay in English and are listed in the returned report;
+ * English (or no ?lang=) returns the texts as they are with no report.
+ */
+async function translateOutputs(texts, lang, { provider, model }) {
+  const language = resolveLanguage(lang || 'en');
+  if (language.code === 'en') {
+    return { texts, translation: null };
+  }
+  const outcome = await translateTexts(texts, language, { provider, model });
+  return {
+    texts: outcome.items.map((item) => (item.status === 'failed' ? item.text : item.translation)),
+    translation: translationReport(outcome),
+  };
+}
+
+// Fields every sentiment-based response shares
+function runReport(run) {
+  return {
+    datasetId: run.source.id,
+    provider: run.provider,
+    template: run.template,
+    ingestion: run.ingestion,
+    preprocessing: run.preprocessing,
+    selection: run.selection,
+    rows: run.rows,
+    batches: run.batches,
+    validation: run.validation,
+    translation: run.translation,
+    cache: run.cache,
+  };
+}
+
+// Function to attach each scored tweet's text and language to its result (?includeText=true);
+// translated tweets (?translate=true) keep their original text and add the translation
+function withText(tweets, results, columns) {
+  const tweetById = new Map(tweets.map((tweet) => [tweet.id, tweet]));
+  return results.map((result) => {
+    const tweet = tweetById.get(result.id);
+    return {
+      ...result,
+      text: tweet.originalText ?? tweet.text,
+      ...(tweet.originalText !== undefined && { translatedText: tweet.text }),
+      language: getLanguage(tweet.row, columns),
+    };
+  });
+}
+
+// Function to read ?detail=basic|extended; extended adds emotions, sarcasm, confidence and rationale
+function parseDetail(value) {
+  const detail = value || 'basic';
+  if (!['basic', 'extended'].includes(detail)) {
+    throw createHttpError(400, 'detail must be "basic" or "extended".');
+  }
+  return detail;
+}
+
+export async function analyzeSentiment(params, options = {}) {
+  const groupBy = parseGroupBy(params.groupBy);
+  const groupLimit = parseNonNegativeInt(params.groupLimit, 20, 'groupLimit');
+  const detail = parseDetail(params.detail);
+  const threshold = parseThreshold(params.reviewThreshold, 'reviewThreshold');
+  const reviewLimit = parseNonNegativeInt(params.reviewLimit, 20, 'reviewLimit');
+
+  const run = await runSentimentAnalysis(params, { ...options, task: detail === 'extended' ? 'signals' : 'sentiment' });
+  const { source, tweets, results } = run;
+
+  // Merge the per-batch results into one summary. Results are already reconciled against
+  // the submitted ids, so count always matches the tweets that really have a score.
+  return {
+    ...runReport(run),
+    mode: run.mode,
+    range: run.range,
+    count: results.length, // Use the actual count of results
+    summary: summariseScores(results),
+    ...(detail === 'extended' && {
+      signals: summariseSignals(results, { threshold }),
+      review: selectForReview(tweets, results, { threshold, limit: reviewLimit }),
+    }),
+    ...(groupBy.length > 0 && { groups: groupSentiments(tweets, results, source.columns, groupBy, { limit: groupLimit }) }),
+    results: String(params.includeText) === 'true' ? withText(tweets, results, source.columns) : results,
+  };
+}
+
+export async function analyzeTimeSeries(params, options = {}) {
+  const interval = params.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    throw createHttpError(400, `interval must be one of ${INTERVALS.join(', ')}.`);
+  }
+  const timezone = validateTimezone(params.timezone || 'UTC');
+  const from = parseDateParam(params.from, 'from');
+  const to = parseDateParam(params.to, 'to');
+
+  const run = await runSentimentAnalysis(params, {
+    ...options,
+    defaultMode: 'full',
+    selectTweets: (tweets, source) => selectDatedTweets(tweets, source.columns),
+  });
+
+  return {
+    ...runReport(run),
+    interval,
+    timezone,
+    dateRange: { from: from && new Date(from).toISOString(), to: to && new Date(to).toISOString() },
+    count: run.results.length,
+    summary: summariseScores(run.results),
+    series: buildTimeSeries(run.tweets, run.results, { interval, timezone }),
+  };
+}
+
+export async function analyzeConversations(params, options = {}) {
+  const sort = params.sort || 'size';
+  if (!['size', 'disagreement'].includes(sort)) {
+    throw createHttpError(400, 'sort must be "size" or "disagreement".');
+  }
+  const minReplies = parseNonNegativeInt(params.minReplies, 1, 'minReplies');
+  const threadLimit = parseNonNegativeInt(params.threadLimit, 50, 'threadLimit');
+
+  const run = await runSentimentAnalysis(params, { ...options, defaultMode: 'full' });
+  const threads = sortThreads(buildThreads(run.tweets, run.results, run.source.columns, { minReplies }), sort);
+
+  return {
+    ...runReport(run),
+    threadCount: threads.length,
+    disagreeingThreads: threads.filter((thread) => thread.disagreement).length,
+    threads: threads.slice(0, threadLimit || undefined),
+  };
+}
+
+export async function analyzeAspects(params, options = {}) {
+  const minMentions = parseNonNegativeInt(params.minMentions, 1, 'minMentions');
+  const targetLimit = parseNonNegativeInt(params.targetLimit, 50, 'targetLimit');
+
+  const run = await runSentimentAnalysis(params, { ...options, task: 'aspects' });
+  const targets = aggregateAspects(run.results, { minMentions, target: params.target });
+
+  return {
+    ...runReport(run),
+    mode: run.mode,
+    range: run.range,
+    count: run.results.length,
+    targetCount: targets.length,
+    targets: targets.slice(0, targetLimit || undefined),
+    results: run.results,
+  };
+}
+
+/**
+ * Scores the requested tweets and clusters them into topics (see topics.js). Scores the whole
+ * dataset unless ?mode=sample; ?topicCount= and ?examples= shape the topics.
+ */
+async function runTopics(params, options = {}) {
+  const { count, examples } = parseTopicOptions(params);
+  const run = await runSentimentAnalysis(params, { ...options, defaultMode: 'full' });
+  const { provider, model } = resolveProvider(params);
+  return { run, ...await clusterTopics(run.tweets, run.results, { count, examples, provider, model }) };
+}
+
+export async function analyzeTopics(params, options = {}) {
+  const { run, topics, assignment, clustering } = await runTopics(params, options);
+  let listed = topics;
+  if (params.topic) {
+    const topic = topics.find((item) => item.id === params.topic);
+    if (!topic) {
+      throw createHttpError(404, `Unknown topic "${params.topic}".`, { topics: topics.map((item) => item.id) });
+    }
+    const scoreById = new Map(run.results.map((result) => [result.id, result.sentiment_score]));
+    const tweets = run.tweets
+      .filter((tweet) => assignment.get(tweet.id) === topic.id)
+      .map((tweet) => ({ id: tweet.id, text: tweet.text, sentiment_score: scoreById.get(tweet.id) ?? null }));
+    listed = [{ ...topic, tweets }];
+  }
+
+  return {
+    ...runReport(run),
+    mode: run.mode,
+    range: run.range,
+    count: run.results.length,
+    clustering,
+    topicCount: topics.length,
+    topics: listed,
+    results: run.results.map((result) => ({ ...result, topic: assignment.get(result.id) })),
+  };
+}
+
+/**
+ * Loads what trends and insights are drawn from: by default the first 100 rows of the selection;
+ * with ?topics=true the topics of the scored tweets (see runTopics), so that every trend and
+ * insight can cite the topics and tweets it is based on. `report` holds the fields the response shares.
+ */
+async function loadBasis(params, options) {
+  if (params.topics !== undefined && !['true', 'false'].includes(String(params.topics))) {
+    throw createHttpError(400, 'topics must be "true" or "false".');
+  }
+  if (String(params.topics) !== 'true') {
+    const { source, rows, ingestion, preprocessing, selection } = await loadDatasetRows(params, { start: START_INDEX, limit: MAX_ROWS });
+    return { input: { rows, columns: source.columns }, report: { ingestion, preprocessing, selection } };
+  }
+
+  const { run, topics, assignment, clustering } = await runTopics(params, options);
+  const { template, mode, rows, batches, validation, translation, cache } = run;
+  return {
+    input: { topics, columns: run.source.columns },
+    topics,
+    assignment,
+    report: {
+      ingestion: run.ingestion,
+      preprocessing: run.preprocessing,
+      selection: run.selection,
+      scoring: { template, mode, rows, batches, validation, translation, cache },
+      clustering,
+      topics,
+    },
+  };
+}
+
+// Function to keep the valid topic and tweet ids each topic-based trend or insight cites
+function citeTopics(items, basis) {
+  const topicIds = new Set(basis.topics.map((topic) => topic.id));
+  let invalid = 0;
+  const citations = items.map((item) => {
+    const { citation, invalid: dropped } = checkCitations(item, topicIds, basis.assignment);
+    invalid += dropped;
+    return citation;
+  });
+  return { citations, invalid };
+}
+
+export async function analyzeTrends(params, options = {}) {
+  const { provider, model, info } = resolveProvider(params);
+  const template = await resolveTemplate('trends', params.template);
+  resolveLanguage(params.lang || 'en');
+  const basis = await loadBasis(params, options);
+
+  // --- 1. Ask the provider for 2-3 trends (always in English) ---
+  const trendsResult = await provider.analyzeTrends(basis.input, { model, template });
+  const cited = basis.topics && citeTopics(trendsResult.trends, basis);
+
+  // --- 2. Optional: Translate every title and description in one batch if ?lang= is given ---
+  const texts = trendsResult.trends.flatMap((trend) => [trend.title, trend.description]);
+  const { texts: translated, translation } = await translateOutputs(texts, params.lang, { provider, model });
+  const trends = trendsResult.trends.map((trend, index) => ({
+    ...trend,
+    title: translated[index * 2],
+    description: translated[index * 2 + 1],
+    ...(cited && cited.citations[index]),
+  }));
+
+  return {
+    ...trendsResult,
+    trends,
+    ...(cited && { invalidCitations: cited.invalid }),
+    provider: info,
+    template: describeTemplate(template),
+    ...basis.report,
+    ...(translation && { translation }),
+  };
+}
+
+export async function generateInsights(params, options = {}) {
+  const { provider, model, info } = resolveProvider(params);
+  const template = await resolveTemplate('insights', params.template);
+  resolveLanguage(params.lang || 'en');
+  const basis = await loadBasis(params, options);
+
+  // Topic-based insights come back as { text, topicIds, tweetIds }; their citations are returned
+  // alongside the texts, in the same order
+  const { insights } = await provider.generateInsights(basis.input, { model, template });
+  const cited = basis.topics && citeTopics(insights, basis);
+  const { texts, translation } = await translateOutputs(insights.map((insight) => (typeof insight === 'string' ? insight : insight?.text)), params.lang, { provider, model });
+
+  return {
+    insights: texts,
+    ...(cited && { citations: cited.citations, invalidCitations: cited.invalid }),
+    provider: info,
+    template: describeTemplate(template),
+    ...basis.report,
+    ...(translation && { translation }),
+  };
+}
+
+export async function generateSummary(params) {
+  const { provider, model, info } = resolveProvider(params);
+  const template = await resolveTemplate('summary', params.template);
+  resolveLanguage(params.lang || 'en');
+  const { source, rows: sampleRows, ingestion, preprocessing, selection } = await loadDatasetRows(params, { start: START_INDEX, limit: MAX_ROWS });
+
+  const { summary } = await provider.generateSummary({ rows: sampleRows, columns: source.columns }, { model, template });
+  const { texts: [translated], translation } = await translateOutputs([summary], params.lang, { provider, model });
+
+  return { summary: translated, provider: info, template: describeTemplate(template), ingestion, preprocessing, selection, ...(translation && { translation }) };
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createHttpError(409, 'Analysis was cancelled.');
+  }
+}
+
+/**
+ * Narrows a job's runSentimentAnalysis options to one side of a comparison. Checkpointed results
+ * are tagged with their side, because two datasets can share tweet ids, and progress counts the
+ * batches of the sides already scored as well.
+ */
+function sideOptions({ reuse = [], onProgress, signal }, side, previousRuns) {
+  const batchesBefore = previousRuns.reduce((total, run) => total + run.batches.total, 0);
+  return {
+    reuse: reuse.filter((item) => item.side === side).map(({ side: tag, ...result }) => result),
+    signal,
+    onProgress: onProgress && (({ batchesDone, batchesTotal, results }) => onProgress({
+      batchesDone: batchesBefore + batchesDone,
+      batchesTotal: batchesBefore + batchesTotal,
+      results: results.map((result) => ({ ...result, side })),
+    })),
+  };
+}
+
+/**
+ * Compares two dataset/filter specs, A and B (the a.* / b.* parameters of compare.js). Both sides
+ * are scored in full unless ?mode=sample, their tweets are clustered into shared topics, and the
+ * response reports the score distribution deltas, significant language and hashtag shifts,
+ * topics that appeared, disappeared, grew or shrank, and a narrative summary (?lang= translates it).
+ */
+export async function compareAnalyses(params, options = {}) {
+  const { sides, alpha, minCount, shiftLimit } = parseCompareParams(params);
+  const { count, examples } = parseTopicOptions(params);
+  const { provider, model, info } = resolveProvider(params);
+  resolveLanguage(params.lang || 'en');
+
+  // One side at a time, so the two runs do not compete for the provider's rate limits
+  const runs = [];
+  for (const side of sides) {
+    throwIfCancelled(options.signal);
+    const run = await runSentimentAnalysis(side.params, { ...sideOptions(options, side.side, runs), defaultMode: 'full' });
+    if (run.results.length === 0) {
+      throw createHttpError(422, `Side ${side.label} has no scored tweets to compare.`);
+    }
+    runs.push(run);
+  }
+  throwIfCancelled(options.signal);
+
+  const joint = jointTweets(runs);
+  const clustered = await clusterTopics(joint.tweets, joint.results, { count, examples, provider, model });
+  const comparison = {
+    scores: compareScores(runs[0].results, runs[1].results, { alpha }),
+    shifts: compareGroups(runs, { minCount, alpha, limit: shiftLimit }),
+    topics: compareTopics(clustered, runs, { alpha }),
+  };
+  const { summary } = await provider.summariseComparison(comparisonFacts(sides, runs, comparison), { model });
+  const { texts: [translated], translation } = await translateOutputs([summary], params.lang, { provider, model });
+
+  return {
+    provider: info,
+    template: runs[0].template,
+    sides: sides.map(({ side, label }, index) => {
+      const { provider: sideProvider, template: sideTemplate, ...report } = runReport(runs[index]);
+      return { side, label, ...report, mode: runs[index].mode, count: runs[index].results.length };
+    }),
+    alpha,
+    minCount,
+    ...comparison,
+    summary: translated,
+    ...(translation && { translation }),
+  };
+}
+
+// Function for analyses that score tweets only with ?topics=true
+function scoresTopics(params) {
+  return String(params.topics) === 'true';
+}
+
+// Analyses that can be started as jobs, whether they report per-batch progress (a flag, or a
+// function of the job's params), and which type of prompt template they take
+export const ANALYSES = {
+  sentiment: { run: analyzeSentiment, batched: true, templateType: 'sentiment' },
+  timeseries: { run: analyzeTimeSeries, batched: true, templateType: 'sentiment' },
+  conversations: { run: analyzeConversations, batched: true, templateType: 'sentiment' },
+  aspects: { run: analyzeAspects, batched: true, templateType: 'sentiment' },
+  topics: { run: analyzeTopics, batched: true, templateType: 'sentiment' },
+  compare: { run: compareAnalyses, batched: true, templateType: 'sentiment' },
+  trends: { run: analyzeTrends, batched: scoresTopics, templateType: 'trends' },
+  insights: { run: generateInsights, batched: scoresTopics, templateType: 'insights' },
+  summary: { run: generateSummary, batched: false, templateType: 'summary' },
+};
@@ -0,0 +1,52 @@
+import { summariseScores } from './sentiment.js';
+
+// Aggregation of aspect-level results: how a target (an entity, hashtag or topic) is talked
+// about across a dataset, rather than how positive each tweet is overall.
+
+// Function to key targets so "#USA", "@usa" and "usa" count as the same target
+export function targetKey(target) {
+  return target.trim().replace(/^[#@]/, '').toLowerCase();
+}
+
+function mostCommon(counts) {
+  return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Groups the aspects of every scored tweet by target and reports, per target, the number of
+ * tweets mentioning it, the mean score toward it and its 1-5 distribution, most mentioned first.
+ * `target` keeps only that target and lists its mentions (tweet id, score toward the target and
+ * the tweet's overall score), so "how do people feel about X" has its evidence attached.
+ */
+export function aggregateAspects(results, { minMentions = 1, target } = {}) {
+  const groups = new Map();
+  for (const result of results) {
+    for (const aspect of result.aspects || []) {
+      const key = targetKey(aspect.target);
+      if (!groups.has(key)) {
+        groups.set(key, { names: new Map(), types: new Map(), mentions: [] });
+      }
+      const group = groups.get(key);
+      group.names.set(aspect.target, (group.names.get(aspect.target) || 0) + 1);
+      group.types.set(aspect.type, (group.types.get(aspect.type) || 0) + 1);
+      group.mentions.push({ id: result.id, sentiment_score: aspect.sentiment_score, tweetScore: result.sentiment_score });
+    }
+  }
+
+  const wanted = target ? targetKey(target) : null;
+  return [...groups]
+    .filter(([key, group]) => (wanted ? key === wanted : group.mentions.length >= minMentions))
+    .map(([key, group]) => {
+      const total = group.mentions.reduce((sum, mention) => sum + mention.sentiment_score, 0);
+      return {
+        key,
+        target: mostCommon(group.names),
+        type: mostCommon(group.types),
+        mentions: group.mentions.length,
+        meanScore: parseFloat((total / group.mentions.length).toFixed(2)),
+        summary: summariseScores(group.mentions),
+        ...(wanted && { tweets: group.mentions }),
+      };
+    })
+    .sort((a, b) => b.mentions - a.mentions || a.key.localeCompare(b.key));
+}
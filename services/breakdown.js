@@ -0,0 +1,67 @@
+import { summariseScores } from './sentiment.js';
+import { getHashtags, getLanguage } from '../utils/tweets.js';
+import { createHttpError } from '../utils/errors.js';
+
+// Group key used for tweets that have no value for a dimension (e.g. no hashtags)
+const NO_VALUE = '(none)';
+
+// Functions returning the group keys a tweet belongs to; a tweet can be in several hashtag groups
+const DIMENSIONS = {
+  language: (row, columns) => [getLanguage(row, columns)],
+  hashtag: (row, columns) => getHashtags(row, columns),
+};
+
+export const GROUP_DIMENSIONS = Object.keys(DIMENSIONS);
+
+// Function to parse ?groupBy=language,hashtag into a list of known dimensions
+export function parseGroupBy(value) {
+  if (!value) {
+    return [];
+  }
+  const dimensions = [...new Set(String(value).split(',').map((item) => item.trim()).filter(Boolean))];
+  const unknown = dimensions.filter((dimension) => !DIMENSIONS[dimension]);
+  if (unknown.length > 0) {
+    throw createHttpError(400, `Unknown groupBy dimension(s): ${unknown.join(', ')}.`, { allowed: GROUP_DIMENSIONS });
+  }
+  return dimensions;
+}
+
+function mean(scores) {
+  return scores.length === 0 ? null : parseFloat((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(2));
+}
+
+/**
+ * Breaks scored tweets down by each requested dimension. Every group reports its size, its
+ * share of all scored tweets, the mean score and the same 1-5 count/percentage summary as the
+ * overall result. Groups are sorted by size and capped at `limit` per dimension (0 = no cap).
+ */
+export function groupSentiments(tweets, results, columns, dimensions, { limit = 20 } = {}) {
+  const scoreById = new Map(results.map((item) => [item.id, item]));
+  const scored = tweets.filter((tweet) => scoreById.has(tweet.id));
+  const groups = {};
+
+  for (const dimension of dimensions) {
+    const members = new Map();
+    for (const tweet of scored) {
+      const keys = DIMENSIONS[dimension](tweet.row, columns);
+      for (const key of keys.length > 0 ? keys : [NO_VALUE]) {
+        if (!members.has(key)) {
+          members.set(key, []);
+        }
+        members.get(key).push(scoreById.get(tweet.id));
+      }
+    }
+
+    groups[dimension] = [...members.entries()]
+      .map(([value, items]) => ({
+        value,
+        count: items.length,
+        share: parseFloat(((items.length / scored.length) * 100).toFixed(2)),
+        meanScore: mean(items.map((item) => item.sentiment_score)),
+        summary: summariseScores(items),
+      }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .slice(0, limit || undefined);
+  }
+  return groups;
+}
@@ -0,0 +1,265 @@
+import { groupSentiments } from './breakdown.js';
+import { summariseScores } from './sentiment.js';
+import { createHttpError } from '../utils/errors.js';
+import { parseNonNegativeInt } from '../utils/query.js';
+import { adjustPValues, compareDistributions, compareMeans, compareProportions, describeScores } from '../utils/stats.js';
+
+// Comparison of two sets of scored tweets, "A" and "B": two datasets, two time windows of one
+// dataset, or any two filter specs. Request parameters prefixed with "a." or "b." apply to that
+// side only (a.datasetId=, b.from=, b.language=, ...) and unprefixed ones to both, so
+// "?datasetId=X&a.from=2022-07-01&a.to=2022-07-08&b.from=2022-07-08&b.to=2022-07-15" compares two
+// weeks; `to` is exclusive, as on every route, so back-to-back windows share no tweet.
+// Every delta is B minus A.
+
+export const SIDES = ['a', 'b'];
+const SCORES = ['1', '2', '3', '4', '5'];
+// Parameters that must match on both sides for the comparison to mean anything
+const SHARED_ONLY = ['provider', 'model', 'template', 'translate', 'topicCount', 'examples', 'lang', 'alpha', 'minCount', 'shiftLimit'];
+// Share of a side's tweets (in %) below which a topic counts as absent from that side
+const MIN_PRESENT_SHARE = 1;
+
+function parseAlpha(value) {
+  if (value === undefined || value === '') {
+    return 0.05;
+  }
+  const alpha = Number(value);
+  if (!(alpha > 0 && alpha < 1)) {
+    throw createHttpError(400, 'alpha must be a number between 0 and 1.');
+  }
+  return alpha;
+}
+
+/**
+ * Splits the request parameters into the two sides' parameters. Each side gets the unprefixed
+ * parameters overridden by its own; "a.label=" and "b.label=" name the sides (default "A" and "B").
+ * Also reads ?alpha= (significance level, default 0.05), ?minCount= (tweets a group needs to be
+ * tested, default 20) and ?shiftLimit= (shifts listed per dimension, default 20, 0 for all).
+ */
+export function parseCompareParams(params) {
+  const shared = {};
+  const own = { a: {}, b: {} };
+  for (const [key, value] of Object.entries(params)) {
+    const match = /^([ab])\.(.+)$/.exec(key);
+    if (!match) {
+      shared[key] = value;
+    } else if (SHARED_ONLY.includes(match[2])) {
+      throw createHttpError(400, `${match[2]} must be the same for both sides; pass it as "${match[2]}" without the "${match[1]}." prefix.`);
+    } else {
+      own[match[1]][match[2]] = value;
+    }
+  }
+  if (Object.keys(own.a).length === 0 && Object.keys(own.b).length === 0) {
+    throw createHttpError(400, 'Describe the two sides with a.* and b.* parameters, e.g. a.datasetId= and b.datasetId=, or a.from=/a.to= and b.from=/b.to=.');
+  }
+
+  return {
+    sides: SIDES.map((side) => {
+      const { label, ...sideParams } = own[side];
+      return { side, label: label || side.toUpperCase(), params: { ...shared, ...sideParams } };
+    }),
+    alpha: parseAlpha(params.alpha),
+    minCount: parseNonNegativeInt(params.minCount, 20, 'minCount'),
+    shiftLimit: parseNonNegativeInt(params.shiftLimit, 20, 'shiftLimit'),
+  };
+}
+
+function round(value) {
+  return value === null ? null : parseFloat(value.toFixed(2));
+}
+
+function shareOf(summary, scores) {
+  return scores.reduce((sum, score) => sum + summary[score].count, 0);
+}
+
+/**
+ * Compares the overall 1-5 distributions of the two sides: the percentage of each score, the
+ * mean score, the positive (4-5) and negative (1-2) shares, and a chi-square test of the whole
+ * distribution. Each test is `significant` when its p-value is below `alpha`.
+ */
+export function compareScores(resultsA, resultsB, { alpha }) {
+  const a = summariseScores(resultsA);
+  const b = summariseScores(resultsB);
+  const meanA = describeScores(a).mean;
+  const meanB = describeScores(b).mean;
+  const distribution = compareDistributions(a, b);
+  const flag = (test) => ({ ...test, significant: test.pValue !== null && test.pValue < alpha });
+  return {
+    scores: Object.fromEntries(SCORES.map((score) => [score, {
+      a: a[score].percentage,
+      b: b[score].percentage,
+      delta: round(b[score].percentage - a[score].percentage),
+    }])),
+    meanScore: { a: round(meanA), b: round(meanB), ...flag(compareMeans(a, b)) },
+    positive: {
+      a: round((shareOf(a, ['4', '5']) / resultsA.length) * 100),
+      b: round((shareOf(b, ['4', '5']) / resultsB.length) * 100),
+      ...flag(compareProportions(shareOf(a, ['4', '5']), resultsA.length, shareOf(b, ['4', '5']), resultsB.length)),
+    },
+    negative: {
+      a: round((shareOf(a, ['1', '2']) / resultsA.length) * 100),
+      b: round((shareOf(b, ['1', '2']) / resultsB.length) * 100),
+      ...flag(compareProportions(shareOf(a, ['1', '2']), resultsA.length, shareOf(b, ['1', '2']), resultsB.length)),
+    },
+    distribution: flag(distribution),
+  };
+}
+
+function sideGroup(group) {
+  return group ? { count: group.count, share: group.share, meanScore: group.meanScore } : { count: 0, share: 0, meanScore: null };
+}
+
+/**
+ * Finds the languages and hashtags whose share of tweets or mean score changed between the sides.
+ * Nothing is tested unless both sides have `minCount` scored tweets. A group's share is tested
+ * when the sides have `minCount` of its tweets between them, its mean score when each side has
+ * `minCount`; p-values are adjusted for the number of groups tested (Benjamini-Hochberg) and a
+ * shift is `significant` when an adjusted p-value is below `alpha`.
+ * Significant shifts come first, strongest evidence first; `untested` counts the groups too small to test.
+ */
+export function compareGroups(runs, { minCount, alpha, limit }) {
+  const shifts = {};
+  for (const dimension of ['language', 'hashtag']) {
+    const [groupsA, groupsB] = runs.map((run) => new Map(
+      groupSentiments(run.tweets, run.results, run.source.columns, [dimension], { limit: 0 })[dimension].map((group) => [group.value, group])
+    ));
+    const tested = [];
+    const testable = runs.every((run) => run.results.length >= minCount);
+    let untested = 0;
+    for (const value of new Set([...groupsA.keys(), ...groupsB.keys()])) {
+      const a = groupsA.get(value);
+      const b = groupsB.get(value);
+      const countA = a?.count || 0;
+      const countB = b?.count || 0;
+      if (!testable || countA + countB < minCount) {
+        untested += 1;
+        continue;
+      }
+      tested.push({
+        value,
+        a: sideGroup(a),
+        b: sideGroup(b),
+        share: compareProportions(countA, runs[0].results.length, countB, runs[1].results.length),
+        meanScore: countA >= minCount && countB >= minCount
+          ? compareMeans(a.summary, b.summary)
+          : { delta: null, z: null, pValue: null },
+      });
+    }
+
+    const adjusted = adjustPValues(tested.flatMap((shift) => [shift.share.pValue, shift.meanScore.pValue]));
+    tested.forEach((shift, index) => {
+      shift.share.qValue = adjusted[index * 2];
+      shift.meanScore.qValue = adjusted[index * 2 + 1];
+      shift.significant = [shift.share.qValue, shift.meanScore.qValue].some((qValue) => qValue !== null && qValue < alpha);
+    });
+    const strongest = (shift) => Math.min(1, ...[shift.share.qValue, shift.meanScore.qValue].filter((qValue) => qValue !== null));
+    shifts[dimension] = {
+      tested: tested.length,
+      untested,
+      significant: tested.filter((shift) => shift.significant).length,
+      shifts: tested
+        .sort((x, y) => Number(y.significant) - Number(x.significant) || strongest(x) - strongest(y) || x.value.localeCompare(y.value))
+        .slice(0, limit || undefined),
+    };
+  }
+  return shifts;
+}
+
+// Function to put both sides' tweets into one list for joint topic clustering; ids are prefixed
+// with the side ("a:123") because the same tweet can be on both sides
+export function jointTweets(runs) {
+  const tag = (side, item) => ({ ...item, id: `${side}:${item.id}` });
+  return {
+    tweets: runs.flatMap((run, index) => run.tweets.map((tweet) => tag(SIDES[index], tweet))),
+    results: runs.flatMap((run, index) => run.results.map((result) => tag(SIDES[index], result))),
+  };
+}
+
+function topicSide(members, total) {
+  const scored = members.filter((member) => member.sentiment_score !== undefined);
+  const sum = scored.reduce((acc, member) => acc + member.sentiment_score, 0);
+  return {
+    count: members.length,
+    share: total === 0 ? 0 : round((members.length / total) * 100),
+    meanScore: scored.length > 0 ? round(sum / scored.length) : null,
+  };
+}
+
+/**
+ * Compares how much each jointly clustered topic is talked about on each side. A topic under
+ * 1% of a side's tweets is absent from it, so a topic absent from A and present in B "appeared"
+ * and the reverse "disappeared"; otherwise it "grew" or "shrank" when its share changed
+ * significantly (adjusted as in compareGroups) and is "stable" when it did not.
+ */
+export function compareTopics({ topics, assignment, clustering }, runs, { alpha }) {
+  const scoreById = new Map(runs.flatMap((run, index) => run.results.map((result) => [`${SIDES[index]}:${result.id}`, result.sentiment_score])));
+  const compared = topics.map((topic) => {
+    const [a, b] = runs.map((run, index) => topicSide(
+      run.tweets
+        .map((tweet) => `${SIDES[index]}:${tweet.id}`)
+        .filter((id) => assignment.get(id) === topic.id)
+        .map((id) => ({ sentiment_score: scoreById.get(id) })),
+      run.tweets.length
+    ));
+    return {
+      id: topic.id,
+      label: topic.label,
+      keywords: topic.keywords,
+      a,
+      b,
+      share: compareProportions(a.count, runs[0].tweets.length, b.count, runs[1].tweets.length),
+      meanScore: { delta: a.meanScore !== null && b.meanScore !== null ? round(b.meanScore - a.meanScore) : null },
+      examples: topic.examples.map(({ id, ...example }) => ({ side: id.slice(0, 1), id: id.slice(2), ...example })),
+    };
+  });
+
+  const adjusted = adjustPValues(compared.map((topic) => topic.share.pValue));
+  compared.forEach((topic, index) => {
+    topic.share.qValue = adjusted[index];
+    const presentA = topic.a.share >= MIN_PRESENT_SHARE;
+    const presentB = topic.b.share >= MIN_PRESENT_SHARE;
+    const significant = adjusted[index] !== null && adjusted[index] < alpha;
+    if (!presentA && presentB) {
+      topic.status = 'appeared';
+    } else if (presentA && !presentB) {
+      topic.status = 'disappeared';
+    } else if (significant) {
+      topic.status = topic.share.delta > 0 ? 'grew' : 'shrank';
+    } else {
+      topic.status = 'stable';
+    }
+  });
+
+  const withStatus = (status) => compared.filter((topic) => topic.status === status).map((topic) => topic.id);
+  return {
+    clustering,
+    appeared: withStatus('appeared'),
+    disappeared: withStatus('disappeared'),
+    grew: withStatus('grew'),
+    shrank: withStatus('shrank'),
+    topics: compared,
+  };
+}
+
+/**
+ * Condenses a comparison into the facts a narrative summary needs: the sides, the overall shift,
+ * the largest significant language and hashtag shifts and the topics that came and went.
+ */
+export function comparisonFacts(sides, runs, comparison) {
+  const labelOf = (ids) => ids.map((id) => comparison.topics.topics.find((topic) => topic.id === id).label);
+  const { scores } = comparison;
+  return {
+    a: { label: sides[0].label, tweets: runs[0].results.length, meanScore: scores.meanScore.a, positive: scores.positive.a, negative: scores.negative.a },
+    b: { label: sides[1].label, tweets: runs[1].results.length, meanScore: scores.meanScore.b, positive: scores.positive.b, negative: scores.negative.b },
+    meanScoreDelta: scores.meanScore.delta,
+    meanScoreChanged: scores.meanScore.significant,
+    distributionChanged: scores.distribution.significant,
+    shifts: Object.entries(comparison.shifts).flatMap(([dimension, { shifts }]) => shifts
+      .filter((shift) => shift.significant)
+      .slice(0, 5)
+      .map((shift) => ({ dimension, value: shift.value, shareDelta: shift.share.delta, meanScoreDelta: shift.meanScore.delta }))),
+    topicsAppeared: labelOf(comparison.topics.appeared),
+    topicsDisappeared: labelOf(comparison.topics.disappeared),
+    topicsGrew: labelOf(comparison.topics.grew),
+    topicsShrank: labelOf(comparison.topics.shrank),
+  };
+}
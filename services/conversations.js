@@ -0,0 +1,95 @@
+import { summariseScores } from './sentiment.js';
+import { getTimestamp } from '../utils/tweets.js';
+import { createHttpError } from '../utils/errors.js';
+
+// Minimum change in mean score before a thread counts as drifting or disagreeing
+export const DRIFT_THRESHOLD = 0.5;
+export const DISAGREEMENT_THRESHOLD = 1.5;
+
+function mean(scores) {
+  return scores.length === 0 ? null : parseFloat((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(2));
+}
+
+function direction(delta) {
+  if (delta === null) return null;
+  if (delta >= DRIFT_THRESHOLD) return 'positive';
+  if (delta <= -DRIFT_THRESHOLD) return 'negative';
+  return 'stable';
+}
+
+/**
+ * Groups scored tweets into conversation threads (by conversation_id), ordered by time.
+ * For each thread it reports the root tweet's score, the aggregate score of the replies, how far
+ * the replies sit from the root, and the drift between the first and second half of the thread.
+ * Threads with fewer than `minReplies` replies are left out.
+ */
+export function buildThreads(tweets, results, columns, { minReplies = 1 } = {}) {
+  if (!columns.conversationId || !columns.id) {
+    throw createHttpError(400, 'Conversation analysis needs id and conversation_id columns, which this dataset does not have.');
+  }
+
+  const scoreById = new Map(results.map((item) => [item.id, item.sentiment_score]));
+  const threads = new Map();
+  for (const tweet of tweets) {
+    const conversationId = tweet.row[columns.conversationId];
+    if (!conversationId) {
+      continue;
+    }
+    if (!threads.has(conversationId)) {
+      threads.set(conversationId, []);
+    }
+    threads.get(conversationId).push({
+      id: tweet.id,
+      createdAt: getTimestamp(tweet.row, columns),
+      isRoot: tweet.id === conversationId,
+      sentiment_score: scoreById.get(tweet.id) ?? null,
+      text: tweet.text,
+    });
+  }
+
+  const output = [];
+  for (const [conversationId, threadTweets] of threads) {
+    // Root first, then by time; tweets without a date keep their file order at the end
+    threadTweets.sort((a, b) => (b.isRoot - a.isRoot) || ((a.createdAt ?? Infinity) - (b.createdAt ?? Infinity)));
+    const root = threadTweets.find((tweet) => tweet.isRoot) || null;
+    const replies = threadTweets.filter((tweet) => !tweet.isRoot);
+    if (replies.length < minReplies) {
+      continue;
+    }
+
+    const scoredReplies = replies.filter((tweet) => tweet.sentiment_score !== null);
+    const repliesMean = mean(scoredReplies.map((tweet) => tweet.sentiment_score));
+    const rootScore = root ? root.sentiment_score : null;
+    const rootVsReplies = rootScore !== null && repliesMean !== null ? parseFloat((repliesMean - rootScore).toFixed(2)) : null;
+
+    const scored = threadTweets.filter((tweet) => tweet.sentiment_score !== null);
+    const half = Math.floor(scored.length / 2);
+    const drift = half > 0
+      ? parseFloat((mean(scored.slice(-half).map((tweet) => tweet.sentiment_score)) - mean(scored.slice(0, half).map((tweet) => tweet.sentiment_score))).toFixed(2))
+      : null;
+
+    output.push({
+      conversationId,
+      size: threadTweets.length,
+      root: root && { id: root.id, sentiment_score: rootScore },
+      replies: { count: replies.length, scored: scoredReplies.length, meanScore: repliesMean, summary: summariseScores(scoredReplies) },
+      rootVsReplies,
+      disagreement: rootVsReplies !== null && Math.abs(rootVsReplies) >= DISAGREEMENT_THRESHOLD,
+      drift,
+      driftDirection: direction(drift),
+      tweets: threadTweets.map((tweet) => ({
+        ...tweet,
+        createdAt: tweet.createdAt === null ? null : new Date(tweet.createdAt).toISOString(),
+      })),
+    });
+  }
+  return output;
+}
+
+// Function to order threads for the response: by size, or by how strongly replies disagree with the root
+export function sortThreads(threads, sort) {
+  if (sort === 'disagreement') {
+    return threads.sort((a, b) => Math.abs(b.rootVsReplies ?? 0) - Math.abs(a.rootVsReplies ?? 0) || b.size - a.size);
+  }
+  return threads.sort((a, b) => b.size - a.size || a.conversationId.localeCompare(b.conversationId));
+}
@@ -0,0 +1,4 @@
+// Function to estimate tokens
+export function estimateTokens(compactCsv) {
+  return Math.ceil(compactCsv.length / 4) + 500;
+}
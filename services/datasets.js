@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { detectFormat, inspectFile, readHeaders, readRows, serializeRow, streamRows } from './ingest.js';
+import { dataPath, readJson, writeJson } from '../utils/storage.js';
+import { createHttpError } from '../utils/errors.js';
+
+// Dataset used by the analysis routes when no datasetId is given (kept for backwards compatibility)
+const DEFAULT_CSV_PATH = './India.csv';
+
+// Header names recognised for each logical column, in order of preference
+const COLUMN_CANDIDATES = {
+  id: ['id', 'tweet_id', 'status_id', 'id_str'],
+  text: ['tweet', 'text', 'full_text', 'content', 'message', 'body'],
+  date: ['date', 'created_at', 'timestamp', 'time', 'datetime'],
+  language: ['language', 'lang', 'locale'],
+  hashtags: ['hashtags', 'hashtag', 'tags', 'entities.hashtags'],
+  conversationId: ['conversation_id', 'conversationid', 'thread_id'],
+};
+
+export const COLUMN_ROLES = Object.keys(COLUMN_CANDIDATES);
+
+// Appends in progress per dataset; appends to the same dataset run one after another
+const appendQueues = new Map();
+
+function datasetsDir() {
+  return dataPath('datasets');
+}
+
+function metadataPath(id) {
+  return path.join(datasetsDir(), `${id}.json`);
+}
+
+// Function to guess which header holds each logical column
+export function detectColumns(headers) {
+  const normalised = headers.map((header) => header.trim().toLowerCase());
+  const columns = {};
+  for (const role of COLUMN_ROLES) {
+    const index = COLUMN_CANDIDATES[role]
+      .map((candidate) => normalised.indexOf(candidate))
+      .find((position) => position !== -1);
+    columns[role] = index === undefined ? null : headers[index];
+  }
+  return columns;
+}
+
+// Function to merge a user supplied column mapping over the detected one, rejecting unknown headers
+function resolveColumns(headers, overrides = {}) {
+  const columns = detectColumns(headers);
+  for (const [role, header] of Object.entries(overrides)) {
+    if (!COLUMN_ROLES.includes(role)) {
+      throw createHttpError(400, `Unknown column role "${role}".`, { allowedRoles: COLUMN_ROLES });
+    }
+    if (header !== null && !headers.includes(header)) {
+      throw createHttpError(400, `Column "${header}" does not exist in the uploaded file.`, { headers });
+    }
+    columns[role] = header;
+  }
+  if (!columns.text) {
+    throw createHttpError(400, 'Could not detect the text column. Pass it explicitly, e.g. columns={"text":"tweet"}.', { headers });
+  }
+  return columns;
+}
+
+/**
+ * Registers an uploaded file as a new dataset. The format (csv, tsv, jsonl or json) comes from the
+ * original file name or the file's first bytes; malformed rows are counted, with the first few
+ * errors kept in the metadata, and are skipped whenever the dataset is read.
+ */
+export async function createDataset({ filePath, originalName, name, columns: overrides }) {
+  const format = await detectFormat(filePath, originalName);
+  const { headers, rowCount, report } = await inspectFile(filePath, { format });
+  if (rowCount === 0) {
+    throw createHttpError(422, `Uploaded ${format.toUpperCase()} file has no readable rows.`, { malformed: report.malformed, errors: report.errors });
+  }
+  const columns = resolveColumns(headers, overrides);
+
+  const id = randomUUID();
+  // The data file keeps its format's extension; ".data" keeps it apart from the <id>.json metadata
+  const fileName = `${id}.data.${format}`;
+  await fs.promises.rename(filePath, path.join(datasetsDir(), fileName));
+
+  const dataset = {
+    id,
+    name: name || path.parse(originalName || fileName).name,
+    originalName: originalName || null,
+    fileName,
+    size: (await fs.promises.stat(path.join(datasetsDir(), fileName))).size,
+    format,
+    rowCount,
+    malformedRows: { count: report.malformed, errors: report.errors },
+    headers,
+    columns,
+    createdAt: new Date().toISOString(),
+  };
+  await writeJson(metadataPath(id), dataset);
+  return dataset;
+}
+
+async function endsWithNewline(filePath) {
+  const { size } = await fs.promises.stat(filePath);
+  if (size === 0) {
+    return true;
+  }
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+    return buffer[0] === 0x0a;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Function to rewrite a JSON array dataset as JSON Lines, which can be appended to
+async function convertToJsonLines(dataset) {
+  const fileName = `${dataset.id}.data.jsonl`;
+  const lines = async function* () {
+    for await (const row of streamRows(path.join(datasetsDir(), dataset.fileName), { format: 'json' })) {
+      yield serializeRow(row, { format: 'jsonl' });
+    }
+  };
+  await pipeline(Readable.from(lines()), fs.createWriteStream(path.join(datasetsDir(), fileName)));
+  const converted = { ...dataset, fileName, format: 'jsonl' };
+  await writeJson(metadataPath(dataset.id), converted);
+  await fs.promises.rm(path.join(datasetsDir(), dataset.fileName), { force: true });
+  return converted;
+}
+
+async function appendRows(id, { filePath, originalName }) {
+  let dataset = await getDataset(id);
+  const uploadFormat = await detectFormat(filePath, originalName);
+  const { headers, rowCount, report } = await inspectFile(filePath, { format: uploadFormat });
+  if (rowCount === 0) {
+    throw createHttpError(422, `Uploaded ${uploadFormat.toUpperCase()} file has no readable rows.`, { malformed: report.malformed, errors: report.errors });
+  }
+  if (!headers.includes(dataset.columns.text)) {
+    throw createHttpError(400, `The uploaded file has no "${dataset.columns.text}" column, which holds this dataset's text.`, { headers });
+  }
+
+  if (dataset.format === 'json') {
+    dataset = await convertToJsonLines(dataset);
+  }
+  const format = dataset.format || 'csv';
+  const delimited = format === 'csv' || format === 'tsv';
+  const target = path.join(datasetsDir(), dataset.fileName);
+  const separator = (await endsWithNewline(target)) ? '' : '\n';
+  const lines = async function* () {
+    yield separator;
+    for await (const row of streamRows(filePath, { format: uploadFormat })) {
+      yield serializeRow(row, { format, headers: dataset.headers });
+    }
+  };
+  await pipeline(Readable.from(lines()), fs.createWriteStream(target, { flags: 'a' }));
+
+  const updated = {
+    ...dataset,
+    // CSV and TSV keep their header row; JSON Lines records may bring new keys
+    headers: delimited ? dataset.headers : [...new Set([...dataset.headers, ...headers])],
+    size: (await fs.promises.stat(target)).size,
+    rowCount: dataset.rowCount + rowCount,
+    updatedAt: new Date().toISOString(),
+  };
+  await writeJson(metadataPath(id), updated);
+  return {
+    dataset: updated,
+    appended: {
+      format: uploadFormat,
+      rows: rowCount,
+      malformedRows: { count: report.malformed, errors: report.errors },
+      ignoredColumns: delimited ? headers.filter((header) => !dataset.headers.includes(header)) : [],
+    },
+  };
+}
+
+/**
+ * Appends the rows of an uploaded file (any input format) to a dataset, so analyses and watches
+ * see the new tweets. Rows are written in the dataset's own format: CSV and TSV rows are
+ * matched to the existing header row, columns it does not have are ignored (and listed), and a
+ * JSON array dataset is first converted to JSON Lines. Malformed rows of the upload are skipped.
+ * Row positions do not change, so scores stored for the existing rows stay valid.
+ */
+export function appendToDataset(id, upload) {
+  const previous = appendQueues.get(id) || Promise.resolve();
+  const append = previous.then(() => appendRows(id, upload));
+  appendQueues.set(id, append.catch(() => {}));
+  return append;
+}
+
+export async function listDatasets() {
+  const entries = await fs.promises.readdir(datasetsDir());
+  const datasets = await Promise.all(
+    entries.filter((entry) => /^[0-9a-f-]{36}\.json$/i.test(entry)).map((entry) => readJson(path.join(datasetsDir(), entry)))
+  );
+  return datasets.filter(Boolean).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function getDataset(id) {
+  // Ids are UUIDs; anything else could be an attempt to escape the datasets directory
+  if (!/^[0-9a-f-]{36}$/i.test(id)) {
+    throw createHttpError(404, `Dataset ${id} not found.`);
+  }
+  const dataset = await readJson(metadataPath(id));
+  if (!dataset) {
+    throw createHttpError(404, `Dataset ${id} not found.`);
+  }
+  return dataset;
+}
+
+export async function deleteDataset(id) {
+  const dataset = await getDataset(id);
+  await fs.promises.rm(path.join(datasetsDir(), dataset.fileName), { force: true });
+  await fs.promises.rm(metadataPath(id), { force: true });
+  return dataset;
+}
+
+// Function to return the first few rows of a dataset for inspection
+export async function previewDataset(id, limit = 5) {
+  const dataset = await getDataset(id);
+  const { rows } = await readRows(path.join(datasetsDir(), dataset.fileName), { format: dataset.format || 'csv', limit });
+  return rows;
+}
+
+/**
+ * Resolves the file and column mapping an analysis route should read.
+ * Without a datasetId this falls back to the legacy ./India.csv in the project root.
+ */
+export async function resolveDatasetSource(datasetId) {
+  if (datasetId) {
+    const dataset = await getDataset(datasetId);
+    // Roles added after a dataset was uploaded are filled in by detection
+    const columns = { ...detectColumns(dataset.headers), ...dataset.columns };
+    return {
+      id: dataset.id,
+      filePath: path.join(datasetsDir(), dataset.fileName),
+      format: dataset.format || 'csv',
+      headers: dataset.headers,
+      columns,
+    };
+  }
+
+  const filePath = process.env.DEFAULT_CSV_PATH || DEFAULT_CSV_PATH;
+  if (!fs.existsSync(filePath)) {
+    throw createHttpError(404, `No datasetId given and the default dataset ${filePath} was not found. Upload a dataset via POST /datasets.`);
+  }
+  const headers = await readHeaders(filePath, { format: 'csv' });
+  return { id: null, filePath, format: 'csv', headers, columns: detectColumns(headers) };
+}
@@ -0,0 +1,236 @@
+import path from 'path';
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import { detectColumns } from './datasets.js';
+import { detectFormat, readRows } from './ingest.js';
+import { resolveProvider } from './providers/index.js';
+import { scoreTweets, toTweets } from './sentiment.js';
+import { describeTemplate, resolveTemplate } from './templates.js';
+import { getLanguage } from '../utils/tweets.js';
+import { dataPath, readJson, writeJson } from '../utils/storage.js';
+import { createHttpError } from '../utils/errors.js';
+
+// Evaluation of the sentiment prompt against a human-labelled gold set. A gold set is a CSV with an
+// id, the tweet text and a gold 1-5 score (optionally a language column for the per-language breakdown).
+
+const SCORES = [1, 2, 3, 4, 5];
+const GOLD_COLUMN_CANDIDATES = ['gold', 'gold_score', 'label', 'human_score', 'sentiment_score', 'score', 'sentiment'];
+const MAX_VARIANTS = 4;
+
+function evaluationsDir() {
+  return dataPath('evaluations');
+}
+
+function round(value, digits = 4) {
+  return value === null || Number.isNaN(value) ? null : parseFloat(value.toFixed(digits));
+}
+
+// Function to guess the gold score column of a labelled CSV
+export function detectGoldColumn(headers) {
+  const normalised = headers.map((header) => header.trim().toLowerCase());
+  const index = GOLD_COLUMN_CANDIDATES.map((candidate) => normalised.indexOf(candidate)).find((position) => position !== -1);
+  return index === undefined ? null : headers[index];
+}
+
+/**
+ * Reads a labelled file (CSV, TSV, JSON Lines or JSON; detected from the path when `format` is not
+ * given) into gold items { id, text, gold, row }. Rows whose gold score is not an integer 1-5 or
+ * whose text is empty are counted as invalid and left out; unreadable rows are counted as malformed.
+ */
+export async function loadGoldSet(filePath, { format, columns: overrides = {}, goldColumn } = {}) {
+  const { rows, report } = await readRows(filePath, { format: format || await detectFormat(filePath) });
+  const { headers } = report;
+  const columns = { ...detectColumns(headers), ...overrides };
+  const gold = goldColumn || detectGoldColumn(headers);
+  if (!columns.text || !gold || !headers.includes(gold)) {
+    throw createHttpError(400, 'The gold set needs a text column and a gold score column (e.g. "gold").', { headers });
+  }
+
+  const { tweets, skipped } = toTweets(rows, columns);
+  const items = [];
+  let invalid = skipped.length;
+  for (const tweet of tweets) {
+    const score = Number(tweet.row[gold]);
+    if (Number.isInteger(score) && score >= 1 && score <= 5) {
+      items.push({ ...tweet, gold: score });
+    } else {
+      invalid += 1;
+    }
+  }
+  if (items.length === 0) {
+    throw createHttpError(422, `No rows with a valid 1-5 gold score in column "${gold}".`);
+  }
+  return { items, columns, goldColumn: gold, invalid, malformed: report.malformed };
+}
+
+/**
+ * Agreement metrics between gold and predicted 1-5 scores: accuracy, mean absolute error,
+ * per-class precision/recall/F1, the 5x5 confusion matrix (rows = gold, columns = predicted),
+ * Cohen's kappa and quadratic-weighted kappa (which credits near misses on the ordinal scale).
+ */
+export function computeMetrics(pairs) {
+  const n = pairs.length;
+  const matrix = SCORES.map(() => SCORES.map(() => 0));
+  let correct = 0;
+  let absoluteError = 0;
+  for (const { gold, predicted } of pairs) {
+    matrix[gold - 1][predicted - 1] += 1;
+    if (gold === predicted) correct += 1;
+    absoluteError += Math.abs(gold - predicted);
+  }
+  if (n === 0) {
+    return { count: 0, accuracy: null, mae: null, kappa: null, weightedKappa: null, perClass: {}, confusionMatrix: matrix };
+  }
+
+  const goldTotals = matrix.map((row) => row.reduce((sum, value) => sum + value, 0));
+  const predictedTotals = SCORES.map((_, column) => matrix.reduce((sum, row) => sum + row[column], 0));
+
+  const perClass = {};
+  for (const score of SCORES) {
+    const truePositives = matrix[score - 1][score - 1];
+    const precision = predictedTotals[score - 1] ? truePositives / predictedTotals[score - 1] : null;
+    const recall = goldTotals[score - 1] ? truePositives / goldTotals[score - 1] : null;
+    const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : (precision === null || recall === null ? null : 0);
+    perClass[score] = { precision: round(precision), recall: round(recall), f1: round(f1), support: goldTotals[score - 1] };
+  }
+
+  const observed = correct / n;
+  const expected = SCORES.reduce((sum, _, k) => sum + (goldTotals[k] / n) * (predictedTotals[k] / n), 0);
+  const kappa = expected === 1 ? null : (observed - expected) / (1 - expected);
+
+  let weightedObserved = 0;
+  let weightedExpected = 0;
+  for (let i = 0; i < SCORES.length; i += 1) {
+    for (let j = 0; j < SCORES.length; j += 1) {
+      const weight = ((i - j) ** 2) / ((SCORES.length - 1) ** 2);
+      weightedObserved += weight * matrix[i][j];
+      weightedExpected += weight * ((goldTotals[i] * predictedTotals[j]) / n);
+    }
+  }
+  const weightedKappa = weightedExpected === 0 ? null : 1 - weightedObserved / weightedExpected;
+
+  return {
+    count: n,
+    accuracy: round(observed),
+    mae: round(absoluteError / n),
+    kappa: round(kappa),
+    weightedKappa: round(weightedKappa),
+    perClass,
+    confusionMatrix: matrix,
+  };
+}
+
+// Function to score the gold set with one provider/model/template variant and compute its metrics
+async function evaluateVariant(items, columns, variant) {
+  const { provider, model, info } = resolveProvider(variant);
+  const template = await resolveTemplate('sentiment', variant.template);
+  const { results, batches, validation } = await scoreTweets(items, { provider, model, template });
+  const predictedById = new Map(results.map((item) => [item.id, item.sentiment_score]));
+
+  const pairs = items
+    .filter((item) => predictedById.has(item.id))
+    .map((item) => ({ id: item.id, gold: item.gold, predicted: predictedById.get(item.id), language: getLanguage(item.row, columns) }));
+
+  const byLanguage = {};
+  for (const language of [...new Set(pairs.map((pair) => pair.language))].sort()) {
+    byLanguage[language] = computeMetrics(pairs.filter((pair) => pair.language === language));
+  }
+
+  return {
+    variant: { ...info, template: describeTemplate(template) },
+    coverage: { total: items.length, scored: pairs.length, unscored: items.length - pairs.length },
+    batches,
+    validation: { unresolved: validation.unresolved.length, repaired: validation.repaired },
+    overall: computeMetrics(pairs),
+    byLanguage,
+    predictions: pairs,
+  };
+}
+
+// Function to compare every variant with the first one on the same gold items
+function compareVariants(reports) {
+  const [baseline, ...others] = reports;
+  const baselinePredictions = new Map(baseline.predictions.map((pair) => [pair.id, pair.predicted]));
+  return others.map((report) => {
+    const shared = report.predictions.filter((pair) => baselinePredictions.has(pair.id));
+    const agreement = shared.filter((pair) => pair.predicted === baselinePredictions.get(pair.id)).length;
+    const delta = (key) => (report.overall[key] === null || baseline.overall[key] === null
+      ? null
+      : round(report.overall[key] - baseline.overall[key]));
+    const byLanguage = {};
+    for (const language of Object.keys(report.byLanguage)) {
+      const base = baseline.byLanguage[language];
+      byLanguage[language] = base && base.accuracy !== null
+        ? { accuracy: round(report.byLanguage[language].accuracy - base.accuracy), mae: round(report.byLanguage[language].mae - base.mae) }
+        : null;
+    }
+    return {
+      baseline: baseline.variant,
+      candidate: report.variant,
+      accuracy: delta('accuracy'),
+      mae: delta('mae'),
+      kappa: delta('kappa'),
+      weightedKappa: delta('weightedKappa'),
+      byLanguage,
+      agreementWithBaseline: shared.length ? round(agreement / shared.length) : null,
+    };
+  });
+}
+
+/**
+ * Runs a gold set through one or more variants ({ provider, model, template }) and saves the report.
+ * With several variants the report also holds deltas of each variant against the first one.
+ */
+export async function runEvaluation({ filePath, format, name, columns, goldColumn, variants }) {
+  const requested = variants === undefined || (Array.isArray(variants) && variants.length === 0) ? [{}] : variants;
+  if (!Array.isArray(requested) || requested.length > MAX_VARIANTS) {
+    throw createHttpError(400, `"variants" must be an array of at most ${MAX_VARIANTS} { provider, model, template } objects.`);
+  }
+  for (const variant of requested) {
+    resolveProvider(variant);
+    await resolveTemplate('sentiment', variant.template);
+  }
+
+  const goldSet = await loadGoldSet(filePath, { format, columns, goldColumn });
+  const reports = [];
+  for (const variant of requested) {
+    reports.push(await evaluateVariant(goldSet.items, goldSet.columns, variant));
+  }
+
+  const evaluation = {
+    id: randomUUID(),
+    name: name || path.parse(filePath).name,
+    goldColumn: goldSet.goldColumn,
+    items: goldSet.items.length,
+    invalidRows: goldSet.invalid,
+    malformedRows: goldSet.malformed,
+    variants: reports,
+    comparison: reports.length > 1 ? compareVariants(reports) : null,
+    createdAt: new Date().toISOString(),
+  };
+  await writeJson(path.join(evaluationsDir(), `${evaluation.id}.json`), evaluation);
+  return evaluation;
+}
+
+// Function to list saved evaluations without their per-tweet predictions
+export async function listEvaluations() {
+  const entries = await fs.promises.readdir(evaluationsDir());
+  const evaluations = await Promise.all(
+    entries.filter((entry) => entry.endsWith('.json')).map((entry) => readJson(path.join(evaluationsDir(), entry)))
+  );
+  return evaluations
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ variants, ...evaluation }) => ({
+      ...evaluation,
+      variants: variants.map(({ variant, overall }) => ({ variant, accuracy: overall.accuracy, mae: overall.mae, kappa: overall.kappa })),
+    }));
+}
+
+export async function getEvaluation(id) {
+  const evaluation = /^[0-9a-f-]{36}$/i.test(id) ? await readJson(path.join(evaluationsDir(), `${id}.json`)) : null;
+  if (!evaluation) {
+    throw createHttpError(404, `Evaluation ${id} not found.`);
+  }
+  return evaluation;
+}
@@ -0,0 +1,218 @@
+import { analyzeTrends, generateInsights, generateSummary } from './analyses.js';
+import { getDataset, resolveDatasetSource } from './datasets.js';
+import { streamRows } from './ingest.js';
+import { promptVersionFor } from './pipeline.js';
+import { resolveProvider } from './providers/index.js';
+import { indexScores, resultForRow } from './resultStore.js';
+import { summariseScores } from './sentiment.js';
+import { describeTemplate, resolveTemplate } from './templates.js';
+import { createHttpError } from '../utils/errors.js';
+import { XLSX_CONTENT_TYPE, writeXlsx } from '../utils/xlsx.js';
+
+// Exports of scored tweets and of the trends/insights/summary report. Tweet exports stream the
+// dataset row by row and join each row with its stored score from the result cache, so the dataset
+// is never held in memory; tweets are scored beforehand by the analysis routes or a job.
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'xlsx'];
+export const REPORT_FORMATS = ['md', 'json'];
+
+// Computed fields appended to every exported row, taken from the stored result, per ?detail=
+const RESULT_FIELDS = {
+  basic: ['sentiment_score'],
+  extended: ['sentiment_score', 'emotions', 'sarcasm', 'confidence', 'rationale'],
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  xlsx: XLSX_CONTENT_TYPE,
+  md: 'text/markdown; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+function parseFormat(value, formats, fallback) {
+  const format = value || fallback;
+  if (!formats.includes(format)) {
+    throw createHttpError(400, `format must be one of ${formats.join(', ')}.`);
+  }
+  return format;
+}
+
+// Function to name export files after the dataset
+async function datasetName(datasetId) {
+  const name = datasetId ? (await getDataset(datasetId)).name : 'India';
+  return name.replace(/[^\w.-]+/g, '_') || 'dataset';
+}
+
+// Function to flatten list fields (emotions) for the tabular formats
+function flatten(value) {
+  return Array.isArray(value) ? value.join(';') : value;
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvField).join(',')}\n`;
+}
+
+// Function to stream a dataset's rows, each with its stored result or null. Rows are matched to
+// scores by the id column, or by row number like toTweets does, and a score is only used when it
+// was computed for the row's current text
+async function* rowsWithResults(source, scores) {
+  let index = 0;
+  for await (const row of streamRows(source.filePath, { format: source.format })) {
+    const id = String(source.columns.id ? row[source.columns.id] : index);
+    index += 1;
+    yield { id, row, result: resultForRow(scores.get(id), row[source.columns.text]) };
+  }
+}
+
+/**
+ * Prepares a streamed export of a dataset's rows enriched with their stored scores for one
+ * provider/model/template (?provider=, ?model=, ?template=, as used when scoring).
+ * ?detail=extended exports the emotions, sarcasm, confidence and rationale of ?detail=extended runs.
+ * Rows without a stored score are exported with empty computed fields unless ?scoredOnly=true.
+ * Returns { fileName, contentType, chunks } where chunks is an async iterable for the response.
+ */
+export async function prepareTweetExport(params) {
+  const format = parseFormat(params.format, EXPORT_FORMATS, 'csv');
+  const detail = params.detail || 'basic';
+  if (!RESULT_FIELDS[detail]) {
+    throw createHttpError(400, 'detail must be "basic" or "extended".');
+  }
+  const fields = RESULT_FIELDS[detail];
+  const { provider, model } = resolveProvider(params);
+  const template = await resolveTemplate('sentiment', params.template);
+  const source = await resolveDatasetSource(params.datasetId);
+  const { headers } = source;
+  const promptVersion = promptVersionFor(template, detail === 'extended' ? 'signals' : 'sentiment');
+  const scores = await indexScores({ datasetId: source.id, provider: provider.name, model, promptVersion });
+  const scoredOnly = params.scoredOnly === 'true';
+  const columns = [...headers, ...fields.filter((field) => !headers.includes(field))];
+
+  async function* enrichedRows() {
+    for await (const { row, result } of rowsWithResults(source, scores)) {
+      if (scoredOnly && !result) {
+        continue;
+      }
+      const enriched = { ...row };
+      for (const field of fields) {
+        enriched[field] = result ? result[field] ?? null : null;
+      }
+      yield enriched;
+    }
+  }
+
+  async function* chunks() {
+    if (format === 'csv') {
+      yield csvLine(columns);
+      for await (const row of enrichedRows()) {
+        yield csvLine(columns.map((column) => flatten(row[column])));
+      }
+    } else if (format === 'ndjson') {
+      for await (const row of enrichedRows()) {
+        yield `${JSON.stringify(row)}\n`;
+      }
+    } else {
+      async function* values() {
+        for await (const row of enrichedRows()) {
+          yield columns.map((column) => flatten(row[column]));
+        }
+      }
+      yield* writeXlsx({ sheetName: 'Scored tweets', headers: columns, rows: values() });
+    }
+  }
+
+  const name = await datasetName(source.id);
+  return {
+    fileName: `${name}-${promptVersion}-scored.${format}`,
+    contentType: CONTENT_TYPES[format],
+    scored: scores.size,
+    chunks: chunks(),
+  };
+}
+
+// Function to render the report as Markdown
+function reportMarkdown(report) {
+  const lines = [
+    `# ${report.title}`,
+    '',
+    `Generated ${report.generatedAt} with ${report.provider.name} (${report.provider.model}).`,
+    '',
+  ];
+  if (report.sentiment) {
+    lines.push(`## Sentiment (${report.sentiment.scored} stored scores, template ${report.sentiment.template.id})`, '');
+    lines.push('| Score | Count | % |', '| --- | --- | --- |');
+    for (const [score, { count, percentage }] of Object.entries(report.sentiment.summary)) {
+      lines.push(`| ${score} | ${count} | ${percentage} |`);
+    }
+    lines.push('');
+  }
+  lines.push('## Trends', '');
+  for (const trend of report.trends) {
+    lines.push(`### ${trend.title}`, '', trend.description, '');
+  }
+  lines.push('## Insights', '', ...report.insights.map((insight) => `- ${insight}`), '');
+  lines.push('## Summary', '', report.summary, '');
+  return lines.join('\n');
+}
+
+// Function to collect the stored results of a dataset that the tweet export would include, once per tweet
+async function currentResults(source, scores) {
+  const results = new Map();
+  for await (const { id, result } of rowsWithResults(source, scores)) {
+    if (result && !results.has(id)) {
+      results.set(id, result);
+    }
+  }
+  return [...results.values()];
+}
+
+/**
+ * Builds one report file from the trends, insights and summary analyses of a dataset, plus the
+ * distribution of its stored sentiment scores (those still computed for their row's text, as in
+ * the tweet export). Each analysis takes its own template through
+ * ?trendsTemplate=, ?insightsTemplate= and ?summaryTemplate=; ?lang= translates all three.
+ */
+export async function buildReport(params) {
+  const format = parseFormat(params.format, REPORT_FORMATS, 'md');
+  const { provider, model, info } = resolveProvider(params);
+  const sentimentTemplate = await resolveTemplate('sentiment', params.template);
+  const source = await resolveDatasetSource(params.datasetId);
+
+  const trends = await analyzeTrends({ ...params, template: params.trendsTemplate });
+  const insights = await generateInsights({ ...params, template: params.insightsTemplate });
+  const summary = await generateSummary({ ...params, template: params.summaryTemplate });
+  const scores = await indexScores({ datasetId: source.id, provider: provider.name, model, promptVersion: sentimentTemplate.id });
+  const results = await currentResults(source, scores);
+
+  const name = await datasetName(source.id);
+  const report = {
+    title: `Sentiment report: ${name}`,
+    datasetId: source.id,
+    generatedAt: new Date().toISOString(),
+    provider: info,
+    ingestion: summary.ingestion,
+    preprocessing: summary.preprocessing,
+    selection: summary.selection,
+    templates: { trends: trends.template, insights: insights.template, summary: summary.template },
+    ...(params.lang && {
+      translation: { trends: trends.translation ?? null, insights: insights.translation ?? null, summary: summary.translation ?? null },
+    }),
+    sentiment: results.length > 0
+      ? { scored: results.length, template: describeTemplate(sentimentTemplate), summary: summariseScores(results) }
+      : null,
+    trends: trends.trends,
+    insights: insights.insights,
+    summary: summary.summary,
+  };
+
+  return {
+    fileName: `${name}-report.${format}`,
+    contentType: CONTENT_TYPES[format],
+    body: format === 'md' ? reportMarkdown(report) : JSON.stringify(report, null, 2),
+  };
+}
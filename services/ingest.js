@@ -0,0 +1,406 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { pipeline } from 'stream';
+import csvParser from 'csv-parser';
+import { createHttpError } from '../utils/errors.js';
+
+// Streaming ingestion of dataset files. CSV, TSV, JSON Lines and JSON arrays (including Twitter/X
+// API dumps such as { "data": [...] }) are all read as a stream of flat rows of strings, one row at a
+// time, so a reader can stop as soon as it has what it needs and large files never sit in memory.
+// Rows that cannot be read are counted in the report and skipped rather than aborting the read.
+
+export const INPUT_FORMATS = ['csv', 'tsv', 'jsonl', 'json'];
+
+const EXTENSIONS = {
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.json': 'json',
+};
+
+// Keys of a top-level JSON object whose array holds the records (Twitter API v2 and v1.1 search)
+const RECORD_ARRAY_KEYS = ['data', 'statuses', 'tweets', 'results', 'records'];
+// Properties used to label the objects of a nested array, e.g. entities.hashtags -> "india, usa"
+const LABEL_KEYS = ['tag', 'text', 'username', 'screen_name', 'name'];
+
+const MAX_REPORTED_ERRORS = 20;
+const MAX_RECORD_CHARS = 1024 * 1024;
+const HEADER_SAMPLE_ROWS = 1000;
+
+// Function to map a file name's extension to an input format, null when it is not recognised
+export function formatFromName(name) {
+  return EXTENSIONS[path.extname(name || '').toLowerCase()] || null;
+}
+
+/**
+ * Picks the format of a file from its (original) name, or else from its first bytes: '[' is a
+ * JSON array, '{' is JSON Lines or a JSON object, and a tab in the first line means TSV.
+ */
+export async function detectFormat(filePath, name) {
+  const byName = formatFromName(name) || formatFromName(filePath);
+  if (byName) {
+    return byName;
+  }
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4096), 0, 4096, 0);
+    const head = buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '');
+    const first = head.trimStart()[0];
+    if (first === '[') {
+      return 'json';
+    }
+    if (first === '{') {
+      const firstLine = head.trimStart().split('\n')[0].trim();
+      return firstLine.endsWith('}') ? 'jsonl' : 'json';
+    }
+    return head.split('\n')[0].includes('\t') ? 'tsv' : 'csv';
+  } finally {
+    await handle.close();
+  }
+}
+
+// Function to start the report streamRows fills in
+export function createIngestReport(format) {
+  return { format, headers: [], rows: 0, blank: 0, malformed: 0, errors: [], complete: false };
+}
+
+function recordError(report, location, reason) {
+  report.malformed += 1;
+  if (report.errors.length < MAX_REPORTED_ERRORS) {
+    report.errors.push({ ...location, reason });
+  }
+}
+
+function label(item) {
+  const key = LABEL_KEYS.find((candidate) => typeof item[candidate] === 'string');
+  return key ? item[key] : null;
+}
+
+/**
+ * Flattens a JSON record into a row of strings: nested objects become dotted keys
+ * ("public_metrics.like_count"), arrays of values are joined with ", ", arrays of objects with a
+ * tag/text/name are joined by that label (so entities.hashtags reads like a hashtags column) and
+ * any other array is kept as JSON.
+ */
+export function flattenRecord(record, prefix = '', row = {}) {
+  for (const [key, value] of Object.entries(record)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value === null || value === undefined) {
+      row[name] = '';
+    } else if (Array.isArray(value)) {
+      const labels = value.map((item) => (item !== null && typeof item === 'object' ? label(item) : String(item)));
+      row[name] = labels.every((item) => item !== null) ? labels.join(', ') : JSON.stringify(value);
+    } else if (typeof value === 'object') {
+      flattenRecord(value, name, row);
+    } else {
+      row[name] = String(value);
+    }
+  }
+  return row;
+}
+
+// Function to turn parsed JSON into a row, or explain why it is not one
+function toRecordRow(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return { reason: 'Record is not a JSON object.' };
+  }
+  return { row: flattenRecord(value) };
+}
+
+// Function to keep the union of the keys seen so far as the headers of a JSON input
+function headerTracker(report) {
+  const seen = new Set();
+  return (row) => {
+    for (const key of Object.keys(row)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        report.headers.push(key);
+      }
+    }
+  };
+}
+
+async function* delimitedRows(filePath, report, separator) {
+  const parser = csvParser({
+    separator,
+    mapHeaders: ({ header, index }) => (index === 0 ? header.replace(/^\uFEFF/, '') : header),
+  });
+  const input = fs.createReadStream(filePath);
+  parser.on('headers', (headers) => { report.headers = headers; });
+  pipeline(input, parser, () => {});
+  let record = 0;
+  try {
+    for await (const row of parser) {
+      record += 1;
+      const cells = Object.keys(row).length;
+      if (cells === 0) {
+        report.blank += 1;
+      } else if (cells !== report.headers.length) {
+        recordError(report, { record }, `Expected ${report.headers.length} fields, found ${cells}.`);
+      } else {
+        yield row;
+      }
+    }
+  } finally {
+    input.destroy();
+  }
+}
+
+async function* jsonLinesRows(filePath, report) {
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const track = headerTracker(report);
+  let line = 0;
+  try {
+    for await (const text of lines) {
+      line += 1;
+      const trimmed = (line === 1 ? text.replace(/^\uFEFF/, '') : text).trim();
+      if (!trimmed) {
+        report.blank += 1;
+        continue;
+      }
+      let parsed;
+      try {
+        parsed = JSON.parse(trimmed);
+      } catch (error) {
+        recordError(report, { line }, `Invalid JSON: ${error.message}`);
+        continue;
+      }
+      const { row, reason } = toRecordRow(parsed);
+      if (reason) {
+        recordError(report, { line }, reason);
+        continue;
+      }
+      track(row);
+      yield row;
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+/**
+ * Reads the records of a JSON array without parsing the whole document: a scanner tracks strings
+ * and nesting depth and cuts out each element of the record array, which is then parsed on its own.
+ * The record array is the document itself or, for an object, its first array under one of
+ * RECORD_ARRAY_KEYS. Reading stops at the end of that array.
+ */
+async function* jsonArrayRows(filePath, report) {
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const track = headerTracker(report);
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let root = null;
+  let recordDepth = null;
+  let finished = false;
+  // Root object key tracking: the key being read, the last key read and whether a value follows
+  let key = null;
+  let lastKey = null;
+  let awaitingValue = false;
+  // The element being cut out: its parts from earlier chunks, where it starts in this chunk and
+  // whether it outgrew MAX_RECORD_CHARS (its text is then dropped and it is reported instead)
+  let parts = null;
+  let partsLength = 0;
+  let oversized = false;
+  let startIndex = 0;
+  let record = 0;
+
+  function* emit(text) {
+    record += 1;
+    if (oversized) {
+      recordError(report, { record }, `Record is larger than ${MAX_RECORD_CHARS} characters.`);
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      recordError(report, { record }, `Invalid JSON: ${error.message}`);
+      return;
+    }
+    const { row, reason } = toRecordRow(parsed);
+    if (reason) {
+      recordError(report, { record }, reason);
+      return;
+    }
+    track(row);
+    yield row;
+  }
+
+  try {
+    for await (const chunk of input) {
+      startIndex = 0;
+      for (let i = 0; i < chunk.length && !finished; i += 1) {
+        const char = chunk[i];
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (char === '\\') {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+          } else if (key !== null) {
+            key += char;
+          }
+          continue;
+        }
+        if (root === null) {
+          if (char === '[') {
+            root = 'array';
+            recordDepth = 1;
+            depth = 1;
+          } else if (char === '{') {
+            root = 'object';
+            depth = 1;
+          } else if (!/[\s\uFEFF]/.test(char)) {
+            throw createHttpError(422, 'The JSON file must hold an array of records or an object with a "data" array.');
+          }
+          continue;
+        }
+
+        if (depth === recordDepth) {
+          if (/\s/.test(char) && parts === null) {
+            continue;
+          }
+          if (char === ',' || char === ']') {
+            if (parts !== null) {
+              parts.push(chunk.slice(startIndex, i));
+              yield* emit(parts.join(''));
+              parts = null;
+            }
+            if (char === ']') {
+              finished = true;
+            }
+            continue;
+          }
+          if (parts === null) {
+            parts = [];
+            partsLength = 0;
+            oversized = false;
+            startIndex = i;
+          }
+        }
+
+        if (char === '"') {
+          inString = true;
+          if (root === 'object' && depth === 1 && recordDepth === null && !awaitingValue) {
+            key = '';
+          }
+        } else if (char === '{' || char === '[') {
+          if (root === 'object' && depth === 1 && recordDepth === null && awaitingValue
+            && char === '[' && RECORD_ARRAY_KEYS.includes(lastKey)) {
+            recordDepth = 2;
+          }
+          depth += 1;
+          awaitingValue = false;
+        } else if (char === '}' || char === ']') {
+          depth -= 1;
+        } else if (char === ':' && depth === 1) {
+          lastKey = key;
+          key = null;
+          awaitingValue = true;
+        } else if (char === ',' && depth === 1) {
+          awaitingValue = false;
+        }
+      }
+      if (finished) {
+        break;
+      }
+      if (parts !== null) {
+        partsLength += chunk.length - startIndex;
+        oversized = oversized || partsLength > MAX_RECORD_CHARS;
+        parts = oversized ? [] : [...parts, chunk.slice(startIndex)];
+      }
+    }
+  } finally {
+    input.destroy();
+  }
+
+  if (root === 'object' && recordDepth === null) {
+    throw createHttpError(422, `The JSON object has no array of records under ${RECORD_ARRAY_KEYS.map((name) => `"${name}"`).join(', ')}.`);
+  }
+  if (!finished && root !== null) {
+    recordError(report, { record: record + 1 }, 'The file ends before the array of records is closed.');
+  }
+}
+
+/**
+ * Streams the rows of a dataset file in `format`. `report` (see readRows) is filled in as rows are
+ * read: the headers, rows yielded, blank lines, malformed rows with the first few errors, and
+ * `complete` once the whole file has been read. Stopping early (break) closes the file.
+ */
+export async function* streamRows(filePath, { format, report = createIngestReport(format) }) {
+  if (!fs.existsSync(filePath)) {
+    throw createHttpError(404, `Dataset file not found: ${filePath}`);
+  }
+  const source = {
+    csv: () => delimitedRows(filePath, report, ','),
+    tsv: () => delimitedRows(filePath, report, '\t'),
+    jsonl: () => jsonLinesRows(filePath, report),
+    json: () => jsonArrayRows(filePath, report),
+  }[format];
+  if (!source) {
+    throw createHttpError(400, `Unsupported input format "${format}".`, { formats: INPUT_FORMATS });
+  }
+  for await (const row of source()) {
+    report.rows += 1;
+    yield row;
+  }
+  report.complete = true;
+}
+
+// Function to read the rows [start, start + limit) of a file, stopping once they have been read
+export async function readRows(filePath, { format, start = 0, limit = Infinity }) {
+  const report = createIngestReport(format);
+  const rows = [];
+  if (limit <= 0) {
+    return { rows, report };
+  }
+  let index = 0;
+  for await (const row of streamRows(filePath, { format, report })) {
+    if (index >= start) {
+      rows.push(row);
+    }
+    index += 1;
+    if (rows.length >= limit) {
+      break;
+    }
+  }
+  return { rows, report };
+}
+
+// Function to read a whole file once to learn its headers and count its rows
+export async function inspectFile(filePath, { format }) {
+  const report = createIngestReport(format);
+  const rows = streamRows(filePath, { format, report });
+  while (!(await rows.next()).done) {
+    // The report counts the rows
+  }
+  return { headers: report.headers, rowCount: report.rows, report };
+}
+
+// Function to read the headers of a file: the header row of CSV/TSV, the keys of the first records of JSON
+export async function readHeaders(filePath, { format }) {
+  const { report } = await readRows(filePath, { format, limit: format === 'csv' || format === 'tsv' ? 1 : HEADER_SAMPLE_ROWS });
+  return report.headers;
+}
+
+function delimitedField(value, separator) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to write a row back out as a line of `format`: CSV/TSV cells in `headers` order (other
+// keys are dropped), JSON Lines as the row's own object. JSON arrays cannot be appended to.
+export function serializeRow(row, { format, headers }) {
+  if (format === 'jsonl') {
+    return `${JSON.stringify(row)}\n`;
+  }
+  const separator = format === 'tsv' ? '\t' : ',';
+  return `${headers.map((header) => delimitedField(row[header], separator)).join(separator)}\n`;
+}
@@ -0,0 +1,227 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { ANALYSES } from './analyses.js';
+import { getDataset } from './datasets.js';
+import { resolveProvider } from './providers/index.js';
+import { parseFilters, parseSampling } from './selection.js';
+import { summariseScores } from './sentiment.js';
+import { resolveTemplate } from './templates.js';
+import { withUsageRoute } from './usage.js';
+import { dataPath, readJson, writeJson } from '../utils/storage.js';
+import { createHttpError } from '../utils/errors.js';
+
+// Background analysis jobs. Each job is persisted to DATA_DIR/jobs/<id>.json after every state
+// change; sentiment-based jobs also checkpoint the results of every completed batch, so a job
+// interrupted by a restart resumes without re-sending the tweets it had already scored.
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export const JOB_TYPES = Object.keys(ANALYSES);
+
+const jobs = new Map();
+const controllers = new Map();
+const events = new EventEmitter();
+const pendingWrites = new Map();
+const queue = [];
+let running = 0;
+
+events.setMaxListeners(0);
+
+// Function to read JOB_CONCURRENCY on every use because dotenv is loaded after this module is imported
+function jobConcurrency() {
+  return Number(process.env.JOB_CONCURRENCY) || 2;
+}
+
+function jobsDir() {
+  return dataPath('jobs');
+}
+
+// Function to save a job and notify subscribers. Writes of the same job are chained because
+// concurrent batches report progress at the same time.
+function persist(job) {
+  job.updatedAt = new Date().toISOString();
+  events.emit(job.id, job);
+  const previous = pendingWrites.get(job.id) || Promise.resolve();
+  const write = previous.then(() => writeJson(path.join(jobsDir(), `${job.id}.json`), job));
+  pendingWrites.set(job.id, write.catch((error) => console.error(`Failed to save job ${job.id}:`, error)));
+  return write;
+}
+
+// Function to return the public view of a job (the checkpoint is internal)
+export function describeJob(job, { includeResult = true } = {}) {
+  const { checkpoint, result, ...rest } = job;
+  return includeResult ? { ...rest, result } : rest;
+}
+
+export async function createJob(type, params = {}) {
+  if (!ANALYSES[type]) {
+    throw createHttpError(400, `Unknown job type "${type}".`, { types: JOB_TYPES });
+  }
+  if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+    throw createHttpError(400, '"params" must be an object of the same parameters the analysis route accepts.');
+  }
+  // Fail fast on the mistakes that would otherwise only show up when the job runs
+  resolveProvider(params);
+  await resolveTemplate(ANALYSES[type].templateType, params.template);
+  if (params.datasetId) {
+    await getDataset(params.datasetId);
+  }
+  parseFilters(params);
+  // Pin the seed of random and stratified samples so a restarted job scores the same rows
+  const { seed } = parseSampling(params);
+  if (seed !== null) {
+    params = { ...params, seed };
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    type,
+    params,
+    status: 'queued',
+    progress: { batchesDone: 0, batchesTotal: null, tweetsScored: 0 },
+    partial: null,
+    result: null,
+    error: null,
+    restarts: 0,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: now,
+    checkpoint: { results: [] },
+  };
+  jobs.set(job.id, job);
+  await persist(job);
+  enqueue(job);
+  return job;
+}
+
+export function getJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    throw createHttpError(404, `Job ${id} not found.`);
+  }
+  return job;
+}
+
+export function listJobs() {
+  return [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function cancelJob(id) {
+  const job = getJob(id);
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    throw createHttpError(409, `Job ${id} has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}.`);
+  }
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(job), 1);
+    await finish(job, 'cancelled');
+  } else {
+    // The running batches finish; the job is marked cancelled when runJob sees the abort
+    controllers.get(id)?.abort();
+  }
+  return job;
+}
+
+// Function to register a listener for every state change of a job; returns the unsubscribe function
+export function subscribeToJob(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+export function isTerminal(job) {
+  return TERMINAL_STATUSES.includes(job.status);
+}
+
+function enqueue(job) {
+  queue.push(job);
+  drainQueue();
+}
+
+function drainQueue() {
+  while (running < jobConcurrency() && queue.length > 0) {
+    const job = queue.shift();
+    running += 1;
+    runJob(job)
+      .catch((error) => console.error(`Job ${job.id} crashed:`, error))
+      .finally(() => {
+        running -= 1;
+        drainQueue();
+      });
+  }
+}
+
+async function finish(job, status, fields = {}) {
+  Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+  if (status === 'completed') {
+    job.checkpoint = { results: [] };
+  }
+  await persist(job);
+}
+
+async function runJob(job) {
+  const analysis = ANALYSES[job.type];
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date().toISOString();
+  await persist(job);
+
+  const batched = typeof analysis.batched === 'function' ? analysis.batched(job.params) : analysis.batched;
+  const options = {};
+  if (batched) {
+    options.reuse = job.checkpoint.results;
+    options.signal = controller.signal;
+    options.onProgress = async ({ batchesDone, batchesTotal, results }) => {
+      job.checkpoint.results.push(...results);
+      job.progress = { batchesDone, batchesTotal, tweetsScored: job.checkpoint.results.length };
+      job.partial = { count: job.checkpoint.results.length, summary: summariseScores(job.checkpoint.results) };
+      await persist(job);
+    };
+  } else {
+    job.progress = { batchesDone: 0, batchesTotal: 1, tweetsScored: 0 };
+  }
+
+  try {
+    const result = await withUsageRoute(`job ${job.type}`, () => analysis.run(job.params, options));
+    const progress = batched ? job.progress : { ...job.progress, batchesDone: 1 };
+    await finish(job, 'completed', { result, progress, error: null });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      await finish(job, 'cancelled');
+    } else {
+      console.error(`Job ${job.id} failed:`, error);
+      await finish(job, 'failed', { error: { message: error.message, status: error.status || 500, details: error.details } });
+    }
+  } finally {
+    controllers.delete(job.id);
+  }
+}
+
+/**
+ * Loads persisted jobs on server start and re-queues those that were queued or running when the
+ * server stopped. Running sentiment jobs continue from their last completed batch.
+ */
+export async function resumeJobs() {
+  const entries = await fs.promises.readdir(jobsDir());
+  const loaded = await Promise.all(
+    entries.filter((entry) => entry.endsWith('.json')).map((entry) => readJson(path.join(jobsDir(), entry)))
+  );
+  const toResume = [];
+  for (const job of loaded.filter(Boolean)) {
+    jobs.set(job.id, job);
+    if (!isTerminal(job)) {
+      job.restarts += job.status === 'running' ? 1 : 0;
+      job.status = 'queued';
+      toResume.push(job);
+    }
+  }
+  toResume.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const job of toResume) {
+    await persist(job);
+    enqueue(job);
+  }
+  return toResume.length;
+}
@@ -0,0 +1,154 @@
+import { estimateTokens } from './csv.js';
+import { currentRoute, recordUsage } from './usage.js';
+import { createHttpError } from '../utils/errors.js';
+
+// The one path every model API call goes through. Before sending, the prompt's tokens are
+// estimated: prompts over MODEL_MAX_INPUT_TOKENS are rejected (PROMPT_TOO_LARGE, which batched
+// callers answer by splitting the batch), and the rest wait for room under the MODEL_RPM and
+// MODEL_TPM limits. Rate limits and transient server or network errors are retried with
+// exponential backoff, and every call is recorded with its real token usage for /usage.
+
+const WINDOW_MS = 60000;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// Requests and reserved tokens of the last minute, per model
+const windows = new Map();
+
+function envInt(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] === undefined || process.env[name] === '' || !Number.isInteger(value) || value < 0 ? fallback : value;
+}
+
+// Function to read the limits on every call because dotenv is loaded after this module is imported.
+// 0 turns the requests- or tokens-per-minute limit off.
+export function getCallLimits() {
+  return {
+    rpm: envInt('MODEL_RPM', 0),
+    tpm: envInt('MODEL_TPM', 0),
+    maxInputTokens: envInt('MODEL_MAX_INPUT_TOKENS', 1000000),
+    maxRetries: envInt('MODEL_MAX_RETRIES', 4),
+    retryBaseMs: envInt('MODEL_RETRY_BASE_MS', 1000),
+    retryMaxMs: envInt('MODEL_RETRY_MAX_MS', 30000),
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Function to collect the text of a prompt given as a string or as Gemini-style contents
+function promptText(contents) {
+  if (typeof contents === 'string') {
+    return contents;
+  }
+  return contents
+    .map((content) => (typeof content === 'string' ? content : (content.parts || []).map((part) => part.text || '').join('\n')))
+    .join('\n');
+}
+
+/**
+ * Waits until a call of `tokens` estimated tokens fits in the model's last-minute window and
+ * reserves it. Returns the reservation, whose `tokens` is corrected once the real usage is
+ * known, and how long the call waited.
+ */
+async function acquire(key, tokens, { rpm, tpm }) {
+  if (!windows.has(key)) {
+    windows.set(key, []);
+  }
+  const entries = windows.get(key);
+  const started = Date.now();
+  for (;;) {
+    const now = Date.now();
+    while (entries.length > 0 && entries[0].time <= now - WINDOW_MS) {
+      entries.shift();
+    }
+    const usedTokens = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+    if ((rpm === 0 || entries.length < rpm) && (tpm === 0 || entries.length === 0 || usedTokens + tokens <= tpm)) {
+      const reservation = { time: now, tokens };
+      entries.push(reservation);
+      return { reservation, waitedMs: now - started };
+    }
+    await sleep(entries[0].time + WINDOW_MS - now + 5);
+  }
+}
+
+// Function to tell transient failures from permanent ones. The Gemini SDK rethrows network
+// failures as a plain "exception ... sending request" error without the original code.
+function isRetryable(error) {
+  return RETRYABLE_STATUSES.includes(error.status)
+    || RETRYABLE_CODES.includes(error.code || error.cause?.code)
+    || /^exception .* sending request$/.test(error.message || '');
+}
+
+// Function to pick the wait before the next attempt: the server's RetryInfo hint when a 429
+// carries one, otherwise exponential backoff with jitter
+function retryDelay(error, attempt, { retryBaseMs, retryMaxMs }) {
+  const hint = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(error.message || '');
+  if (hint) {
+    return Math.min(Number(hint[1]) * 1000, retryMaxMs * 2);
+  }
+  const backoff = Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * Sends one model call through the shared limits and retries.
+ * `send()` performs the call and `readUsage(result)` returns its { promptTokens, outputTokens,
+ * totalTokens } from the response metadata (estimates are recorded when it returns nothing).
+ * Throws PROMPT_TOO_LARGE (413) for prompts over the input limit, or over MODEL_TPM on its own,
+ * 429 when the API is still rate limiting after the last retry, and otherwise the call's error.
+ */
+export async function callModel({ provider, model, contents }, send, readUsage = () => null) {
+  const limits = getCallLimits();
+  const estimatedTokens = estimateTokens(promptText(contents));
+  const record = {
+    time: new Date().toISOString(),
+    route: currentRoute(),
+    provider,
+    model,
+    status: 'ok',
+    attempts: 0,
+    estimatedTokens,
+    promptTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    waitedMs: 0,
+    latencyMs: 0,
+  };
+
+  const limit = limits.tpm > 0 ? Math.min(limits.maxInputTokens, limits.tpm) : limits.maxInputTokens;
+  if (estimatedTokens > limit) {
+    recordUsage({ ...record, status: 'rejected' });
+    const error = createHttpError(413, `The prompt is about ${estimatedTokens} tokens, over the ${limit}-token limit for ${model}. Ask for fewer rows.`, { estimatedTokens, limit });
+    error.code = 'PROMPT_TOO_LARGE';
+    throw error;
+  }
+
+  const started = Date.now();
+  for (;;) {
+    const { reservation, waitedMs } = await acquire(`${provider}:${model}`, estimatedTokens, limits);
+    record.waitedMs += waitedMs;
+    record.attempts += 1;
+    try {
+      const result = await send();
+      const usage = readUsage(result);
+      Object.assign(record, usage || { promptTokens: estimatedTokens - 500, outputTokens: 500, totalTokens: estimatedTokens, estimated: true });
+      reservation.tokens = record.totalTokens;
+      record.latencyMs = Date.now() - started;
+      recordUsage(record);
+      return result;
+    } catch (error) {
+      if (isRetryable(error) && record.attempts <= limits.maxRetries) {
+        await sleep(retryDelay(error, record.attempts - 1, limits));
+        continue;
+      }
+      record.latencyMs = Date.now() - started;
+      recordUsage({ ...record, status: 'failed', error: error.message });
+      if (error.status === 429) {
+        throw createHttpError(429, `The model API is still rate limiting after ${record.attempts} attempts. Try again later or lower MODEL_RPM / MODEL_TPM.`, { provider, model, attempts: record.attempts });
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,179 @@
+import { resolveDatasetSource } from './datasets.js';
+import { createIngestReport, streamRows } from './ingest.js';
+import { resolveProvider } from './providers/index.js';
+import { createPreprocessor, parsePreprocessSteps } from './preprocess.js';
+import { lookupScores, parseCacheMode, storeScores } from './resultStore.js';
+import { createSelector } from './selection.js';
+import { DEFAULT_CONCURRENCY, scoreTweets, toTweets } from './sentiment.js';
+import { describeTemplate, resolveTemplate } from './templates.js';
+import { resolveLanguage, translateTexts, translationReport } from './translation.js';
+import { createHttpError } from '../utils/errors.js';
+import { parseNonNegativeInt } from '../utils/query.js';
+import { ROW_INDEX, ROW_TEXT, getLanguage } from '../utils/tweets.js';
+
+export const START_INDEX = 0; // Starting index for sampling rows from CSV
+export const MAX_ROWS = 100; // Maximum number of rows to sample from CSV
+const MAX_CONCURRENCY = 10;
+
+// Function to read the row range and batching options shared by every sentiment-based analysis
+export function parseRangeOptions(params, defaultMode = 'sample') {
+  const mode = params.mode || defaultMode;
+  if (!['sample', 'full'].includes(mode)) {
+    throw createHttpError(400, 'mode must be "sample" or "full".');
+  }
+  const start = parseNonNegativeInt(params.start, START_INDEX, 'start');
+  const limit = mode === 'full' && params.limit === undefined
+    ? Infinity
+    : parseNonNegativeInt(params.limit, MAX_ROWS, 'limit');
+  const concurrency = Math.min(parseNonNegativeInt(params.concurrency, DEFAULT_CONCURRENCY, 'concurrency') || 1, MAX_CONCURRENCY);
+  return { mode, start, limit, concurrency };
+}
+
+// Function to name the prompt version results are cached under: the template id, suffixed with
+// the task for the tasks whose results carry more than the score
+export function promptVersionFor(template, task = 'sentiment') {
+  return task === 'sentiment' ? template.id : `${template.id}+${task}`;
+}
+
+/**
+ * Optional pre-analysis step (?translate=true): translates the tweets not marked as English
+ * (including those without a language) into English with the request's provider and model, so
+ * they are scored in English. Translations come from the translation cache when possible; tweets
+ * whose translation failed are scored in their original text and listed in the report.
+ */
+async function translateTweets(tweets, columns, { provider, model, cacheMode }) {
+  const foreign = tweets.filter((tweet) => getLanguage(tweet.row, columns) !== 'en');
+  const outcome = await translateTexts(foreign.map((tweet) => tweet.text), resolveLanguage('en'), { provider, model, cacheMode });
+  const translatedById = new Map();
+  foreign.forEach((tweet, index) => {
+    const item = outcome.items[index];
+    if (item.status !== 'failed') {
+      translatedById.set(tweet.id, item.translation);
+    }
+  });
+  return {
+    tweets: tweets.map((tweet) => (translatedById.has(tweet.id)
+      ? { ...tweet, text: translatedById.get(tweet.id), originalText: tweet.text }
+      : tweet)),
+    report: { considered: foreign.length, ...translationReport(outcome, foreign.map((tweet) => tweet.id)) },
+  };
+}
+
+/**
+ * Streams a dataset's rows through the requested preprocessing steps (?preprocess=) and the
+ * request's filters and sampling strategy (see selection.js) and returns the [start, start + limit)
+ * window of the result, with the ingestion, preprocessing and selection reports.
+ * With the default "first" sampling, reading stops as soon as the window is filled, so the
+ * reports then count the rows read so far and `ingestion.complete` is false.
+ */
+export async function loadDatasetRows(params, { start, limit }) {
+  const source = await resolveDatasetSource(params.datasetId);
+  const preprocessor = createPreprocessor(source.columns, parsePreprocessSteps(params.preprocess));
+  const selector = createSelector(source.columns, params, { start, limit });
+  const ingestion = createIngestReport(source.format);
+
+  if (limit > 0) {
+    let index = 0;
+    for await (const row of streamRows(source.filePath, { format: source.format, report: ingestion })) {
+      const processed = preprocessor.process(row);
+      if (processed !== null) {
+        processed[ROW_INDEX] = index;
+        processed[ROW_TEXT] = row[source.columns.text] || '';
+        if (selector.add(processed)) {
+          break;
+        }
+      }
+      index += 1;
+    }
+  }
+  if (ingestion.complete && ingestion.rows === 0) {
+    throw createHttpError(422, `The dataset file has no readable rows (${ingestion.malformed} malformed).`, { errors: ingestion.errors });
+  }
+
+  const { rows, report: selection } = selector.finish();
+  const { headers, ...ingestionReport } = ingestion;
+  return { source, rows, ingestion: ingestionReport, preprocessing: preprocessor.report, selection };
+}
+
+/**
+ * Loads the requested rows of a dataset and scores them with the requested provider.
+ * `params` are the request's query parameters (datasetId, preprocess, provider, model, template,
+ * mode, start, limit, concurrency, cache, translate, and the filters and sampling of selection.js).
+ * Stored scores for the same tweet, provider, model and prompt template are reused unless ?cache=refresh or ?cache=off, and only uncached tweets are sent.
+ * `selectTweets(tweets, source)` may drop tweets before scoring; it returns { tweets, excluded }
+ * where `excluded` counts are reported alongside the row totals.
+ * ?translate=true translates non-English tweets into English first (see translateTweets); the
+ * translated text is what gets cached, so translated and untranslated runs do not share scores.
+ * `task` is 'sentiment', 'aspects' or 'signals' (see scoreTweets); each task is cached separately.
+ * Background jobs also pass `reuse` (results checkpointed before a restart, not re-sent),
+ * `onProgress` and `signal`, which are handed to scoreTweets.
+ */
+export async function runSentimentAnalysis(params, { defaultMode = 'sample', task = 'sentiment', selectTweets, reuse = [], onProgress, signal } = {}) {
+  const { mode, start, limit, concurrency } = parseRangeOptions(params, defaultMode);
+  const { provider, model, info } = resolveProvider(params);
+  const template = await resolveTemplate('sentiment', params.template);
+  const cacheMode = parseCacheMode(params.cache);
+  if (params.translate !== undefined && !['true', 'false'].includes(String(params.translate))) {
+    throw createHttpError(400, 'translate must be "true" or "false".');
+  }
+
+  // 1. Load the requested range of rows (tweets)
+  const { source, rows: sampleRows, ingestion, preprocessing, selection } = await loadDatasetRows(params, { start, limit });
+  let { tweets, skipped } = toTweets(sampleRows, source.columns, start);
+  let excluded = {};
+  if (selectTweets) {
+    ({ tweets, excluded } = selectTweets(tweets, source));
+  }
+  let translation = null;
+  if (String(params.translate) === 'true') {
+    ({ tweets, report: translation } = await translateTweets(tweets, source.columns, { provider, model, cacheMode }));
+  }
+
+  // 2. Reuse stored scores, then score the rest batch by batch
+  const promptVersion = promptVersionFor(template, task);
+  const cacheKey = { datasetId: source.id, provider: provider.name, model, promptVersion };
+  const { cached, uncached } = cacheMode === 'use'
+    ? await lookupScores(tweets, cacheKey)
+    : { cached: [], uncached: tweets };
+
+  const reusedById = new Map(reuse.map((item) => [item.id, item]));
+  const pending = uncached.filter((tweet) => !reusedById.has(tweet.id));
+  const resumed = uncached.length - pending.length;
+
+  const { results: fresh, batches, validation } = await scoreTweets(pending, { provider, model, template, task, concurrency, onProgress, signal });
+  const stored = cacheMode === 'off' ? 0 : await storeScores(pending, fresh, cacheKey);
+  if (signal?.aborted) {
+    throw createHttpError(409, 'Analysis was cancelled.');
+  }
+  if (pending.length > 0 && batches.failed === batches.total) {
+    throw new Error(`All ${batches.total} sentiment batches failed: ${batches.errors[0].error}`);
+  }
+
+  // Keep results in dataset order whichever way they were obtained
+  const byId = new Map([...cached, ...reusedById.values(), ...fresh].map((item) => [item.id, item]));
+  const results = tweets.filter((tweet) => byId.has(tweet.id)).map((tweet) => byId.get(tweet.id));
+
+  return {
+    source,
+    provider: info,
+    template: describeTemplate(template),
+    mode,
+    range: { start, end: start + sampleRows.length },
+    ingestion,
+    preprocessing,
+    selection,
+    rows: {
+      requested: sampleRows.length,
+      scored: results.length,
+      failed: tweets.length - results.length,
+      skipped: skipped.length,
+      ...excluded,
+    },
+    batches,
+    validation,
+    translation,
+    cache: { mode: cacheMode, promptVersion, hits: cached.length, misses: uncached.length, resumed, stored },
+    tweets,
+    results,
+  };
+}
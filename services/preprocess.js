@@ -0,0 +1,135 @@
+import { createHttpError } from '../utils/errors.js';
+
+// JavaScript port of notebook/Pre_Processing.ipynb plus the text clean-up the prompts need.
+// Steps always run in this order, whatever order they are requested in.
+const STEP_ORDER = [
+  'select-columns',
+  'simple',
+  'conversational',
+  'dedupe',
+  'decode-html',
+  'strip-urls',
+  'strip-mentions',
+  'drop-empty',
+];
+
+const PRESETS = {
+  none: [],
+  default: ['dedupe', 'decode-html', 'drop-empty'],
+  // What the notebook does to produce NoConversationTweets.csv, plus text clean-up
+  notebook: ['select-columns', 'simple', 'dedupe', 'decode-html', 'drop-empty'],
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+export const PREPROCESS_STEPS = STEP_ORDER;
+export const PREPROCESS_PRESETS = Object.keys(PRESETS);
+
+// Function to decode the HTML entities Twitter exports leave in tweet text (e.g. "&amp;")
+export function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+    return Object.hasOwn(NAMED_ENTITIES, entity.toLowerCase()) ? NAMED_ENTITIES[entity.toLowerCase()] : match;
+  });
+}
+
+/**
+ * Parses ?preprocess= into an ordered list of steps. Accepts a preset name (none, default,
+ * notebook) or a comma separated list of steps; "default" is used when the flag is absent.
+ */
+export function parsePreprocessSteps(value) {
+  const requested = String(value || 'default').split(',').map((item) => item.trim()).filter(Boolean);
+  const steps = new Set();
+  for (const item of requested) {
+    if (Object.hasOwn(PRESETS, item)) {
+      PRESETS[item].forEach((step) => steps.add(step));
+    } else if (STEP_ORDER.includes(item)) {
+      steps.add(item);
+    } else {
+      throw createHttpError(400, `Unknown preprocess step "${item}".`, { steps: STEP_ORDER, presets: PREPROCESS_PRESETS });
+    }
+  }
+  if (steps.has('simple') && steps.has('conversational')) {
+    throw createHttpError(400, 'The "simple" and "conversational" preprocess steps are mutually exclusive.');
+  }
+  return STEP_ORDER.filter((step) => steps.has(step));
+}
+
+function requireColumn(columns, role, step) {
+  if (!columns[role]) {
+    throw createHttpError(400, `The "${step}" preprocess step needs a ${role} column, which this dataset does not have.`);
+  }
+}
+
+// Function to apply a text transformation to a copy of a row
+function mapText(columns, transform) {
+  return (row) => ({ ...row, [columns.text]: transform(row[columns.text] || '') });
+}
+
+// Each step takes the column mapping and returns a function of one row that returns the row to
+// keep (possibly a transformed copy) or null to drop it, so rows can be preprocessed as they stream.
+const STEPS = {
+  // Keep only the mapped columns, like the notebook's filter_tweets()
+  'select-columns': (columns) => {
+    const keep = Object.values(columns).filter(Boolean);
+    return (row) => Object.fromEntries(keep.map((header) => [header, row[header]]));
+  },
+  // Simple tweets start their own conversation (id == conversation_id), like separate_tweets()
+  simple: (columns) => {
+    requireColumn(columns, 'id', 'simple');
+    requireColumn(columns, 'conversationId', 'simple');
+    return (row) => (row[columns.id] === row[columns.conversationId] ? row : null);
+  },
+  conversational: (columns) => {
+    requireColumn(columns, 'id', 'conversational');
+    requireColumn(columns, 'conversationId', 'conversational');
+    return (row) => (row[columns.id] !== row[columns.conversationId] ? row : null);
+  },
+  dedupe: (columns) => {
+    if (!columns.id) {
+      return (row) => row;
+    }
+    const seen = new Set();
+    return (row) => {
+      const id = row[columns.id];
+      if (seen.has(id)) {
+        return null;
+      }
+      seen.add(id);
+      return row;
+    };
+  },
+  'decode-html': (columns) => mapText(columns, decodeHtmlEntities),
+  'strip-urls': (columns) => mapText(columns, (text) => text.replace(/https?:\/\/\S+/g, '').replace(/\s{2,}/g, ' ').trim()),
+  'strip-mentions': (columns) => mapText(columns, (text) => text.replace(/(^|\s)@\w+/g, '$1').replace(/\s{2,}/g, ' ').trim()),
+  'drop-empty': (columns) => (row) => ((row[columns.text] || '').trim() !== '' ? row : null),
+};
+
+/**
+ * Creates a preprocessor that runs the given steps over one row at a time, in the order rows are
+ * read. `process(row)` returns the preprocessed row or null when a step dropped it; `report`
+ * counts the rows seen, kept and removed by each step.
+ */
+export function createPreprocessor(columns, steps) {
+  const stages = steps.map((step) => ({ step, apply: STEPS[step](columns) }));
+  const report = { steps, input: 0, output: 0, removed: Object.fromEntries(steps.map((step) => [step, 0])) };
+  return {
+    report,
+    process(row) {
+      report.input += 1;
+      let current = row;
+      for (const { step, apply } of stages) {
+        current = apply(current);
+        if (current === null) {
+          report.removed[step] += 1;
+          return null;
+        }
+      }
+      report.output += 1;
+      return current;
+    },
+  };
+}
@@ -0,0 +1,545 @@
+// Prompt builders and structured output schemas shared by the model providers. The persona,
+// rubric and examples come from a template (see templates.js); the output contract every
+// template shares stays here so responses always match the schemas.
+
+// Structured output schema for a batch of sentiment scores
+export const multiSentimentSchema = {
+  type: 'object',
+  properties: {
+    sentiments: {
+      type: 'array',
+      description: 'A list of sentiment score results, one per tweet.',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'The original ID of the tweet.' },
+          sentiment_score: {
+            type: 'integer', // Numerical score 1-5
+            description: 'The classified sentiment score (1=Strongly Negative, 5=Strongly Positive).',
+            minimum: 1,
+            maximum: 5,
+          },
+        },
+        required: ['id', 'sentiment_score'],
+      },
+    },
+  },
+  required: ['sentiments'],
+  additionalProperties: false,
+};
+
+export function formatTweetLine(tweet) {
+  return `ID: ${tweet.id} | TEXT: ${tweet.text}`;
+}
+
+// Function to render a sentiment template's persona and extra rules
+function roleText(template) {
+  return `**Role:** ${template.persona}${template.rules.map((rule) => `\n**${rule}**`).join('')}`;
+}
+
+// Function to render a sentiment template's 5-point scale
+function scaleText(template) {
+  return template.scale.map(({ score, label, definition }) => `- **${score} (${label}):** ${definition}`).join('\n');
+}
+
+// Function to construct the PROMPT from a sentiment template's persona, 5-point scale and examples
+export function buildSentimentPrompt(tweets, template) {
+  const tweetDataString = tweets.map(formatTweetLine).join('\n');
+  const totalSampledTweets = tweets.length;
+  const examples = template.examples.length > 0
+    ? `**FEW-SHOT EXAMPLES (MUST FOLLOW THIS SCORING LOGIC):**
+${template.examples.map(({ text, score }, index) => `ID: X${index + 1} | TEXT: ${text} -> SCORE: ${score}`).join('\n')}
+
+`
+    : '';
+
+  return [
+    {
+      parts: [
+        {
+          text: `${roleText(template)}
+
+Analyze the sentiment for each of the ${totalSampledTweets} tweets provided below, regardless of the language.
+
+**Classification Rules (5-Point Scale):** You must classify the sentiment using a numerical score from 1 to 5.
+
+${scaleText(template)}
+
+${examples}Return ONLY a single JSON object containing an array of results. The output must adhere strictly to the provided JSON Schema.
+
+**Example JSON Structure (MUST be followed):**
+{
+  "sentiments": [
+    { "id": "X1", "sentiment_score": 5 },
+    { "id": "X2", "sentiment_score": 2 }
+    // ... all 100 results must follow this pattern
+  ]
+}
+
+Tweet Data (ID | TEXT):
+---
+${tweetDataString}
+---`,
+        },
+      ],
+    },
+  ];
+}
+
+// Structured output schema for the extended analysis: the score plus emotions, sarcasm, confidence and rationale
+export const signalsSchema = {
+  type: 'object',
+  properties: {
+    sentiments: {
+      type: 'array',
+      description: 'One result per tweet.',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'The original ID of the tweet.' },
+          sentiment_score: {
+            type: 'integer',
+            description: 'The classified sentiment score (1=Strongly Negative, 5=Strongly Positive).',
+            minimum: 1,
+            maximum: 5,
+          },
+          emotions: {
+            type: 'array',
+            description: 'The emotions the tweet expresses; empty when none is clear.',
+            items: { type: 'string', enum: ['joy', 'anger', 'fear', 'sadness', 'surprise', 'disgust', 'trust'] },
+          },
+          sarcasm: { type: 'boolean', description: 'True when the tweet is sarcastic or ironic.' },
+          confidence: { type: 'number', description: 'How sure you are of the sentiment score, from 0 to 1.', minimum: 0, maximum: 1 },
+          rationale: { type: 'string', description: 'One short sentence explaining the score.' },
+        },
+        required: ['id', 'sentiment_score', 'emotions', 'sarcasm', 'confidence', 'rationale'],
+      },
+    },
+  },
+  required: ['sentiments'],
+};
+
+// Function to construct the extended PROMPT: the template's rubric and examples plus the signal fields
+export function buildSignalsPrompt(tweets, template) {
+  const tweetDataString = tweets.map(formatTweetLine).join('\n');
+  const examples = template.examples.length > 0
+    ? `**FEW-SHOT EXAMPLES (sentiment score only):**
+${template.examples.map(({ text, score }, index) => `ID: X${index + 1} | TEXT: ${text} -> SCORE: ${score}`).join('\n')}
+
+`
+    : '';
+
+  return [
+    {
+      parts: [
+        {
+          text: `${roleText(template)}
+
+Analyze each of the ${tweets.length} tweets provided below, regardless of the language.
+
+**Classification Rules (5-Point Scale):** You must classify the sentiment using a numerical score from 1 to 5.
+
+${scaleText(template)}
+
+${examples}For every tweet also return:
+- **emotions:** the emotions the author expresses, from joy, anger, fear, sadness, surprise, disgust, trust (several are allowed, none if no emotion is clear).
+- **sarcasm:** true if the tweet is sarcastic or ironic, e.g. praise that is meant as criticism. Score the intended sentiment, not the literal words.
+- **confidence:** a number from 0 to 1 for how sure you are of the sentiment score. Use low values for ambiguous, very short or context-dependent tweets.
+- **rationale:** one short English sentence explaining the score.
+
+Return ONLY a single JSON object of the form { "sentiments": [ { "id": "X1", "sentiment_score": 2, "emotions": ["anger"], "sarcasm": true, "confidence": 0.7, "rationale": "..." } ] } with one result per tweet. The output must adhere strictly to the provided JSON Schema.
+
+Tweet Data (ID | TEXT):
+---
+${tweetDataString}
+---`,
+        },
+      ],
+    },
+  ];
+}
+
+// Structured output schema for aspect-level sentiment: the overall score plus one score per target
+export const aspectSentimentSchema = {
+  type: 'object',
+  properties: {
+    sentiments: {
+      type: 'array',
+      description: 'One result per tweet.',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'The original ID of the tweet.' },
+          sentiment_score: {
+            type: 'integer',
+            description: 'The overall sentiment score of the tweet (1=Strongly Negative, 5=Strongly Positive).',
+            minimum: 1,
+            maximum: 5,
+          },
+          aspects: {
+            type: 'array',
+            description: 'The targets the tweet talks about, each with the sentiment expressed toward it.',
+            items: {
+              type: 'object',
+              properties: {
+                target: { type: 'string', description: 'Canonical English name of the target, e.g. "USA", "Narendra Modi", "fuel prices".' },
+                type: { type: 'string', enum: ['entity', 'hashtag', 'topic'] },
+                sentiment_score: { type: 'integer', minimum: 1, maximum: 5 },
+              },
+              required: ['target', 'type', 'sentiment_score'],
+            },
+          },
+        },
+        required: ['id', 'sentiment_score', 'aspects'],
+      },
+    },
+  },
+  required: ['sentiments'],
+};
+
+// Function to construct the aspect-level PROMPT. It reuses the sentiment template's persona and
+// scale; the template's tweet-level examples do not apply, so one aspect example is given instead.
+export function buildAspectPrompt(tweets, template) {
+  const tweetDataString = tweets.map(formatTweetLine).join('\n');
+
+  return [
+    {
+      parts: [
+        {
+          text: `${roleText(template)}
+
+For each of the ${tweets.length} tweets provided below, regardless of the language:
+1. Give the overall sentiment score of the tweet.
+2. List the targets the tweet talks about: named entities (countries, people, organisations, brands, places) as "entity", hashtags as "hashtag" (without the #) and subjects such as policies or events as "topic". Use one canonical English name per target so the same target is spelled the same way in every tweet.
+3. Score the sentiment the author expresses TOWARD EACH TARGET separately. A tweet can be positive about one target and negative about another.
+
+**Classification Rules (5-Point Scale):** Use the same numerical scale from 1 to 5 for the tweet and for every target.
+
+${scaleText(template)}
+
+**EXAMPLE:**
+ID: X1 | TEXT: We may have many problems in #India but we also have solutions for them & #USA needs to understand that they can't dictate their ideas upon us.
+-> { "id": "X1", "sentiment_score": 4, "aspects": [{ "target": "India", "type": "hashtag", "sentiment_score": 4 }, { "target": "USA", "type": "hashtag", "sentiment_score": 2 }] }
+
+Return ONLY a single JSON object of the form { "sentiments": [ ... ] } with one result per tweet. The output must adhere strictly to the provided JSON Schema.
+
+Tweet Data (ID | TEXT):
+---
+${tweetDataString}
+---`,
+        },
+      ],
+    },
+  ];
+}
+
+// Function to render sampled CSV rows the way the trends/insights/summary prompts expect them
+function rowsToCsvText(rows) {
+  return rows.map((row) => Object.values(row).join(',')).join('\n');
+}
+
+// Function to wrap the rows in a trends/insights/summary template's persona, task and guidance
+function templateIntro(template, rows) {
+  const role = template.persona ? `**Role:** ${template.persona}\n\n` : '';
+  const guidance = template.guidance ? `${template.guidance} ` : '';
+  return `${role}${template.task}:
+
+${rowsToCsvText(rows)}
+
+${guidance}`;
+}
+
+export const trendsSchema = {
+  type: 'object',
+  properties: {
+    trends: {
+      type: 'array',
+      description: 'A list of key trends identified in the data.',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'A concise title for the trend.' },
+          description: { type: 'string', description: 'A detailed explanation of the trend.' },
+        },
+        required: ['title', 'description'],
+      },
+    },
+  },
+  required: ['trends'],
+};
+
+export function buildTrendsPrompt(rows, template) {
+  return [
+    {
+      parts: [
+        {
+          text: `${templateIntro(template, rows)}Return the trends with their description in ENGLISH ONLY in the following JSON format:
+
+{
+  "trends": [
+    { "title": "Trend Title 1", "description": "Detailed description of the first trend." },
+    { "title": "Trend Title 2", "description": "Detailed description of the second trend." }
+  ]
+}`,
+        },
+      ],
+    },
+  ];
+}
+
+export const insightsSchema = {
+  type: 'object',
+  properties: {
+    insights: {
+      type: 'array',
+      items: {
+        type: 'string',
+      },
+    },
+  },
+};
+
+export function buildInsightsPrompt(rows, template) {
+  return [
+    {
+      parts: [
+        {
+          text: `${templateIntro(template, rows)}Return the insights in the following JSON format:
+
+{
+  "insights": ["Insight 1: Notable trend or observation.", "Insight 2: Any shift in data or unusual pattern."]
+}`,
+        },
+      ],
+    },
+  ];
+}
+
+export const summarySchema = {
+  type: 'object',
+  properties: {
+    summary: {
+      type: 'string',
+    },
+  },
+};
+
+export function buildSummaryPrompt(rows, template) {
+  return [
+    {
+      parts: [
+        {
+          text: `${templateIntro(template, rows)}Return the summary in the following JSON format:
+
+{
+  "summary": "Short overall summary of key findings from the data."
+}`,
+        },
+      ],
+    },
+  ];
+}
+
+// Citation fields trends and insights carry when they are drawn from topics
+const citationProperties = {
+  topicIds: { type: 'array', items: { type: 'string' }, description: 'IDs of the topics this is based on.' },
+  tweetIds: { type: 'array', items: { type: 'string' }, description: 'IDs of the tweets that best support it.' },
+};
+
+export const citedTrendsSchema = {
+  type: 'object',
+  properties: {
+    trends: {
+      type: 'array',
+      description: 'A list of key trends identified in the topics.',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'A concise title for the trend.' },
+          description: { type: 'string', description: 'A detailed explanation of the trend.' },
+          ...citationProperties,
+        },
+        required: ['title', 'description', 'topicIds', 'tweetIds'],
+      },
+    },
+  },
+  required: ['trends'],
+};
+
+export const citedInsightsSchema = {
+  type: 'object',
+  properties: {
+    insights: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', description: 'The insight.' },
+          ...citationProperties,
+        },
+        required: ['text', 'topicIds', 'tweetIds'],
+      },
+    },
+  },
+  required: ['insights'],
+};
+
+// Function to render topics (see topics.js) with their size, sentiment, keywords and example tweets
+function topicsToText(topics) {
+  return topics.map((topic) => {
+    const distribution = Object.entries(topic.summary).map(([score, { percentage }]) => `${score}: ${percentage}%`).join(', ');
+    const sentiment = topic.meanScore === null ? 'not scored' : `mean sentiment ${topic.meanScore} (${distribution})`;
+    return `TOPIC ${topic.id} "${topic.label}" | ${topic.size} tweets (${topic.share}%) | ${sentiment} | keywords: ${topic.keywords.join(', ') || '-'}
+${topic.examples.map((example) => `  ${formatTweetLine(example)}`).join('\n')}`;
+  }).join('\n\n');
+}
+
+// Function to wrap topics in a trends/insights template's persona, task and guidance, asking the
+// model to cite the topic and tweet IDs each answer is based on
+function topicIntro(template, topics) {
+  const role = template.persona ? `**Role:** ${template.persona}\n\n` : '';
+  const guidance = template.guidance ? `${template.guidance} ` : '';
+  return `${role}${template.task}. The data has been clustered into topics; each topic lists its size, sentiment on a 1-5 scale (1 = strongly negative, 5 = strongly positive), keywords and representative tweets:
+
+${topicsToText(topics)}
+
+${guidance}Base every answer on the topics above. For each one, list the IDs of the topics it draws on in "topicIds" and the IDs of the tweets that best support it in "tweetIds", using only IDs shown above. `;
+}
+
+export function buildTopicTrendsPrompt(topics, template) {
+  return [
+    {
+      parts: [
+        {
+          text: `${topicIntro(template, topics)}Return the trends with their description in ENGLISH ONLY in the following JSON format:
+
+{
+  "trends": [
+    { "title": "Trend Title 1", "description": "Detailed description of the first trend.", "topicIds": ["topic-1"], "tweetIds": ["123"] }
+  ]
+}`,
+        },
+      ],
+    },
+  ];
+}
+
+export function buildTopicInsightsPrompt(topics, template) {
+  return [
+    {
+      parts: [
+        {
+          text: `${topicIntro(template, topics)}Return the insights in the following JSON format:
+
+{
+  "insights": [{ "text": "Insight 1: Notable trend or observation.", "topicIds": ["topic-1", "topic-3"], "tweetIds": ["123", "456"] }]
+}`,
+        },
+      ],
+    },
+  ];
+}
+
+export const topicLabelsSchema = {
+  type: 'object',
+  properties: {
+    labels: {
+      type: 'array',
+      description: 'One label per topic.',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'The ID of the topic.' },
+          label: { type: 'string', description: 'A short name for the topic, at most five words.' },
+        },
+        required: ['id', 'label'],
+      },
+    },
+  },
+  required: ['labels'],
+};
+
+// Function to build one prompt naming many topics from their keywords and example tweets
+export function buildTopicLabelPrompt(topics) {
+  return [
+    {
+      parts: [
+        {
+          text: `Each topic below is a cluster of tweets, shown with its most characteristic keywords and example tweets (in any language).
+Give every topic a short, specific name in ENGLISH of at most five words that says what its tweets are about.
+Return one entry per topic with its ID, in the following JSON format:
+
+{
+  "labels": [{ "id": "topic-1", "label": "Fuel price protests" }]
+}
+
+Topics:
+${JSON.stringify(topics.map(({ id, keywords, examples }) => ({ id, keywords, examples })))}`,
+        },
+      ],
+    },
+  ];
+}
+
+// Function to build the prompt for a comparison's narrative summary from comparisonFacts (compare.js)
+export function buildComparisonPrompt(facts) {
+  return [
+    {
+      parts: [
+        {
+          text: `You are comparing sentiment in two sets of tweets, "${facts.a.label}" (A) and "${facts.b.label}" (B), scored on a 1-5 scale (1 = strongly negative, 5 = strongly positive).
+Every delta is B minus A; share deltas are in percentage points. Only shifts and topic changes that are statistically significant are listed.
+
+${JSON.stringify(facts, null, 2)}
+
+Write a short narrative summary (3-5 sentences, in ENGLISH) of what changed from A to B: the overall sentiment, the notable language and hashtag shifts and the topics that appeared, disappeared, grew or shrank. Do not claim changes that are not in the data. Return it in the following JSON format:
+
+{
+  "summary": "Short narrative of what changed between A and B."
+}`,
+        },
+      ],
+    },
+  ];
+}
+
+export const translationSchema = {
+  type: 'object',
+  properties: {
+    translations: {
+      type: 'array',
+      description: 'One translation per input text.',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'The ID of the input text.' },
+          translation: { type: 'string', description: 'The translated text.' },
+        },
+        required: ['id', 'translation'],
+      },
+    },
+  },
+  required: ['translations'],
+};
+
+// Function to build one prompt translating many texts; `language` is { code, name } from translation.js
+export function buildTranslationPrompt(items, language) {
+  return [
+    {
+      parts: [
+        {
+          text: `Translate each of the following texts into ${language.name} (${language.code}).
+Keep hashtags, @mentions, URLs, emoji and numbers exactly as they are. If a text is already in ${language.name}, return it unchanged.
+Return one entry per text with its original ID, in the following JSON format:
+
+{
+  "translations": [{ "id": "0", "translation": "..." }]
+}
+
+Texts:
+${JSON.stringify(items.map(({ id, text }) => ({ id, text })))}`,
+        },
+      ],
+    },
+  ];
+}
@@ -0,0 +1,91 @@
+import { createHash } from 'crypto';
+
+// Deterministic provider for tests: the same input always produces the same output,
+// without any network access or randomness.
+
+function stableHash(value) {
+  return createHash('sha1').update(value).digest().readUInt32BE(0);
+}
+
+const fakeProvider = {
+  name: 'fake',
+  defaultModel: 'fake-v1',
+
+  async scoreSentiment(tweets) {
+    return tweets.map((tweet) => ({ id: tweet.id, sentiment_score: (stableHash(`${tweet.id}|${tweet.text}`) % 5) + 1 }));
+  },
+
+  async scoreSignals(tweets) {
+    const emotions = ['joy', 'anger', 'fear', 'sadness', 'surprise', 'disgust', 'trust'];
+    return tweets.map((tweet) => {
+      const hash = stableHash(`${tweet.id}|${tweet.text}`);
+      return {
+        id: tweet.id,
+        sentiment_score: (hash % 5) + 1,
+        emotions: [emotions[hash % emotions.length]],
+        sarcasm: hash % 10 === 0,
+        confidence: (hash % 100) / 100,
+        rationale: 'Deterministic fake rationale.',
+      };
+    });
+  },
+
+  async scoreAspects(tweets) {
+    return tweets.map((tweet) => ({
+      id: tweet.id,
+      sentiment_score: (stableHash(`${tweet.id}|${tweet.text}`) % 5) + 1,
+      aspects: [...new Set((tweet.text.match(/#\w+/g) || []).map((tag) => tag.slice(1)))]
+        .map((target) => ({ target, type: 'hashtag', sentiment_score: (stableHash(`${tweet.id}|${target}`) % 5) + 1 })),
+    }));
+  },
+
+  async analyzeTrends({ rows, topics }) {
+    if (topics) {
+      return {
+        trends: topics.slice(0, 2).map((topic) => ({
+          title: `Fake Trend: ${topic.label}`,
+          description: `Deterministic trend for a topic of ${topic.size} tweets.`,
+          topicIds: [topic.id],
+          tweetIds: topic.examples.slice(0, 1).map((example) => example.id),
+        })),
+      };
+    }
+    return {
+      trends: [
+        { title: 'Fake Trend 1', description: `Deterministic trend computed from ${rows.length} rows.` },
+        { title: 'Fake Trend 2', description: 'Second deterministic trend.' },
+      ],
+    };
+  },
+
+  async generateInsights({ rows, topics }) {
+    if (topics) {
+      return {
+        insights: topics.map((topic, index) => ({
+          text: `Insight ${index + 1}: ${topic.label} covers ${topic.size} tweets.`,
+          topicIds: [topic.id],
+          tweetIds: topic.examples.map((example) => example.id),
+        })),
+      };
+    }
+    return { insights: [`Insight 1: ${rows.length} rows analysed.`, 'Insight 2: Deterministic fake insight.'] };
+  },
+
+  async generateSummary({ rows }) {
+    return { summary: `Fake summary of ${rows.length} rows.` };
+  },
+
+  async summariseComparison(facts) {
+    return { summary: `Fake comparison of ${facts.a.tweets} tweets in ${facts.a.label} with ${facts.b.tweets} tweets in ${facts.b.label}.` };
+  },
+
+  async labelTopics(topics) {
+    return topics.map(({ id, keywords }) => ({ id, label: `Fake topic ${keywords[0] || id}` }));
+  },
+
+  async translateBatch(items, language) {
+    return items.map(({ id, text }) => ({ id, translation: `[${language.code}] ${text}` }));
+  },
+};
+
+export default fakeProvider;
@@ -0,0 +1,115 @@
+import { GoogleGenAI } from '@google/genai';
+import {
+  aspectSentimentSchema,
+  buildAspectPrompt,
+  buildComparisonPrompt,
+  buildInsightsPrompt,
+  buildSentimentPrompt,
+  buildSignalsPrompt,
+  buildSummaryPrompt,
+  buildTopicInsightsPrompt,
+  buildTopicLabelPrompt,
+  buildTopicTrendsPrompt,
+  buildTranslationPrompt,
+  buildTrendsPrompt,
+  citedInsightsSchema,
+  citedTrendsSchema,
+  insightsSchema,
+  multiSentimentSchema,
+  signalsSchema,
+  summarySchema,
+  topicLabelsSchema,
+  translationSchema,
+  trendsSchema,
+} from '../prompts.js';
+import { callModel } from '../modelCalls.js';
+import { parseModelJson } from '../validation.js';
+
+let client;
+
+// Function to get the shared Gemini client, created on first use so dotenv has already run
+export function getGenAI() {
+  if (!client) {
+    client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  }
+  return client;
+}
+
+// Function to read the token counts Gemini reports; thinking tokens are billed as output
+function readUsage(result) {
+  const usage = result.usageMetadata;
+  if (!usage) {
+    return null;
+  }
+  const promptTokens = usage.promptTokenCount || 0;
+  const outputTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+  return { promptTokens, outputTokens, totalTokens: usage.totalTokenCount || promptTokens + outputTokens };
+}
+
+async function generateJson(model, contents, responseSchema, temperature) {
+  const result = await callModel({ provider: 'gemini', model, contents }, () => getGenAI().models.generateContent({
+    model,
+    contents,
+    config: {
+      temperature,
+      responseMimeType: 'application/json',
+      responseSchema,
+    },
+  }), readUsage);
+  return result.text;
+}
+
+// Provider backed by the Gemini API (the original behaviour of every route)
+const geminiProvider = {
+  name: 'gemini',
+  defaultModel: 'gemini-2.5-flash',
+
+  async scoreSentiment(tweets, { model, template }) {
+    const responseText = await generateJson(model, buildSentimentPrompt(tweets, template), multiSentimentSchema, 0.3);
+    return parseModelJson(responseText, { sentiments: 'array' }).sentiments;
+  },
+
+  async scoreSignals(tweets, { model, template }) {
+    const responseText = await generateJson(model, buildSignalsPrompt(tweets, template), signalsSchema, 0.3);
+    return parseModelJson(responseText, { sentiments: 'array' }).sentiments;
+  },
+
+  async scoreAspects(tweets, { model, template }) {
+    const responseText = await generateJson(model, buildAspectPrompt(tweets, template), aspectSentimentSchema, 0.3);
+    return parseModelJson(responseText, { sentiments: 'array' }).sentiments;
+  },
+
+  async analyzeTrends({ rows, topics }, { model, template }) {
+    if (topics) {
+      return parseModelJson(await generateJson(model, buildTopicTrendsPrompt(topics, template), citedTrendsSchema, 0.1), { trends: 'array' });
+    }
+    return parseModelJson(await generateJson(model, buildTrendsPrompt(rows, template), trendsSchema, 0.1), { trends: 'array' });
+  },
+
+  async generateInsights({ rows, topics }, { model, template }) {
+    if (topics) {
+      return parseModelJson(await generateJson(model, buildTopicInsightsPrompt(topics, template), citedInsightsSchema), { insights: 'array' });
+    }
+    return parseModelJson(await generateJson(model, buildInsightsPrompt(rows, template), insightsSchema), { insights: 'array' });
+  },
+
+  async generateSummary({ rows }, { model, template }) {
+    return parseModelJson(await generateJson(model, buildSummaryPrompt(rows, template), summarySchema), { summary: 'string' });
+  },
+
+  async summariseComparison(facts, { model }) {
+    return parseModelJson(await generateJson(model, buildComparisonPrompt(facts), summarySchema), { summary: 'string' });
+  },
+
+  async labelTopics(topics, { model }) {
+    const responseText = await generateJson(model, buildTopicLabelPrompt(topics), topicLabelsSchema, 0.2);
+    return parseModelJson(responseText, { labels: 'array' }).labels;
+  },
+
+  async translateBatch(items, language, { model }) {
+    const responseText = await generateJson(model, buildTranslationPrompt(items, language), translationSchema, 0.1);
+    return parseModelJson(responseText, { translations: 'array' }).translations;
+  },
+};
+
+export default geminiProvider;
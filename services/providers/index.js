@@ -0,0 +1,48 @@
+import fakeProvider from './fake.js';
+import geminiProvider from './gemini.js';
+import lexiconProvider from './lexicon.js';
+import { createHttpError } from '../../utils/errors.js';
+
+/**
+ * Model providers. Each one implements the same task-level interface:
+ *   scoreSentiment(tweets, { model, template })              -> [{ id, sentiment_score }]
+ *   scoreSignals(tweets, { model, template })                -> [{ id, sentiment_score, emotions, sarcasm, confidence, rationale }]
+ *   scoreAspects(tweets, { model, template })                -> [{ id, sentiment_score, aspects: [{ target, type, sentiment_score }] }]
+ *   analyzeTrends({ rows, columns }, { model, template })    -> { trends: [{ title, description }] }
+ *   generateInsights({ rows, columns }, { model, template }) -> { insights: [string] }
+ *   generateSummary({ rows, columns }, { model, template })  -> { summary }
+ *   labelTopics([{ id, keywords, examples }], { model })     -> [{ id, label }]
+ *   summariseComparison(facts, { model })                   -> { summary }  (facts from compare.js)
+ *   translateBatch([{ id, text }], { code, name }, { model }) -> [{ id, translation }]
+ * `template` is the prompt template (see templates.js); providers that do not prompt a model ignore it.
+ * When analyzeTrends and generateInsights get `{ topics }` (see topics.js) instead of rows, each
+ * trend and insight also cites `topicIds` and `tweetIds`, and insights become `{ text, topicIds, tweetIds }`.
+ * Providers that call a model API send every call through callModel (modelCalls.js) for the shared
+ * rate limits, retries and usage accounting.
+ */
+const PROVIDERS = {
+  [geminiProvider.name]: geminiProvider,
+  [lexiconProvider.name]: lexiconProvider,
+  [fakeProvider.name]: fakeProvider,
+};
+
+export function listProviders() {
+  return Object.values(PROVIDERS).map(({ name, defaultModel }) => ({ name, defaultModel }));
+}
+
+/**
+ * Picks the provider and model for a request: ?provider= / ?model= first, then the
+ * MODEL_PROVIDER / MODEL_NAME environment variables, then Gemini with its default model.
+ */
+export function resolveProvider({ provider: requestedProvider, model: requestedModel } = {}) {
+  const envProvider = process.env.MODEL_PROVIDER || geminiProvider.name;
+  const name = (requestedProvider || envProvider).toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw createHttpError(400, `Unknown provider "${name}".`, { providers: Object.keys(PROVIDERS) });
+  }
+
+  const envModel = name === envProvider.toLowerCase() ? process.env.MODEL_NAME : undefined;
+  const model = requestedModel || envModel || provider.defaultModel;
+  return { provider, model, info: { name: provider.name, model } };
+}
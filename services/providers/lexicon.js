@@ -0,0 +1,350 @@
+import { getHashtags, getLanguage } from '../../utils/tweets.js';
+
+// Offline, rule-based provider. It needs no API key or network, so it is what the server uses
+// in air-gapped environments. Scores are coarse compared to Gemini but use the same 1-5 scale.
+
+// Word polarities (-2..2) for the languages that dominate the tweet datasets.
+// Hindi is included both in Devanagari and in the romanised spelling common on Twitter.
+const LEXICON = {
+  // English
+  good: 1, great: 2, excellent: 2, amazing: 2, awesome: 2, love: 2, proud: 2, happy: 1, best: 2,
+  win: 1, won: 1, success: 2, successful: 2, progress: 1, support: 1, thanks: 1, thank: 1, congratulations: 2,
+  congrats: 2, hope: 1, positive: 1, beautiful: 2, glad: 1, celebrate: 2, celebration: 2, strong: 1, solution: 1,
+  solutions: 1, growth: 1, peace: 1, welcome: 1, brilliant: 2, inspiring: 2, historic: 1, safe: 1, partner: 1,
+  bad: -1, worst: -2, terrible: -2, awful: -2, hate: -2, sad: -1, angry: -2, poor: -1, problem: -1, problems: -1,
+  fail: -2, failed: -2, failure: -2, corrupt: -2, corruption: -2, fear: -1, afraid: -1, shame: -2, shameful: -2,
+  disappointing: -2, disappointed: -2, crisis: -2, attack: -2, war: -2, death: -2, killed: -2, violence: -2,
+  protest: -1, against: -1, worry: -1, worried: -1, concern: -1, confusing: -1, dictate: -1, boss: -1, unsafe: -1,
+  exhaustion: -1, pain: -1, loss: -1, lost: -1, wrong: -1, scam: -2, riot: -2,
+  // Hindi (romanised)
+  accha: 1, achha: 1, acha: 1, badhiya: 2, shandar: 2, shaandaar: 2, khush: 1, garv: 2, jai: 1, zindabad: 2,
+  dhanyavad: 1, shukriya: 1, behtareen: 2, bura: -1, bekar: -1, bakwas: -2, sharam: -2, dukh: -1, gussa: -2,
+  ghatiya: -2, barbad: -2, dar: -1,
+  // Hindi (Devanagari)
+  'अच्छा': 1, 'अच्छी': 1, 'बढ़िया': 2, 'शानदार': 2, 'खुश': 1, 'गर्व': 2, 'जय': 1, 'जिंदाबाद': 2, 'धन्यवाद': 1,
+  'सफलता': 2, 'विकास': 1, 'बधाई': 2, 'बुरा': -1, 'बेकार': -1, 'शर्म': -2, 'दुख': -1, 'गुस्सा': -2, 'घटिया': -2,
+  'भ्रष्टाचार': -2, 'डर': -1, 'समस्या': -1,
+  // Spanish / Portuguese
+  bueno: 1, buena: 1, excelente: 2, feliz: 1, orgullo: 2, gracias: 1, malo: -1, mala: -1, triste: -1,
+  bom: 1, boa: 1, obrigado: 1, ruim: -1, pior: -2,
+  // French
+  bon: 1, bonne: 1, merci: 1, heureux: 1, fier: 2, mauvais: -1, mauvaise: -1, honte: -2,
+  // German
+  gut: 1, toll: 2, danke: 1, stolz: 2, schlecht: -1, traurig: -1, schande: -2,
+};
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', "don't", "can't", "won't", "isn't", "didn't", 'nahi', 'nahin', 'mat', 'नहीं', 'ना', 'मत',
+  'nunca', 'pas', 'jamais', 'nicht', 'kein', 'keine', 'não', 'nao',
+]);
+
+const INTENSIFIERS = new Set(['very', 'really', 'so', 'extremely', 'bahut', 'bohot', 'बहुत', 'muy', 'très', 'sehr', 'muito']);
+
+const EMOJI = { '😀': 1, '😃': 1, '😊': 1, '😍': 2, '❤': 2, '👍': 1, '🙏': 1, '🎉': 2, '🇮🇳': 1, '😢': -1, '😭': -2, '😡': -2, '👎': -1, '💔': -2 };
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'is', 'are', 'was', 'be', 'with', 'at', 'by', 'this',
+  'that', 'it', 'we', 'you', 'they', 'i', 'our', 'your', 'their', 'from', 'as', 'but', 'have', 'has', 'will', 'not',
+  'https', 'http', 'co', 'amp', 'rt', 'ka', 'ki', 'ke', 'hai', 'se', 'को', 'के', 'की', 'है', 'में', 'और',
+]);
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{M}\p{N}_']+/gu) || []);
+}
+
+// Emotion cue words and emoji, for the extended (signals) analysis
+const EMOTION_CUES = {
+  joy: ['happy', 'glad', 'love', 'celebrate', 'celebration', 'congratulations', 'congrats', 'khush', 'feliz', 'heureux', '😀', '😃', '😊', '😍', '🎉'],
+  anger: ['angry', 'hate', 'outrage', 'shame', 'shameful', 'gussa', 'sharam', 'honte', 'schande', '😡'],
+  fear: ['fear', 'afraid', 'scared', 'worry', 'worried', 'unsafe', 'dar'],
+  sadness: ['sad', 'loss', 'lost', 'pain', 'dukh', 'triste', 'traurig', '😢', '😭', '💔'],
+  surprise: ['wow', 'unbelievable', 'shocking', 'surprised', '😮', '😲'],
+  disgust: ['disgusting', 'gross', 'bakwas', 'ghatiya', 'corrupt', 'corruption'],
+  trust: ['trust', 'support', 'proud', 'garv', 'faith', 'reliable', 'orgullo', 'fier', 'stolz', '🙏'],
+};
+
+const SARCASM_MARKERS = /\/s\b|#sarcasm|yeah,? right|oh,? great|thanks a lot|🙄|😒|😏/i;
+
+// Function to compute the raw polarity of a text: sum of word scores with negation and intensifiers
+export function polarity(text) {
+  return analyseText(text).total;
+}
+
+// Function to score a text and keep the words that contributed, for confidence and rationale
+function analyseText(text) {
+  const tokens = tokenize(text);
+  const matches = [];
+  let total = 0;
+  tokens.forEach((token, index) => {
+    // Own keys only, so words like "constructor" do not pick up Object.prototype members
+    let value = Object.hasOwn(LEXICON, token) ? LEXICON[token] : 0;
+    if (value === 0) {
+      return;
+    }
+    const previous = tokens.slice(Math.max(0, index - 3), index);
+    if (previous.some((word) => NEGATORS.has(word))) {
+      value = -value;
+    }
+    if (index > 0 && INTENSIFIERS.has(tokens[index - 1])) {
+      value *= 1.5;
+    }
+    total += value;
+    matches.push({ word: token, value });
+  });
+  for (const [emoji, value] of Object.entries(EMOJI)) {
+    const count = text.split(emoji).length - 1;
+    total += value * count;
+    if (count > 0) {
+      matches.push({ word: emoji, value: value * count });
+    }
+  }
+  return { total, matches };
+}
+
+// Function to derive emotions, sarcasm, confidence and a rationale from the lexicon matches
+export function textSignals(text) {
+  const { total, matches } = analyseText(text);
+  const tokens = new Set(tokenize(text));
+  const emotions = Object.keys(EMOTION_CUES)
+    .filter((emotion) => EMOTION_CUES[emotion].some((cue) => tokens.has(cue) || (!/\w/.test(cue) && text.includes(cue))));
+  const positive = matches.filter((match) => match.value > 0).map((match) => match.word);
+  const negative = matches.filter((match) => match.value < 0).map((match) => match.word);
+  const sarcasm = SARCASM_MARKERS.test(text);
+
+  let confidence = matches.length === 0 ? 0.3 : Math.min(0.9, 0.55 + 0.1 * matches.length);
+  if (positive.length > 0 && negative.length > 0) {
+    confidence = Math.min(confidence, 0.45);
+  }
+  if (sarcasm) {
+    confidence -= 0.2;
+  }
+
+  const rationale = matches.length === 0
+    ? 'No sentiment words found; scored neutral.'
+    : `Positive cues: ${positive.join(', ') || 'none'}; negative cues: ${negative.join(', ') || 'none'}.`;
+  return {
+    // Sarcastic praise is read as criticism
+    sentiment_score: polarityToScore(sarcasm && total > 0 ? -total : total),
+    emotions,
+    sarcasm,
+    confidence: parseFloat(confidence.toFixed(2)),
+    rationale: sarcasm ? `${rationale} Sarcasm marker found, so the polarity was inverted.` : rationale,
+  };
+}
+
+// Function to map a raw polarity onto the 1-5 sentiment scale
+export function polarityToScore(value) {
+  if (value >= 2) return 5;
+  if (value >= 0.5) return 4;
+  if (value <= -2) return 1;
+  if (value <= -0.5) return 2;
+  return 3;
+}
+
+// Clause boundaries used to give each target the polarity of the part of the tweet it appears in
+const CLAUSE_SEPARATOR = /[.!?;\n]+|\s(?:but|however|whereas|while|pero|mais|aber|lekin|लेकिन|par|magar)\s/i;
+
+// Function to find a tweet's hashtags and @mentions and score each by the clauses that mention it
+export function scoreTargets(text) {
+  const clauses = text.split(CLAUSE_SEPARATOR).filter((clause) => clause && clause.trim());
+  const targets = new Map();
+  for (const [pattern, type] of [[/#([\p{L}\p{N}_]+)/gu, 'hashtag'], [/@(\w+)/g, 'entity']]) {
+    for (const match of text.matchAll(pattern)) {
+      const key = match[1].toLowerCase();
+      if (targets.has(key)) continue;
+      const context = clauses.filter((clause) => clause.includes(match[0])).join(' ') || text;
+      targets.set(key, { target: match[1], type, sentiment_score: polarityToScore(polarity(context)) });
+    }
+  }
+  return [...targets.values()];
+}
+
+function topEntries(counts, limit) {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, limit);
+}
+
+function percent(count, total) {
+  return total === 0 ? 0 : parseFloat(((count / total) * 100).toFixed(2));
+}
+
+// Function to compute the per-dataset statistics the trend/insight/summary heuristics share
+function describeRows(rows, columns) {
+  // Keyed by words and hashtags from the tweets, so without a prototype
+  const hashtagCounts = Object.create(null);
+  const hashtagScores = Object.create(null);
+  const wordCounts = Object.create(null);
+  const languageCounts = Object.create(null);
+  let positive = 0;
+  let negative = 0;
+
+  for (const row of rows) {
+    const text = row[columns.text] || '';
+    const score = polarityToScore(polarity(text));
+    if (score > 3) positive += 1;
+    if (score < 3) negative += 1;
+
+    const language = getLanguage(row, columns);
+    languageCounts[language] = (languageCounts[language] || 0) + 1;
+
+    for (const tag of getHashtags(row, columns)) {
+      hashtagCounts[tag] = (hashtagCounts[tag] || 0) + 1;
+      hashtagScores[tag] = (hashtagScores[tag] || 0) + score;
+    }
+    for (const word of tokenize(text.replace(/https?:\/\/\S+|[#@][\p{L}\p{N}_]+/gu, ''))) {
+      if (word.length > 2 && !STOPWORDS.has(word)) {
+        wordCounts[word] = (wordCounts[word] || 0) + 1;
+      }
+    }
+  }
+
+  return { total: rows.length, hashtagCounts, hashtagScores, wordCounts, languageCounts, positive, negative };
+}
+
+function cite(topic) {
+  return { topicIds: [topic.id], tweetIds: topic.examples.map((example) => example.id) };
+}
+
+// Function to report the largest topics as trends, each citing the topic and its example tweets
+function topicTrends(topics) {
+  return topics.filter((topic) => topic.id !== 'other').slice(0, 3).map((topic) => ({
+    title: topic.label,
+    description: `${topic.size} tweets (${topic.share}%) are about ${topic.keywords.slice(0, 5).join(', ')}`
+      + (topic.meanScore === null ? '.' : `, with a mean sentiment score of ${topic.meanScore}.`),
+    ...cite(topic),
+  }));
+}
+
+// Function to point out the largest, most positive and most negative topics
+function topicInsights(topics) {
+  const named = topics.filter((topic) => topic.id !== 'other');
+  const scored = named.filter((topic) => topic.meanScore !== null).sort((a, b) => b.meanScore - a.meanScore);
+  const insights = [];
+  if (named.length > 0) {
+    insights.push({ text: `The largest topic is "${named[0].label}" with ${named[0].share}% of tweets.`, ...cite(named[0]) });
+  }
+  if (scored.length > 1) {
+    const [best, worst] = [scored[0], scored[scored.length - 1]];
+    insights.push({ text: `"${best.label}" is the most positive topic (mean score ${best.meanScore}).`, ...cite(best) });
+    insights.push({ text: `"${worst.label}" is the most negative topic (mean score ${worst.meanScore}).`, ...cite(worst) });
+  }
+  const other = topics.find((topic) => topic.id === 'other');
+  if (other) {
+    insights.push({ text: `${other.share}% of tweets have too little text to be placed in a topic.`, topicIds: [other.id], tweetIds: [] });
+  }
+  return insights;
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+// Function to narrate comparisonFacts (see compare.js) from fixed sentences
+function comparisonSummary({ a, b, meanScoreDelta, meanScoreChanged, distributionChanged, shifts, topicsAppeared, topicsDisappeared }) {
+  let direction = 'about as positive as';
+  if (meanScoreChanged) {
+    direction = meanScoreDelta > 0 ? 'more positive than' : 'more negative than';
+  }
+  const sentences = [
+    `${b.label} (${b.tweets} tweets) is ${direction} ${a.label} (${a.tweets} tweets): the mean score moved from ${a.meanScore} to ${b.meanScore}, `
+      + `and the score distribution ${distributionChanged ? 'changed significantly' : 'did not change significantly'}.`,
+    `Positive tweets went from ${a.positive}% to ${b.positive}% and negative tweets from ${a.negative}% to ${b.negative}%.`,
+  ];
+  if (shifts.length > 0) {
+    const listed = shifts.slice(0, 4).map(({ dimension, value, shareDelta, meanScoreDelta: delta }) => (
+      `${dimension === 'hashtag' ? '#' : ''}${value} (share ${signed(shareDelta)} points${delta === null ? '' : `, mean score ${signed(delta)}`})`
+    ));
+    sentences.push(`The clearest shifts are ${listed.join(', ')}.`);
+  }
+  if (topicsAppeared.length > 0) {
+    sentences.push(`New topics: ${topicsAppeared.join(', ')}.`);
+  }
+  if (topicsDisappeared.length > 0) {
+    sentences.push(`Topics that faded away: ${topicsDisappeared.join(', ')}.`);
+  }
+  return sentences.join(' ');
+}
+
+const lexiconProvider = {
+  name: 'lexicon',
+  defaultModel: 'lexicon-v1',
+
+  async scoreSentiment(tweets) {
+    return tweets.map((tweet) => ({ id: tweet.id, sentiment_score: polarityToScore(polarity(tweet.text)) }));
+  },
+
+  async scoreSignals(tweets) {
+    return tweets.map((tweet) => ({ id: tweet.id, ...textSignals(tweet.text) }));
+  },
+
+  async scoreAspects(tweets) {
+    return tweets.map((tweet) => ({
+      id: tweet.id,
+      sentiment_score: polarityToScore(polarity(tweet.text)),
+      aspects: scoreTargets(tweet.text),
+    }));
+  },
+
+  async analyzeTrends({ rows, columns, topics }) {
+    if (topics) {
+      return { trends: topicTrends(topics) };
+    }
+    const stats = describeRows(rows, columns);
+    const trends = topEntries(stats.hashtagCounts, 3).map(([tag, count]) => ({
+      title: `#${tag}`,
+      description: `#${tag} appears in ${count} of ${stats.total} tweets (${percent(count, stats.total)}%) with a mean sentiment score of ${(stats.hashtagScores[tag] / count).toFixed(2)}.`,
+    }));
+    if (trends.length < 2) {
+      for (const [word, count] of topEntries(stats.wordCounts, 3 - trends.length)) {
+        trends.push({ title: word, description: `"${word}" is mentioned ${count} times across ${stats.total} tweets.` });
+      }
+    }
+    return { trends };
+  },
+
+  async generateInsights({ rows, columns, topics }) {
+    if (topics) {
+      return { insights: topicInsights(topics) };
+    }
+    const stats = describeRows(rows, columns);
+    const insights = [
+      `${percent(stats.positive, stats.total)}% of tweets lean positive and ${percent(stats.negative, stats.total)}% lean negative.`,
+    ];
+    const languages = topEntries(stats.languageCounts, 3);
+    if (languages.length > 0) {
+      insights.push(`Most tweets are in ${languages.map(([lang, count]) => `${lang} (${percent(count, stats.total)}%)`).join(', ')}.`);
+    }
+    const [topTag] = topEntries(stats.hashtagCounts, 1);
+    if (topTag) {
+      insights.push(`The most used hashtag is #${topTag[0]} (${topTag[1]} tweets).`);
+    }
+    const [topWord] = topEntries(stats.wordCounts, 1);
+    if (topWord) {
+      insights.push(`The most frequent word is "${topWord[0]}" (${topWord[1]} mentions).`);
+    }
+    return { insights };
+  },
+
+  async generateSummary({ rows, columns }) {
+    const stats = describeRows(rows, columns);
+    const tags = topEntries(stats.hashtagCounts, 3).map(([tag]) => `#${tag}`);
+    const summary = `Analysed ${stats.total} tweets in ${Object.keys(stats.languageCounts).length} language(s); `
+      + `${percent(stats.positive, stats.total)}% positive and ${percent(stats.negative, stats.total)}% negative by lexicon scoring`
+      + (tags.length > 0 ? `, most discussed: ${tags.join(', ')}.` : '.');
+    return { summary };
+  },
+
+  async summariseComparison(facts) {
+    return { summary: comparisonSummary(facts) };
+  },
+
+  // Topics are named after their top keywords
+  async labelTopics(topics) {
+    return topics.map(({ id, keywords }) => ({ id, label: keywords.slice(0, 3).join(' / ') || id }));
+  },
+
+  async translateBatch() {
+    throw new Error('The lexicon provider cannot translate text offline.');
+  },
+};
+
+export default lexiconProvider;
@@ -0,0 +1,207 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { dataPath } from '../utils/storage.js';
+import { createHttpError } from '../utils/errors.js';
+import { ROW_TEXT } from '../utils/tweets.js';
+
+// Persistent store of per-tweet sentiment scores. Records are appended to an NDJSON file and
+// indexed in memory on first use; invalidation rewrites the file without the removed records.
+// A record is reused only for the same dataset, tweet id, tweet text, provider, model and prompt version.
+
+// Dataset key used for the legacy ./India.csv source, which has no dataset id
+const DEFAULT_DATASET_KEY = 'default';
+
+export const CACHE_MODES = ['use', 'refresh', 'off'];
+
+let records;
+let writeQueue = Promise.resolve();
+
+function storePath() {
+  return path.join(dataPath('cache'), 'sentiment.ndjson');
+}
+
+export function hashText(text) {
+  return createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+function recordKey({ datasetId, tweetId, textHash, provider, model, promptVersion }) {
+  return [datasetId, tweetId, textHash, provider, model, promptVersion].join('|');
+}
+
+async function loadRecords() {
+  if (records) {
+    return records;
+  }
+  const loaded = new Map();
+  try {
+    const content = await fs.promises.readFile(storePath(), 'utf8');
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        loaded.set(recordKey(record), record);
+      } catch (error) {
+        console.error('Skipping corrupt result cache line:', line);
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  records = loaded;
+  return records;
+}
+
+// Function to serialise writes so appends and rewrites never interleave
+function enqueueWrite(task) {
+  writeQueue = writeQueue.then(task, task);
+  return writeQueue;
+}
+
+// Function to read ?cache=use|refresh|off (default use)
+export function parseCacheMode(value) {
+  const mode = value || 'use';
+  if (!CACHE_MODES.includes(mode)) {
+    throw createHttpError(400, `cache must be one of ${CACHE_MODES.join(', ')}.`);
+  }
+  return mode;
+}
+
+/**
+ * Splits tweets into those with a stored score for this provider/model/prompt version and those
+ * that still need scoring.
+ */
+export async function lookupScores(tweets, { datasetId, provider, model, promptVersion }) {
+  const store = await loadRecords();
+  const cached = [];
+  const uncached = [];
+  for (const tweet of tweets) {
+    const record = store.get(recordKey({
+      datasetId: datasetId || DEFAULT_DATASET_KEY,
+      tweetId: tweet.id,
+      textHash: hashText(tweet.text),
+      provider,
+      model,
+      promptVersion,
+    }));
+    if (record) {
+      cached.push({ ...record.result, id: tweet.id });
+    } else {
+      uncached.push(tweet);
+    }
+  }
+  return { cached, uncached };
+}
+
+// Function to persist freshly scored results
+export async function storeScores(tweets, results, { datasetId, provider, model, promptVersion }) {
+  const store = await loadRecords();
+  const tweetById = new Map(tweets.map((tweet) => [tweet.id, tweet]));
+  const createdAt = new Date().toISOString();
+  const newRecords = results
+    .filter((result) => tweetById.has(result.id))
+    .map((result) => ({
+      datasetId: datasetId || DEFAULT_DATASET_KEY,
+      tweetId: result.id,
+      textHash: hashText(tweetById.get(result.id).text),
+      // The text in the file, which exports match rows on (the scored text may be preprocessed or translated)
+      rowHash: hashText(tweetById.get(result.id).row?.[ROW_TEXT] ?? tweetById.get(result.id).text),
+      provider,
+      model,
+      promptVersion,
+      sentiment_score: result.sentiment_score,
+      result,
+      createdAt,
+    }));
+  if (newRecords.length === 0) {
+    return 0;
+  }
+
+  newRecords.forEach((record) => store.set(recordKey(record), record));
+  const lines = newRecords.map((record) => JSON.stringify(record)).join('\n') + '\n';
+  await enqueueWrite(() => fs.promises.appendFile(storePath(), lines));
+  return newRecords.length;
+}
+
+/**
+ * Indexes the newest stored record of every tweet of a dataset for one provider/model/prompt
+ * version, by tweet id. Exports stream the raw rows, so they check each record against the row's
+ * text with resultForRow rather than matching on the (preprocessed) text it was scored from.
+ */
+export async function indexScores({ datasetId, provider, model, promptVersion }) {
+  const store = await loadRecords();
+  const index = new Map();
+  for (const record of store.values()) {
+    if (record.datasetId === (datasetId || DEFAULT_DATASET_KEY) && record.provider === provider
+      && record.model === model && record.promptVersion === promptVersion) {
+      const existing = index.get(record.tweetId);
+      if (!existing || existing.createdAt < record.createdAt) {
+        index.set(record.tweetId, record);
+      }
+    }
+  }
+  return index;
+}
+
+// Function to return an indexed record's result if it was computed for this row text, else null.
+// Records stored before rowHash was kept are compared on the text they were scored from.
+export function resultForRow(record, text) {
+  if (!record) {
+    return null;
+  }
+  const matched = record.rowHash ? record.rowHash === hashText(text || '') : record.textHash === hashText((text || '').trim());
+  return matched ? record.result : null;
+}
+
+function matches(record, filters) {
+  return Object.entries(filters).every(([key, value]) => value === undefined || value === '' || record[key] === value);
+}
+
+function toFilters({ datasetId, id, provider, model, promptVersion }) {
+  return { datasetId, tweetId: id, provider, model, promptVersion };
+}
+
+// Function to query stored results, newest first
+export async function queryResults(query, { limit = 100, offset = 0 } = {}) {
+  const store = await loadRecords();
+  const filters = toFilters(query);
+  const found = [...store.values()]
+    .filter((record) => matches(record, filters))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return { total: found.length, results: found.slice(offset, offset + limit) };
+}
+
+/**
+ * Lists stored extended results (prompt versions ending in "+signals") whose confidence is below
+ * `threshold` or missing, least confident first, for human review. Takes the same filters as
+ * queryResults.
+ */
+export async function queryLowConfidence(query, { threshold, limit = 100, offset = 0 }) {
+  const store = await loadRecords();
+  const filters = toFilters(query);
+  const found = [...store.values()]
+    .filter((record) => record.promptVersion.endsWith('+signals') && matches(record, filters))
+    .filter((record) => typeof record.result.confidence !== 'number' || record.result.confidence < threshold)
+    .sort((a, b) => (a.result.confidence ?? -1) - (b.result.confidence ?? -1));
+  return { total: found.length, results: found.slice(offset, offset + limit) };
+}
+
+// Function to remove stored results matching the filters (all of them when no filter is given)
+export async function invalidateResults(query) {
+  const store = await loadRecords();
+  const filters = toFilters(query);
+  let removed = 0;
+  for (const [key, record] of store) {
+    if (matches(record, filters)) {
+      store.delete(key);
+      removed += 1;
+    }
+  }
+  if (removed > 0) {
+    const lines = [...store.values()].map((record) => JSON.stringify(record)).join('\n');
+    await enqueueWrite(() => fs.promises.writeFile(storePath(), lines ? `${lines}\n` : ''));
+  }
+  return removed;
+}
@@ -0,0 +1,298 @@
+import { createHash } from 'crypto';
+import { createHttpError } from '../utils/errors.js';
+import { parseDateParam, parseNonNegativeInt } from '../utils/query.js';
+import { getHashtags, getLanguage, getTimestamp } from '../utils/tweets.js';
+
+// Request-level row selection, applied to a dataset's preprocessed rows before any of them are sent
+// to a model: filters (?language=, ?hashtag=, ?keyword=, ?match=, ?from=, ?to=) narrow the rows, then
+// a sampling strategy (?sampling=) orders them and the [start, start + limit) window is taken. The
+// report returned with the rows describes both, including the seed, so a run can be reproduced.
+// ?from= is inclusive and ?to= exclusive, so ?to=2022-07-08 ends at midnight and back-to-back
+// ranges (to=X, then from=X) never share a tweet.
+
+export const SAMPLING_STRATEGIES = ['first', 'random', 'stratified', 'recent'];
+export const STRATIFY_BY = ['language', 'day'];
+const MAX_MATCH_LENGTH = 200;
+
+function parseList(value) {
+  return String(value || '').split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Function to split text into lower-cased words (runs of letters, digits and underscores)
+function toWords(text) {
+  return String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+// Function to tell whether `words` contains the words of `phrase` next to each other
+function containsPhrase(words, phrase) {
+  for (let i = 0; i + phrase.length <= words.length; i += 1) {
+    if (phrase.every((word, offset) => words[i + offset] === word)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Function to read the filter query parameters; every list matches when any of its values does.
+// ?match= takes whole words or phrases ("price hike"), not a regular expression, so a request
+// cannot make the text filter run for long.
+export function parseFilters(params) {
+  if (params.match && String(params.match).length > MAX_MATCH_LENGTH) {
+    throw createHttpError(400, `match must be at most ${MAX_MATCH_LENGTH} characters.`);
+  }
+  return {
+    languages: parseList(params.language),
+    hashtags: parseList(params.hashtag).map((tag) => tag.replace(/^#/, '')),
+    keywords: parseList(params.keyword),
+    match: parseList(params.match).map(toWords).filter((phrase) => phrase.length > 0),
+    from: parseDateParam(params.from, 'from'),
+    to: parseDateParam(params.to, 'to'),
+  };
+}
+
+// Function to read ?sampling=, ?seed= and ?stratifyBy=. Random and stratified samples without a
+// seed get a fresh one, which is reported so the same sample can be requested again.
+export function parseSampling(params) {
+  const strategy = params.sampling || 'first';
+  if (!SAMPLING_STRATEGIES.includes(strategy)) {
+    throw createHttpError(400, `sampling must be one of ${SAMPLING_STRATEGIES.join(', ')}.`);
+  }
+  const stratifyBy = params.stratifyBy || 'language';
+  if (!STRATIFY_BY.includes(stratifyBy)) {
+    throw createHttpError(400, `stratifyBy must be one of ${STRATIFY_BY.join(', ')}.`);
+  }
+  const seeded = strategy === 'random' || strategy === 'stratified';
+  const seed = seeded ? parseNonNegativeInt(params.seed, Math.floor(Math.random() * 2 ** 31), 'seed') : null;
+  return { strategy, seed, ...(strategy === 'stratified' && { stratifyBy }) };
+}
+
+function requireDates(columns, reason) {
+  if (!columns.date) {
+    throw createHttpError(400, `${reason} needs a date column, and this dataset has none. Set one with the "columns" field when uploading.`);
+  }
+}
+
+// Function to name the first filter a row fails, null when it passes them all
+function rejectionReason(row, columns, filters) {
+  const { languages, hashtags, keywords, match, from, to } = filters;
+  if (languages.length > 0 && !languages.includes(getLanguage(row, columns))) {
+    return 'language';
+  }
+  if (hashtags.length > 0 && !getHashtags(row, columns).some((tag) => hashtags.includes(tag))) {
+    return 'hashtag';
+  }
+  if (keywords.length > 0) {
+    const text = (row[columns.text] || '').toLowerCase();
+    if (!keywords.some((keyword) => text.includes(keyword))) {
+      return 'keyword';
+    }
+  }
+  if (match.length > 0) {
+    const words = toWords(row[columns.text] || '');
+    if (!match.some((phrase) => containsPhrase(words, phrase))) {
+      return 'match';
+    }
+  }
+  if (from !== null || to !== null) {
+    const timestamp = getTimestamp(row, columns);
+    if (timestamp === null || (from !== null && timestamp < from) || (to !== null && timestamp >= to)) {
+      return 'date';
+    }
+  }
+  return null;
+}
+
+// Function to make a seeded pseudo-random generator (mulberry32) returning numbers in [0, 1)
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Function to give the index-th matching row its place in a seeded random order: a number in
+// [0, 1) that depends only on the seed and the index, so rows can be ranked as they stream past
+function randomKey(seed, index) {
+  return seededRandom((seed + Math.imul(index, 0x9e3779b9)) >>> 0)();
+}
+
+/**
+ * Keeps the first `capacity` entries of a ranking while entries are added one at a time. Entries
+ * are buffered and cut back to the best `capacity` whenever the buffer doubles, so memory stays
+ * bounded by the window being selected rather than the number of rows.
+ */
+function createRanking(compare, capacity) {
+  let entries = [];
+  return {
+    add(entry) {
+      entries.push(entry);
+      if (entries.length >= 2 * capacity) {
+        entries = entries.sort(compare).slice(0, capacity);
+      }
+    },
+    sorted() {
+      return entries.sort(compare).slice(0, capacity);
+    },
+  };
+}
+
+// Orders of the ranked strategies: random by the seeded key, recent newest first with undated
+// rows last, in file order
+const RANKINGS = {
+  random: (a, b) => a.key - b.key || a.index - b.index,
+  recent: (a, b) => (b.timestamp ?? -Infinity) - (a.timestamp ?? -Infinity) || a.index - b.index,
+};
+
+// Function to shuffle a copy of the rows (Fisher-Yates)
+function shuffle(rows, random) {
+  const shuffled = [...rows];
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function stratumOf(row, columns, stratifyBy) {
+  if (stratifyBy === 'language') {
+    return getLanguage(row, columns);
+  }
+  const timestamp = getTimestamp(row, columns);
+  return timestamp === null ? 'undated' : new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Orders the rows so that every prefix is a proportional stratified sample: each stratum is
+ * shuffled, then rows are taken one at a time from the stratum furthest below its share.
+ * Returns the ordered rows and the size of each stratum (its selected count is filled in later).
+ */
+function stratify(rows, columns, { stratifyBy, seed }) {
+  const random = seededRandom(seed);
+  const strata = new Map();
+  for (const row of rows) {
+    const key = stratumOf(row, columns, stratifyBy);
+    if (!strata.has(key)) {
+      strata.set(key, []);
+    }
+    strata.get(key).push(row);
+  }
+  const groups = [...strata.keys()].sort().map((key) => ({ key, rows: shuffle(strata.get(key), random), taken: 0 }));
+
+  const ordered = [];
+  while (ordered.length < rows.length) {
+    const position = ordered.length + 1;
+    let next = null;
+    for (const group of groups) {
+      if (group.taken === group.rows.length) continue;
+      const deficit = (position * group.rows.length) / rows.length - group.taken;
+      if (!next || deficit > next.deficit) {
+        next = { group, deficit };
+      }
+    }
+    ordered.push(next.group.rows[next.group.taken]);
+    next.group.taken += 1;
+  }
+  return { ordered, strata: Object.fromEntries(groups.map((group) => [group.key, { available: group.rows.length, selected: 0 }])) };
+}
+
+// Function to fingerprint a selection so two runs can be checked for having used the same rows
+function fingerprint(rows, columns) {
+  const hash = createHash('sha1');
+  rows.forEach((row) => hash.update(`${columns.id ? row[columns.id] : ''}\u0000${row[columns.text] || ''}\n`));
+  return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * Creates a selector for a request's filters and sampling strategy. Rows are offered one at a time
+ * with `add(row)`, as they are read; `finish()` returns the selected [start, start + limit) window
+ * of the sampled order and a report of the filters, the sample and how many rows each step kept.
+ * "first" keeps file order, "random" is a seeded shuffle, "stratified" keeps the share of each
+ * language or day (?stratifyBy=) in every window, and "recent" takes the newest tweets first.
+ * With "first" only the window is kept and `add` returns true once it is full, so the caller can
+ * stop reading. "random" and "recent" have to see every matching row but keep only the best
+ * start + limit of them; "stratified" needs the size of every stratum and keeps every matching row.
+ */
+export function createSelector(columns, params, { start, limit }) {
+  const filters = parseFilters(params);
+  const sampling = parseSampling(params);
+  if (filters.from !== null || filters.to !== null) {
+    requireDates(columns, 'Filtering by from/to');
+  }
+  if (sampling.strategy === 'recent' || sampling.stratifyBy === 'day') {
+    requireDates(columns, sampling.strategy === 'recent' ? 'sampling=recent' : 'Stratifying by day');
+  }
+  const streaming = sampling.strategy === 'first';
+  const ranking = RANKINGS[sampling.strategy] && createRanking(RANKINGS[sampling.strategy], start + limit);
+  const excluded = { language: 0, hashtag: 0, keyword: 0, match: 0, date: 0 };
+  const kept = [];
+  let input = 0;
+  let matched = 0;
+
+  return {
+    // Function to offer the next row; returns true once no further row can be selected
+    add(row) {
+      input += 1;
+      const reason = rejectionReason(row, columns, filters);
+      if (reason) {
+        excluded[reason] += 1;
+        return false;
+      }
+      matched += 1;
+      if (ranking) {
+        const index = matched - 1;
+        ranking.add(sampling.strategy === 'random'
+          ? { row, index, key: randomKey(sampling.seed, index) }
+          : { row, index, timestamp: getTimestamp(row, columns) });
+        return false;
+      }
+      if (!streaming) {
+        kept.push(row);
+        return false;
+      }
+      if (matched > start && kept.length < limit) {
+        kept.push(row);
+      }
+      return kept.length >= limit;
+    },
+
+    finish() {
+      let ordered = kept;
+      let strata;
+      if (ranking) {
+        ordered = ranking.sorted().map((entry) => entry.row);
+      } else if (sampling.strategy === 'stratified') {
+        ({ ordered, strata } = stratify(kept, columns, sampling));
+      }
+      const selected = streaming ? kept : ordered.slice(start, start + limit);
+      if (strata) {
+        for (const row of selected) {
+          strata[stratumOf(row, columns, sampling.stratifyBy)].selected += 1;
+        }
+      }
+
+      return {
+        rows: selected,
+        report: {
+          filters: {
+            language: filters.languages,
+            hashtag: filters.hashtags,
+            keyword: filters.keywords,
+            match: filters.match.map((phrase) => phrase.join(' ')),
+            from: filters.from !== null ? new Date(filters.from).toISOString() : null,
+            to: filters.to !== null ? new Date(filters.to).toISOString() : null,
+          },
+          sampling: { ...sampling, ...(strata && { strata }) },
+          input,
+          matched,
+          excluded,
+          selected: selected.length,
+          fingerprint: fingerprint(selected, columns),
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,258 @@
+import { estimateTokens } from './csv.js';
+import { formatTweetLine } from './prompts.js';
+import { normaliseAspects, normaliseSignals, reconcileSentiments } from './validation.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { ROW_INDEX } from '../utils/tweets.js';
+
+// Batch limits for full-dataset scoring. The prompt asks for one result per tweet, so the
+// row cap also bounds the size of the JSON the model has to write back. The token limit is
+// SENTIMENT_MAX_BATCH_TOKENS (default 8000), read in buildBatches because dotenv is loaded after
+// this module is imported.
+export const MAX_BATCH_ROWS = 100;
+export const DEFAULT_CONCURRENCY = 3;
+// Extra calls per batch for tweets the model dropped or scored outside 1-5
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+// Scoring tasks: the provider method behind each, and how the task's extra fields are cleaned.
+// Aspect results carry an `aspects` array of { target, type, sentiment_score }; signal results
+// carry emotions, sarcasm, confidence and rationale. Both keep the tweet's overall sentiment_score.
+// `normalise(item)` returns the cleaned fields and how many were invalid, counted in `report[counter]`.
+const TASKS = {
+  sentiment: { method: 'scoreSentiment' },
+  aspects: {
+    method: 'scoreAspects',
+    counter: 'droppedAspects',
+    normalise: (item) => {
+      const { aspects, dropped } = normaliseAspects(item.aspects);
+      return { fields: { aspects }, invalid: dropped };
+    },
+  },
+  signals: {
+    method: 'scoreSignals',
+    counter: 'invalidSignals',
+    normalise: (item) => {
+      const { signals, invalid } = normaliseSignals(item);
+      return { fields: signals, invalid };
+    },
+  },
+};
+
+function emptyReport() {
+  return {
+    duplicates: [],
+    unknown: [],
+    outOfRange: [],
+    repairCalls: 0,
+    repaired: 0,
+    unresolved: [],
+    repairErrors: [],
+    droppedAspects: 0,
+    invalidSignals: 0,
+  };
+}
+
+// Function to turn dataset rows into { id, text } tweets using the dataset's column mapping.
+// Without an id column a tweet's id is its row number in the dataset file (ROW_INDEX, set by
+// loadDatasetRows), or else its position in `rows` plus `offset`.
+// Rows without text are returned separately so callers can report them as skipped.
+export function toTweets(rows, columns, offset = 0) {
+  const tweets = [];
+  const skipped = [];
+  rows.forEach((row, index) => {
+    const id = String(columns.id ? row[columns.id] : row[ROW_INDEX] ?? offset + index);
+    const text = (row[columns.text] || '').trim();
+    if (text) {
+      tweets.push({ id, text, row });
+    } else {
+      skipped.push(id);
+    }
+  });
+  return { tweets, skipped };
+}
+
+// Function to split tweets into batches that each stay under the token and row limits
+export function buildBatches(tweets, maxBatchTokens = Number(process.env.SENTIMENT_MAX_BATCH_TOKENS) || 8000, maxBatchRows = MAX_BATCH_ROWS) {
+  const batches = [];
+  let current = [];
+  let currentText = '';
+
+  for (const tweet of tweets) {
+    const line = `${formatTweetLine(tweet)}\n`;
+    const wouldExceed = estimateTokens(currentText + line) > maxBatchTokens;
+    if (current.length > 0 && (wouldExceed || current.length >= maxBatchRows)) {
+      batches.push(current);
+      current = [];
+      currentText = '';
+    }
+    current.push(tweet);
+    currentText += line;
+  }
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  return batches;
+}
+
+// Function to add one batch's validation report to a running total
+function mergeReport(total, report) {
+  for (const key of ['duplicates', 'unknown', 'outOfRange', 'unresolved', 'repairErrors']) {
+    total[key].push(...report[key]);
+  }
+  for (const key of ['repairCalls', 'repaired', 'droppedAspects', 'invalidSignals']) {
+    total[key] += report[key];
+  }
+  return total;
+}
+
+// Function to score one batch of tweets. A batch whose prompt is too large for the model
+// (PROMPT_TOO_LARGE from the call layer) is split in half and each half is scored on its own.
+export async function scoreBatch(tweets, provider, options, maxRepairAttempts = MAX_REPAIR_ATTEMPTS) {
+  try {
+    return await scoreWithRepairs(tweets, provider, options, maxRepairAttempts);
+  } catch (error) {
+    if (error.code !== 'PROMPT_TOO_LARGE' || tweets.length < 2) {
+      throw error;
+    }
+    const middle = Math.ceil(tweets.length / 2);
+    const halves = [
+      await scoreBatch(tweets.slice(0, middle), provider, options, maxRepairAttempts),
+      await scoreBatch(tweets.slice(middle), provider, options, maxRepairAttempts),
+    ];
+    return {
+      results: halves.flatMap((half) => half.results),
+      report: halves.reduce((total, half) => mergeReport(total, half.report), emptyReport()),
+    };
+  }
+}
+
+// Function to score tweets in one call, then re-request only the tweets whose scores came
+// back missing or out of range, up to maxRepairAttempts more calls
+async function scoreWithRepairs(tweets, provider, { model, template, task = 'sentiment' }, maxRepairAttempts) {
+  const { method, counter, normalise } = TASKS[task];
+  const scored = new Map();
+  const report = emptyReport();
+  let pending = tweets;
+  let lastCheck;
+
+  for (let attempt = 0; attempt <= maxRepairAttempts && pending.length > 0; attempt += 1) {
+    let sentiments;
+    try {
+      sentiments = await provider[method](pending, { model, template });
+    } catch (error) {
+      // A failure on the first call fails the batch; a failed repair just leaves tweets unresolved
+      if (attempt === 0) {
+        throw error;
+      }
+      report.repairErrors.push(error.message);
+      break;
+    }
+    if (attempt > 0) {
+      report.repairCalls += 1;
+    }
+
+    lastCheck = reconcileSentiments(pending, sentiments);
+    if (normalise) {
+      lastCheck.valid.forEach((item) => {
+        const { fields, invalid } = normalise(item);
+        Object.assign(item, fields);
+        report[counter] += invalid;
+      });
+    }
+    lastCheck.valid.forEach((item) => scored.set(item.id, item));
+    report.duplicates.push(...lastCheck.duplicates);
+    report.unknown.push(...lastCheck.unknown);
+    report.outOfRange.push(...lastCheck.outOfRange);
+    if (attempt > 0) {
+      report.repaired += lastCheck.valid.length;
+    }
+    pending = pending.filter((tweet) => !scored.has(tweet.id));
+  }
+
+  const outOfRangeIds = new Set((lastCheck?.outOfRange || []).map((item) => item.id));
+  report.unresolved = pending.map((tweet) => ({ id: tweet.id, reason: outOfRangeIds.has(tweet.id) ? 'out_of_range' : 'missing' }));
+  return { results: tweets.filter((tweet) => scored.has(tweet.id)).map((tweet) => scored.get(tweet.id)), report };
+}
+
+// Function to build the 1-5 count/percentage summary from a list of sentiment results
+export function summariseScores(sentiments) {
+  const analysisSummary = {
+    1: { count: 0, percentage: 0 },
+    2: { count: 0, percentage: 0 },
+    3: { count: 0, percentage: 0 },
+    4: { count: 0, percentage: 0 },
+    5: { count: 0, percentage: 0 },
+  };
+
+  const actualCount = sentiments.length;
+  if (actualCount > 0) {
+    sentiments.forEach((item) => {
+      const score = item.sentiment_score;
+      if (score >= 1 && score <= 5) {
+        analysisSummary[score].count += 1;
+      }
+    });
+
+    for (const score in analysisSummary) {
+      const count = analysisSummary[score].count;
+      // Round percentage to 2 decimal places
+      analysisSummary[score].percentage = parseFloat(((count / actualCount) * 100).toFixed(2));
+    }
+  }
+  return analysisSummary;
+}
+
+/**
+ * Scores any number of tweets by splitting them into token-sized batches and running
+ * up to `concurrency` provider calls at once. Failed batches do not abort the run; their
+ * tweets are counted as failed and the batch error is reported. Each batch's output is
+ * reconciled against the ids that were sent, and `validation` merges those reports.
+ * `onProgress({ batchesDone, batchesTotal, results })` is called once before the first batch and
+ * after every batch with that batch's results; once `signal` is aborted no new batch is started.
+ * `task` is 'sentiment' (one score per tweet), 'aspects' (also a score per mentioned target) or
+ * 'signals' (also emotions, sarcasm, confidence and a rationale).
+ */
+export async function scoreTweets(tweets, {
+  provider,
+  model,
+  template,
+  task = 'sentiment',
+  concurrency = DEFAULT_CONCURRENCY,
+  maxBatchTokens,
+  maxRepairAttempts = MAX_REPAIR_ATTEMPTS,
+  onProgress,
+  signal,
+}) {
+  const batches = buildBatches(tweets, maxBatchTokens);
+  let batchesDone = 0;
+  await onProgress?.({ batchesDone, batchesTotal: batches.length, results: [] });
+  const outcomes = await mapWithConcurrency(batches, concurrency, async (batch) => {
+    if (signal?.aborted) {
+      throw new Error('Cancelled before this batch started.');
+    }
+    try {
+      const outcome = await scoreBatch(batch, provider, { model, template, task }, maxRepairAttempts);
+      batchesDone += 1;
+      await onProgress?.({ batchesDone, batchesTotal: batches.length, results: outcome.results });
+      return outcome;
+    } catch (error) {
+      batchesDone += 1;
+      await onProgress?.({ batchesDone, batchesTotal: batches.length, results: [] });
+      throw error;
+    }
+  });
+
+  const results = [];
+  const errors = [];
+  const validation = emptyReport();
+  outcomes.forEach((outcome, index) => {
+    if (outcome.status === 'fulfilled') {
+      results.push(...outcome.value.results);
+      mergeReport(validation, outcome.value.report);
+    } else {
+      errors.push({ batch: index, size: batches[index].length, error: outcome.reason.message });
+      validation.unresolved.push(...batches[index].map((tweet) => ({ id: tweet.id, reason: 'batch_failed' })));
+    }
+  });
+
+  return { results, batches: { total: batches.length, failed: errors.length, errors }, validation };
+}
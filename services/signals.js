@@ -0,0 +1,66 @@
+import { EMOTIONS } from './validation.js';
+import { createHttpError } from '../utils/errors.js';
+
+// Aggregation of the extended signals (emotions, sarcasm, confidence) and selection of the
+// tweets the model was least sure about, for human review.
+
+export const DEFAULT_REVIEW_THRESHOLD = 0.6;
+
+function share(count, total) {
+  return total > 0 ? parseFloat(((count / total) * 100).toFixed(2)) : 0;
+}
+
+// Function to check a ?threshold= confidence value
+export function parseThreshold(value, name = 'threshold') {
+  if (value === undefined || value === '') {
+    return DEFAULT_REVIEW_THRESHOLD;
+  }
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw createHttpError(400, `${name} must be a number from 0 to 1.`);
+  }
+  return threshold;
+}
+
+// Function to read a result's confidence as low when it is below the threshold or missing
+export function isLowConfidence(result, threshold) {
+  return result.confidence === null || result.confidence === undefined || result.confidence < threshold;
+}
+
+/**
+ * Summarises the signals of scored tweets: how many express each emotion (a tweet can have
+ * several), how many are sarcastic, the mean confidence and how many fall below `threshold`.
+ */
+export function summariseSignals(results, { threshold = DEFAULT_REVIEW_THRESHOLD } = {}) {
+  const total = results.length;
+  const emotions = {};
+  for (const emotion of EMOTIONS) {
+    const count = results.filter((result) => (result.emotions || []).includes(emotion)).length;
+    emotions[emotion] = { count, percentage: share(count, total) };
+  }
+  const none = results.filter((result) => !result.emotions || result.emotions.length === 0).length;
+  const sarcastic = results.filter((result) => result.sarcasm === true).length;
+  const confidences = results.map((result) => result.confidence).filter((value) => typeof value === 'number');
+  const low = results.filter((result) => isLowConfidence(result, threshold)).length;
+
+  return {
+    emotions,
+    noEmotion: { count: none, percentage: share(none, total) },
+    sarcastic: { count: sarcastic, percentage: share(sarcastic, total) },
+    confidence: {
+      mean: confidences.length ? parseFloat((confidences.reduce((sum, value) => sum + value, 0) / confidences.length).toFixed(3)) : null,
+      threshold,
+      low: { count: low, percentage: share(low, total) },
+    },
+  };
+}
+
+// Function to list the low-confidence tweets with their text, least confident (or unknown) first
+export function selectForReview(tweets, results, { threshold = DEFAULT_REVIEW_THRESHOLD, limit = 20 } = {}) {
+  const textById = new Map(tweets.map((tweet) => [tweet.id, tweet.text]));
+  const flagged = results
+    .filter((result) => isLowConfidence(result, threshold))
+    .sort((a, b) => (a.confidence ?? -1) - (b.confidence ?? -1))
+    .map((result) => ({ ...result, text: textById.get(result.id) }));
+  return { threshold, count: flagged.length, tweets: flagged.slice(0, limit || undefined) };
+}
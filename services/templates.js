@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import { dataPath, readJson, writeJson } from '../utils/storage.js';
+import { createHttpError } from '../utils/errors.js';
+
+// Registry of named, versioned prompt templates. Built-in templates live in this file; templates
+// added through POST /templates are saved under DATA_DIR/templates/<id>.json. A template id is
+// "<name>-v<version>" and templates are never edited in place: changing one means adding the next
+// version, so cached scores (keyed by template id) always match the prompt that produced them.
+
+export const TEMPLATE_TYPES = ['sentiment', 'trends', 'insights', 'summary'];
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,58}[a-z0-9]$/;
+const ID_PATTERN = /^([a-z0-9][a-z0-9-]*)-v(\d+)$/;
+const MAX_EXAMPLES = 20;
+const MAX_RULES = 10;
+const MAX_TEXT_LENGTH = 2000;
+
+// The 5-point scale used when a sentiment template does not define its own
+const NEUTRAL_SCALE = [
+  { score: 5, label: 'STRONGLY POSITIVE', definition: 'Clear excitement, strong support, emphatic praise or celebration.' },
+  { score: 4, label: 'SLIGHTLY POSITIVE', definition: 'Mild approval, light optimism or satisfaction.' },
+  { score: 3, label: 'NEUTRAL', definition: 'Factual, informational or mixed content with no clear leaning either way.' },
+  { score: 2, label: 'SLIGHTLY NEGATIVE', definition: 'Mild concern, constructive criticism or minor dissatisfaction.' },
+  { score: 1, label: 'STRONGLY NEGATIVE', definition: 'Clear outrage, strong condemnation, significant fear or deep pessimism.' },
+];
+
+const BUILTIN_TEMPLATES = [
+  {
+    name: 'proud-indian',
+    version: 1,
+    type: 'sentiment',
+    default: true,
+    description: 'The original rubric: an Indian persona focused on national interest, India-specific examples and no "all 3s".',
+    persona: 'You are a **proud Indian** and a multilingual sentiment analysis expert. Your classification must reflect an informed, nuanced perspective focused on **national interest, cultural pride, and constructive commentary**.',
+    rules: ['CRITICAL CONSTRAINT: Do not return all 3s. The score distribution must reflect genuine positive and negative sentiment based on the rules and examples provided.'],
+    scale: [
+      { score: 5, label: 'STRONGLY POSITIVE', definition: 'Clear excitement, strong support, emphatic praise, or clear national pride/celebration.' },
+      { score: 4, label: 'SLIGHTLY POSITIVE', definition: 'Expresses mild approval, light optimism, satisfaction, or a subtle celebration.' },
+      { score: 3, label: 'NEUTRAL/INDETERMINATE', definition: 'STRICTLY USE ONLY IF: The tweet is a simple, non-editorialized announcement or purely data-driven factual statement. If you sense any trace of approval, dissatisfaction, or implied political/cultural stance, DO NOT use 3.' },
+      { score: 2, label: 'SLIGHTLY NEGATIVE', definition: 'Expresses mild concern, constructive criticism, or minor dissatisfaction.' },
+      { score: 1, label: 'STRONGLY NEGATIVE', definition: 'Clear outrage, strong condemnation, significant fear, or deep pessimism.' },
+    ],
+    examples: [
+      { text: 'The inauguration of the new highway is a major step forward for connectivity!', score: 5 },
+      { text: 'The new tax policy seems a bit confusing, will it affect small businesses?', score: 2 },
+      { text: 'Today, PM Modi met with global leaders at the G20 summit in Delhi.', score: 3 },
+      { text: "Very disappointing to see the poor sanitation in my city's public park. Needs urgent attention.", score: 1 },
+      { text: 'Feeling good about the upcoming reforms; a step in the right direction.', score: 4 },
+    ],
+  },
+  {
+    name: 'neutral-analyst',
+    version: 1,
+    type: 'sentiment',
+    description: 'A neutral, country- and brand-agnostic analyst. Neutral (3) is a normal outcome for factual tweets.',
+    persona: 'You are a neutral, multilingual sentiment analyst. Judge only the attitude the author expresses, not whether you agree with it, and do not favour any country, party, brand or group.',
+    rules: [],
+    scale: NEUTRAL_SCALE,
+    examples: [
+      { text: 'Absolutely loving the new update, everything feels faster!', score: 5 },
+      { text: 'The new pricing is a bit confusing, hope they explain it better.', score: 2 },
+      { text: 'The conference starts at 10am local time on Monday.', score: 3 },
+      { text: 'Worst customer service I have ever experienced. Never again.', score: 1 },
+      { text: 'Decent results this quarter, moving in the right direction.', score: 4 },
+    ],
+  },
+  {
+    name: 'default-trends',
+    version: 1,
+    type: 'trends',
+    default: true,
+    description: 'The original trends prompt.',
+    persona: '',
+    task: 'Analyze the trends in the following tweeter CSV data',
+    guidance: 'Identify 2-3 significant trends.',
+  },
+  {
+    name: 'default-insights',
+    version: 1,
+    type: 'insights',
+    default: true,
+    description: 'The original insights prompt.',
+    persona: '',
+    task: 'Generate insights from the following tweeter CSV data',
+    guidance: '',
+  },
+  {
+    name: 'default-summary',
+    version: 1,
+    type: 'summary',
+    default: true,
+    description: 'The original summary prompt.',
+    persona: '',
+    task: 'Generate a short summary of the key findings from the following tweeter CSV data',
+    guidance: '',
+  },
+].map((template) => ({ id: `${template.name}-v${template.version}`, ...template, builtIn: true, createdAt: null }));
+
+// Template creations in progress per name; versions of the same name are added one after another
+const createQueues = new Map();
+
+function templatesDir() {
+  return dataPath('templates');
+}
+
+async function loadStoredTemplates() {
+  const entries = await fs.promises.readdir(templatesDir());
+  const templates = await Promise.all(
+    entries.filter((entry) => entry.endsWith('.json')).map((entry) => readJson(path.join(templatesDir(), entry)))
+  );
+  return templates.filter(Boolean);
+}
+
+// Function to return the fields echoed in every response that used a template
+export function describeTemplate(template) {
+  return { id: template.id, name: template.name, version: template.version };
+}
+
+export async function listTemplates({ type } = {}) {
+  const templates = [...BUILTIN_TEMPLATES, ...await loadStoredTemplates()];
+  return templates
+    .filter((template) => !type || template.type === type)
+    .sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name) || a.version - b.version);
+}
+
+export async function getTemplate(id) {
+  const builtIn = BUILTIN_TEMPLATES.find((template) => template.id === id);
+  if (builtIn) {
+    return builtIn;
+  }
+  const template = ID_PATTERN.test(id || '') ? await readJson(path.join(templatesDir(), `${id}.json`)) : null;
+  if (!template) {
+    throw createHttpError(404, `Template ${id} not found. GET /templates lists the available templates.`);
+  }
+  return template;
+}
+
+/**
+ * Picks the template for an analysis: the requested ?template= id, checked against the analysis
+ * type, or the type's default (the original prompts).
+ */
+export async function resolveTemplate(type, id) {
+  if (!id) {
+    return BUILTIN_TEMPLATES.find((template) => template.type === type && template.default);
+  }
+  const template = await getTemplate(id);
+  if (template.type !== type) {
+    throw createHttpError(400, `Template ${id} is a ${template.type} template and cannot be used for ${type}.`);
+  }
+  return template;
+}
+
+function checkText(value, field, { required = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw createHttpError(400, `"${field}" is required.`);
+    }
+    return '';
+  }
+  if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+    throw createHttpError(400, `"${field}" must be a string of at most ${MAX_TEXT_LENGTH} characters.`);
+  }
+  return value.trim();
+}
+
+function checkScore(score, field) {
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    throw createHttpError(400, `"${field}" must be an integer from 1 to 5.`);
+  }
+  return score;
+}
+
+// Function to validate the type-specific fields of a new template
+function validateFields(type, fields) {
+  const persona = checkText(fields.persona, 'persona', { required: type === 'sentiment' });
+  if (type !== 'sentiment') {
+    return { persona, task: checkText(fields.task, 'task', { required: true }), guidance: checkText(fields.guidance, 'guidance') };
+  }
+
+  const rules = fields.rules || [];
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    throw createHttpError(400, `"rules" must be an array of at most ${MAX_RULES} strings.`);
+  }
+  const scale = fields.scale || NEUTRAL_SCALE;
+  if (!Array.isArray(scale) || scale.length !== 5) {
+    throw createHttpError(400, '"scale" must define all five scores, e.g. [{ "score": 5, "label": "STRONGLY POSITIVE", "definition": "..." }, ...].');
+  }
+  const examples = fields.examples || [];
+  if (!Array.isArray(examples) || examples.length > MAX_EXAMPLES) {
+    throw createHttpError(400, `"examples" must be an array of at most ${MAX_EXAMPLES} { text, score } objects.`);
+  }
+
+  const checkedScale = scale.map((entry, index) => ({
+    score: checkScore(entry?.score, `scale[${index}].score`),
+    label: checkText(entry.label, `scale[${index}].label`, { required: true }),
+    definition: checkText(entry.definition, `scale[${index}].definition`, { required: true }),
+  }));
+  if (new Set(checkedScale.map((entry) => entry.score)).size !== 5) {
+    throw createHttpError(400, '"scale" must define each score from 1 to 5 exactly once.');
+  }
+
+  return {
+    persona,
+    rules: rules.map((rule, index) => checkText(rule, `rules[${index}]`, { required: true })),
+    scale: checkedScale.sort((a, b) => b.score - a.score),
+    examples: examples.map((example, index) => ({
+      text: checkText(example?.text, `examples[${index}].text`, { required: true }),
+      score: checkScore(example.score, `examples[${index}].score`),
+    })),
+  };
+}
+
+/**
+ * Adds a template. Posting an existing name adds its next version; `basedOn` copies the fields of
+ * another template so a new version only needs to send what changes. Versions of one name are
+ * added one at a time, so two concurrent posts never pick the same version number.
+ */
+export async function createTemplate(body = {}) {
+  const base = body.basedOn ? await getTemplate(body.basedOn) : null;
+  const name = body.name || base?.name;
+  if (!name || !NAME_PATTERN.test(name)) {
+    throw createHttpError(400, '"name" must be 2-60 lowercase letters, digits or dashes, e.g. "brand-monitor".');
+  }
+
+  const previous = createQueues.get(name) || Promise.resolve();
+  const creation = previous.then(() => addVersion(name, base, body));
+  createQueues.set(name, creation.catch(() => {}));
+  return creation;
+}
+
+// Function to save the next version of a template name (see createTemplate)
+async function addVersion(name, base, body) {
+  const existing = (await listTemplates()).filter((template) => template.name === name);
+  const type = body.type || existing[0]?.type || base?.type;
+  if (!TEMPLATE_TYPES.includes(type)) {
+    throw createHttpError(400, `"type" must be one of ${TEMPLATE_TYPES.join(', ')}.`);
+  }
+  if (existing.length > 0 && existing[0].type !== type) {
+    throw createHttpError(409, `Template name "${name}" is already used by ${existing[0].type} templates.`);
+  }
+  if (base && base.type !== type) {
+    throw createHttpError(400, `Template ${base.id} is a ${base.type} template and cannot be the base of a ${type} template.`);
+  }
+
+  const version = Math.max(0, ...existing.map((template) => template.version)) + 1;
+  const template = {
+    id: `${name}-v${version}`,
+    name,
+    version,
+    type,
+    description: checkText(body.description ?? base?.description, 'description'),
+    ...validateFields(type, { ...base, ...body }),
+    basedOn: base ? base.id : null,
+    builtIn: false,
+    createdAt: new Date().toISOString(),
+  };
+  await writeJson(path.join(templatesDir(), `${template.id}.json`), template);
+  return template;
+}
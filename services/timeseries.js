@@ -0,0 +1,94 @@
+import { summariseScores } from './sentiment.js';
+import { getTimestamp } from '../utils/tweets.js';
+import { createHttpError } from '../utils/errors.js';
+
+export const INTERVALS = ['hour', 'day', 'week'];
+
+// Function to check an IANA timezone name such as "Asia/Kolkata"
+export function validateTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    throw createHttpError(400, `Unknown timezone "${timezone}". Use an IANA name such as "UTC" or "Asia/Kolkata".`);
+  }
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Function to label the hour/day/week bucket a timestamp falls in, in the given timezone.
+// Weeks start on Monday and are labelled with that Monday's date.
+export function bucketLabel(timestamp, interval, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(new Date(timestamp)).map((part) => [part.type, part.value])
+  );
+  const day = `${parts.year}-${parts.month}-${parts.day}`;
+
+  if (interval === 'hour') {
+    return `${day}T${parts.hour}:00`;
+  }
+  if (interval === 'week') {
+    const localDate = new Date(`${day}T00:00:00Z`);
+    const daysSinceMonday = (localDate.getUTCDay() + 6) % 7;
+    localDate.setUTCDate(localDate.getUTCDate() - daysSinceMonday);
+    return `${localDate.getUTCFullYear()}-${pad(localDate.getUTCMonth() + 1)}-${pad(localDate.getUTCDate())}`;
+  }
+  return day;
+}
+
+// Function to keep only tweets with a parseable date, counting the rest. ?from= and ?to= are
+// applied earlier, with the other filters of selection.js.
+export function selectDatedTweets(tweets, columns) {
+  if (!columns.date) {
+    throw createHttpError(400, 'This dataset has no date column. Set one with the "columns" field when uploading.');
+  }
+  let undated = 0;
+  const selected = [];
+  for (const tweet of tweets) {
+    const timestamp = getTimestamp(tweet.row, columns);
+    if (timestamp === null) {
+      undated += 1;
+    } else {
+      selected.push({ ...tweet, timestamp });
+    }
+  }
+  return { tweets: selected, excluded: { undated } };
+}
+
+/**
+ * Buckets scored tweets by hour, day or week and reports each bucket's count, mean score and
+ * 1-5 distribution, in chronological order.
+ */
+export function buildTimeSeries(tweets, results, { interval, timezone }) {
+  const scoreById = new Map(results.map((item) => [item.id, item]));
+  const buckets = new Map();
+  for (const tweet of tweets) {
+    const item = scoreById.get(tweet.id);
+    if (!item) {
+      continue;
+    }
+    const label = bucketLabel(tweet.timestamp, interval, timezone);
+    if (!buckets.has(label)) {
+      buckets.set(label, []);
+    }
+    buckets.get(label).push(item);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([bucket, items]) => ({
+      bucket,
+      count: items.length,
+      meanScore: parseFloat((items.reduce((sum, item) => sum + item.sentiment_score, 0) / items.length).toFixed(2)),
+      summary: summariseScores(items),
+    }));
+}
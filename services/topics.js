@@ -0,0 +1,272 @@
+import { seededRandom } from './selection.js';
+import { summariseScores } from './sentiment.js';
+import { createHttpError } from '../utils/errors.js';
+import { parseNonNegativeInt } from '../utils/query.js';
+
+// Topic clustering of scored tweets. Tweets become TF-IDF vectors over their words and hashtags
+// and are grouped by spherical k-means, so every tweet lands in exactly one topic without any
+// model calls; the provider is only asked to name each topic from its keywords and examples.
+// Tweets with no usable terms (only links, mentions or stopwords) go to an "other" topic.
+
+export const DEFAULT_TOPIC_COUNT = 8;
+export const MAX_TOPIC_COUNT = 30;
+const MAX_EXAMPLES = 10;
+const MAX_VOCABULARY = 5000;
+const MAX_ITERATIONS = 25;
+const KEYWORD_COUNT = 8;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'with', 'this', 'that', 'these', 'those', 'from', 'have', 'has', 'had',
+  'will', 'would', 'can', 'could', 'should', 'not', 'but', 'you', 'your', 'our', 'their', 'they', 'them', 'his', 'her',
+  'she', 'him', 'its', 'who', 'what', 'when', 'where', 'why', 'how', 'all', 'any', 'just', 'more', 'most', 'very',
+  'about', 'into', 'over', 'than', 'then', 'there', 'here', 'also', 'only', 'out', 'now', 'been', 'being', 'does',
+  'did', 'doing', 'get', 'got', 'one', 'like', 'amp', 'via', 'http', 'https', 'www', 'com',
+  'hai', 'hain', 'nahi', 'kya', 'aur', 'bhi', 'yeh', 'woh', 'har', 'liye', 'kar', 'kiya', 'raha', 'rahe',
+  'है', 'हैं', 'में', 'और', 'की', 'के', 'को', 'से', 'का', 'पर', 'यह', 'भी', 'नहीं', 'लिए',
+  'que', 'los', 'las', 'del', 'por', 'con', 'una', 'para', 'les', 'des', 'est', 'une', 'pour', 'dans', 'der', 'die',
+  'das', 'und', 'ist', 'mit', 'den',
+]);
+
+// Function to read ?topicCount= (default 8, 2-30) and ?examples= (representative tweets per topic)
+export function parseTopicOptions(params) {
+  const count = parseNonNegativeInt(params.topicCount, DEFAULT_TOPIC_COUNT, 'topicCount');
+  if (count < 2 || count > MAX_TOPIC_COUNT) {
+    throw createHttpError(400, `topicCount must be between 2 and ${MAX_TOPIC_COUNT}.`);
+  }
+  const examples = parseNonNegativeInt(params.examples, 3, 'examples');
+  if (examples > MAX_EXAMPLES) {
+    throw createHttpError(400, `examples must be at most ${MAX_EXAMPLES}.`);
+  }
+  return { count, examples };
+}
+
+// Function to split a tweet into the terms it is clustered on; hashtags keep their "#"
+function terms(text) {
+  const cleaned = text.toLowerCase().replace(/https?:\/\/\S+|@[\p{L}\p{N}_]+/gu, ' ');
+  return (cleaned.match(/#?[\p{L}\p{M}\p{N}_]+/gu) || [])
+    .filter((term) => term.replace(/^#/, '').length > 2 && !STOPWORDS.has(term) && !/^#?\d+$/.test(term));
+}
+
+/**
+ * Builds L2-normalised TF-IDF vectors, stored sparsely as [termIndex, weight] pairs. Terms used by
+ * a single tweet or by more than half of them say nothing about topics and are left out.
+ */
+function buildVectors(termLists) {
+  const documentFrequency = new Map();
+  termLists.forEach((list) => new Set(list).forEach((term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+  const maxFrequency = Math.max(2, Math.floor(termLists.length / 2));
+  const vocabulary = [...documentFrequency]
+    .filter(([, frequency]) => frequency >= 2 && frequency <= maxFrequency)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_VOCABULARY)
+    .map(([term]) => term);
+  const termIndex = new Map(vocabulary.map((term, index) => [term, index]));
+  const idf = vocabulary.map((term) => Math.log(termLists.length / documentFrequency.get(term)) + 1);
+
+  const vectors = termLists.map((list) => {
+    const counts = new Map();
+    for (const term of list) {
+      const index = termIndex.get(term);
+      if (index !== undefined) {
+        counts.set(index, (counts.get(index) || 0) + 1);
+      }
+    }
+    const weighted = [...counts].map(([index, count]) => [index, (1 + Math.log(count)) * idf[index]]);
+    const norm = Math.sqrt(weighted.reduce((sum, [, weight]) => sum + weight * weight, 0));
+    return weighted.map(([index, weight]) => [index, weight / norm]);
+  });
+  return { vocabulary, vectors };
+}
+
+function similarity(vector, centroid) {
+  return vector.reduce((sum, [index, weight]) => sum + weight * centroid[index], 0);
+}
+
+function centroidOf(vectors, dimensions) {
+  const centroid = new Float64Array(dimensions);
+  vectors.forEach((vector) => vector.forEach(([index, weight]) => { centroid[index] += weight; }));
+  const norm = Math.sqrt(centroid.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return centroid.map((value) => value / norm);
+}
+
+/**
+ * Spherical k-means with k-means++ seeding from a fixed seed, so the same tweets always give the
+ * same topics. A cluster that empties is re-seeded with the tweet furthest from its centroid.
+ * Returns each vector's cluster and similarity to its centroid, the centroids and the iterations run.
+ */
+function kMeans(vectors, k, dimensions) {
+  const random = seededRandom(k);
+  const centroids = [centroidOf([vectors[Math.floor(random() * vectors.length)]], dimensions)];
+  const closest = vectors.map((vector) => similarity(vector, centroids[0]));
+  while (centroids.length < k) {
+    const distances = closest.map((value) => Math.max(0, 1 - value) ** 2);
+    const total = distances.reduce((sum, value) => sum + value, 0);
+    let target = random() * total;
+    let chosen = distances.findIndex((value) => (target -= value) <= 0);
+    if (total === 0 || chosen === -1) {
+      chosen = Math.floor(random() * vectors.length);
+    }
+    const centroid = centroidOf([vectors[chosen]], dimensions);
+    centroids.push(centroid);
+    vectors.forEach((vector, index) => { closest[index] = Math.max(closest[index], similarity(vector, centroid)); });
+  }
+
+  const assignments = new Array(vectors.length).fill(-1);
+  const similarities = new Array(vectors.length).fill(0);
+  let iterations = 0;
+  for (let changed = true; changed && iterations < MAX_ITERATIONS; iterations += 1) {
+    changed = false;
+    vectors.forEach((vector, index) => {
+      let best = 0;
+      let bestSimilarity = -1;
+      centroids.forEach((centroid, cluster) => {
+        const value = similarity(vector, centroid);
+        if (value > bestSimilarity) {
+          best = cluster;
+          bestSimilarity = value;
+        }
+      });
+      similarities[index] = bestSimilarity;
+      if (assignments[index] !== best) {
+        assignments[index] = best;
+        changed = true;
+      }
+    });
+    for (let cluster = 0; cluster < k; cluster += 1) {
+      const members = vectors.filter((vector, index) => assignments[index] === cluster);
+      if (members.length > 0) {
+        centroids[cluster] = centroidOf(members, dimensions);
+        continue;
+      }
+      // A loop rather than Math.min(...similarities), which overflows the stack on large datasets
+      const furthest = similarities.reduce((lowest, similarity, index) => (similarity < similarities[lowest] ? index : lowest), 0);
+      centroids[cluster] = centroidOf([vectors[furthest]], dimensions);
+      assignments[furthest] = cluster;
+      similarities[furthest] = 1;
+      changed = true;
+    }
+  }
+  return { assignments, similarities, centroids, iterations };
+}
+
+function keywordLabel(keywords) {
+  return keywords.length > 0 ? keywords.slice(0, 3).join(' / ') : 'Other';
+}
+
+// Function to name the topics with the provider; keyword labels are kept for any topic it does
+// not name and for every topic when the call fails, so labelling never fails the analysis
+async function labelTopics(topics, { provider, model }) {
+  const named = topics.filter((topic) => topic.id !== 'other');
+  if (named.length === 0) {
+    return { source: 'keywords' };
+  }
+  try {
+    const labels = await provider.labelTopics(
+      named.map(({ id, keywords, examples }) => ({ id, keywords, examples: examples.map((example) => example.text) })),
+      { model }
+    );
+    const byId = new Map((Array.isArray(labels) ? labels : []).map((item) => [String(item?.id), item?.label]));
+    let labelled = 0;
+    for (const topic of named) {
+      const label = byId.get(topic.id);
+      if (typeof label === 'string' && label.trim()) {
+        topic.label = label.trim();
+        labelled += 1;
+      }
+    }
+    return { source: 'provider', labelled };
+  } catch (error) {
+    console.error('Topic labelling failed, keeping keyword labels:', error);
+    return { source: 'keywords', error: error.message };
+  }
+}
+
+/**
+ * Clusters the tweets of a sentiment run into at most `count` topics and reports, per topic
+ * (largest first): an id (topic-1, topic-2, ... and "other"), a label, its size and share of the
+ * tweets, its top keywords, its sentiment (scored tweets, mean score and 1-5 distribution) and
+ * its `examples` most representative tweets (closest to the topic centroid).
+ * Also returns each tweet's topic by id and how the clustering and labelling went.
+ */
+export async function clusterTopics(tweets, results, { count, examples, provider, model }) {
+  const scoreById = new Map(results.map((result) => [result.id, result]));
+  const termLists = tweets.map((tweet) => terms(tweet.text));
+  const { vocabulary, vectors } = buildVectors(termLists);
+  const clusterable = tweets.map((tweet, index) => index).filter((index) => vectors[index].length > 0);
+  const k = Math.min(count, clusterable.length);
+
+  const clusters = Array.from({ length: k }, () => []);
+  const other = [];
+  let iterations = 0;
+  let centroids = [];
+  if (k > 0) {
+    const outcome = kMeans(clusterable.map((index) => vectors[index]), k, vocabulary.length);
+    ({ iterations, centroids } = outcome);
+    clusterable.forEach((tweetIndex, position) => {
+      clusters[outcome.assignments[position]].push({ tweet: tweets[tweetIndex], similarity: outcome.similarities[position] });
+    });
+  }
+  tweets.forEach((tweet, index) => {
+    if (vectors[index].length === 0) {
+      other.push({ tweet, similarity: 0 });
+    }
+  });
+
+  const groups = clusters
+    .map((members, cluster) => ({ members, centroid: centroids[cluster] }))
+    .filter(({ members }) => members.length > 0)
+    .sort((a, b) => b.members.length - a.members.length);
+  if (other.length > 0) {
+    groups.push({ members: other, centroid: null, other: true });
+  }
+
+  const assignment = new Map();
+  const topics = groups.map((group, index) => {
+    const id = group.other ? 'other' : `topic-${index + 1}`;
+    group.members.forEach(({ tweet }) => assignment.set(tweet.id, id));
+    const keywords = group.centroid
+      ? [...group.centroid.keys()].sort((a, b) => group.centroid[b] - group.centroid[a]).slice(0, KEYWORD_COUNT).filter((term) => group.centroid[term] > 0).map((term) => vocabulary[term])
+      : [];
+    const scored = group.members.map(({ tweet }) => scoreById.get(tweet.id)).filter(Boolean);
+    const total = scored.reduce((sum, result) => sum + result.sentiment_score, 0);
+    return {
+      id,
+      label: group.other ? 'Other' : keywordLabel(keywords),
+      size: group.members.length,
+      share: parseFloat(((group.members.length / tweets.length) * 100).toFixed(2)),
+      keywords,
+      scored: scored.length,
+      meanScore: scored.length > 0 ? parseFloat((total / scored.length).toFixed(2)) : null,
+      summary: summariseScores(scored),
+      examples: [...group.members]
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, examples)
+        .map(({ tweet, similarity: value }) => ({
+          id: tweet.id,
+          text: tweet.text,
+          sentiment_score: scoreById.get(tweet.id)?.sentiment_score ?? null,
+          similarity: parseFloat(value.toFixed(3)),
+        })),
+    };
+  });
+
+  const labels = await labelTopics(topics, { provider, model });
+  return {
+    topics,
+    assignment,
+    clustering: { requested: count, clusters: topics.length, vocabulary: vocabulary.length, iterations, unclustered: other.length, labels },
+  };
+}
+
+// Function to keep only the ids a trend or insight may cite: known topics and clustered tweets.
+// Returns the cleaned citation and how many ids were dropped.
+export function checkCitations(item, topicIds, assignment) {
+  const topicCitations = (Array.isArray(item?.topicIds) ? item.topicIds : []).map(String);
+  const tweetCitations = (Array.isArray(item?.tweetIds) ? item.tweetIds : []).map(String);
+  const validTopics = topicCitations.filter((id) => topicIds.has(id));
+  const validTweets = tweetCitations.filter((id) => assignment.has(id));
+  return {
+    citation: { topicIds: [...new Set(validTopics)], tweetIds: [...new Set(validTweets)] },
+    invalid: topicCitations.length + tweetCitations.length - validTopics.length - validTweets.length,
+  };
+}
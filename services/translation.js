@@ -0,0 +1,230 @@
+import fs from 'fs';
+import path from 'path';
+import { estimateTokens } from './csv.js';
+import { resolveProvider } from './providers/index.js';
+import { hashText, parseCacheMode } from './resultStore.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { dataPath } from '../utils/storage.js';
+import { createHttpError } from '../utils/errors.js';
+
+// Translation subsystem. Strings are de-duplicated, looked up in a persistent cache keyed by
+// text, target language, provider and model, and the rest are sent in token-sized batches
+// (many strings per provider call). Every item reports whether it was translated, cached,
+// left unchanged or failed, so a failed translation is never silently passed off as one.
+
+export const SUPPORTED_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'hi', name: 'Hindi', native: 'हिन्दी' },
+  { code: 'bn', name: 'Bengali', native: 'বাংলা' },
+  { code: 'ta', name: 'Tamil', native: 'தமிழ்' },
+  { code: 'te', name: 'Telugu', native: 'తెలుగు' },
+  { code: 'mr', name: 'Marathi', native: 'मराठी' },
+  { code: 'gu', name: 'Gujarati', native: 'ગુજરાતી' },
+  { code: 'kn', name: 'Kannada', native: 'ಕನ್ನಡ' },
+  { code: 'ml', name: 'Malayalam', native: 'മലയാളം' },
+  { code: 'pa', name: 'Punjabi', native: 'ਪੰਜਾਬੀ' },
+  { code: 'or', name: 'Odia', native: 'ଓଡ଼ିଆ' },
+  { code: 'as', name: 'Assamese', native: 'অসমীয়া' },
+  { code: 'ur', name: 'Urdu', native: 'اردو' },
+  { code: 'ne', name: 'Nepali', native: 'नेपाली' },
+  { code: 'es', name: 'Spanish', native: 'Español' },
+  { code: 'fr', name: 'French', native: 'Français' },
+  { code: 'de', name: 'German', native: 'Deutsch' },
+  { code: 'pt', name: 'Portuguese', native: 'Português' },
+  { code: 'it', name: 'Italian', native: 'Italiano' },
+  { code: 'ar', name: 'Arabic', native: 'العربية' },
+  { code: 'zh', name: 'Chinese', native: '中文' },
+  { code: 'ja', name: 'Japanese', native: '日本語' },
+  { code: 'ko', name: 'Korean', native: '한국어' },
+  { code: 'ru', name: 'Russian', native: 'Русский' },
+  { code: 'id', name: 'Indonesian', native: 'Bahasa Indonesia' },
+  { code: 'tr', name: 'Turkish', native: 'Türkçe' },
+];
+
+const MAX_BATCH_ITEMS = 50;
+const MAX_BATCH_TOKENS = 4000;
+const DEFAULT_CONCURRENCY = 3;
+export const MAX_TEXTS = 1000;
+
+let cache;
+let writeQueue = Promise.resolve();
+
+function cachePath() {
+  return path.join(dataPath('cache'), 'translations.ndjson');
+}
+
+function cacheKey({ textHash, language, provider, model }) {
+  return [textHash, language, provider, model].join('|');
+}
+
+async function loadCache() {
+  if (cache) {
+    return cache;
+  }
+  const loaded = new Map();
+  try {
+    const content = await fs.promises.readFile(cachePath(), 'utf8');
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        loaded.set(cacheKey(record), record);
+      } catch (error) {
+        console.error('Skipping corrupt translation cache line:', line);
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  cache = loaded;
+  return cache;
+}
+
+/**
+ * Resolves a ?lang= value to a supported language. ISO 639-1 codes ("hi"), region tags ("pt-BR"),
+ * English names ("hindi") and native names ("हिन्दी") are accepted, case-insensitively.
+ */
+export function resolveLanguage(value) {
+  const wanted = String(value || '').trim().toLowerCase();
+  const language = SUPPORTED_LANGUAGES.find(({ code, name, native }) => (
+    wanted === code || wanted.split(/[-_]/)[0] === code || wanted === name.toLowerCase() || wanted === native?.toLowerCase()
+  ));
+  if (!language) {
+    throw createHttpError(400, `Unsupported language "${value}".`, {
+      supported: SUPPORTED_LANGUAGES.map(({ code, name }) => `${code} (${name})`),
+    });
+  }
+  return language;
+}
+
+// Function to split the strings to translate into batches under the item and token limits
+function buildTranslationBatches(items) {
+  const batches = [];
+  let current = [];
+  let currentText = '';
+  for (const item of items) {
+    const wouldExceed = estimateTokens(currentText + item.text) > MAX_BATCH_TOKENS;
+    if (current.length > 0 && (wouldExceed || current.length >= MAX_BATCH_ITEMS)) {
+      batches.push(current);
+      current = [];
+      currentText = '';
+    }
+    current.push(item);
+    currentText += item.text;
+  }
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  return batches;
+}
+
+// Function to translate one batch, splitting it in half when its prompt is too large for the model
+async function translateBatch(batch, language, { provider, model }) {
+  try {
+    return await provider.translateBatch(batch, language, { model });
+  } catch (error) {
+    if (error.code !== 'PROMPT_TOO_LARGE' || batch.length < 2) {
+      throw error;
+    }
+    const middle = Math.ceil(batch.length / 2);
+    return [
+      ...await translateBatch(batch.slice(0, middle), language, { provider, model }),
+      ...await translateBatch(batch.slice(middle), language, { provider, model }),
+    ];
+  }
+}
+
+/**
+ * Translates `texts` into `language` ({ code, name } from resolveLanguage) with the given provider.
+ * Returns one item per input text, in order: { text, translation, status, error? } where status is
+ * 'translated', 'cached', 'unchanged' (empty text, sent as is) or 'failed'
+ * (translation is null), plus counts per status. `cacheMode` is 'use', 'refresh' or 'off'.
+ */
+export async function translateTexts(texts, language, { provider, model, cacheMode = 'use', concurrency = DEFAULT_CONCURRENCY }) {
+  const store = await loadCache();
+  const outcomes = new Map();
+  const pending = new Map();
+
+  for (const text of new Set(texts)) {
+    if (typeof text !== 'string' || !text.trim()) {
+      outcomes.set(text, { translation: text, status: 'unchanged' });
+      continue;
+    }
+    const record = cacheMode === 'use'
+      ? store.get(cacheKey({ textHash: hashText(text), language: language.code, provider: provider.name, model }))
+      : null;
+    if (record) {
+      outcomes.set(text, { translation: record.translation, status: 'cached' });
+    } else {
+      pending.set(text, { id: String(pending.size), text });
+    }
+  }
+
+  const batches = buildTranslationBatches([...pending.values()]);
+  const settled = await mapWithConcurrency(batches, concurrency, (batch) => translateBatch(batch, language, { provider, model }));
+  const fresh = [];
+  settled.forEach((outcome, index) => {
+    const batch = batches[index];
+    if (outcome.status === 'rejected') {
+      batch.forEach((item) => outcomes.set(item.text, { translation: null, status: 'failed', error: outcome.reason.message }));
+      return;
+    }
+    const byId = new Map((Array.isArray(outcome.value) ? outcome.value : []).map((result) => [String(result?.id), result?.translation]));
+    for (const item of batch) {
+      const translation = byId.get(item.id);
+      if (typeof translation === 'string' && translation.trim()) {
+        outcomes.set(item.text, { translation, status: 'translated' });
+        fresh.push({ textHash: hashText(item.text), language: language.code, provider: provider.name, model, translation, createdAt: new Date().toISOString() });
+      } else {
+        outcomes.set(item.text, { translation: null, status: 'failed', error: 'The provider returned no translation for this text.' });
+      }
+    }
+  });
+
+  if (cacheMode !== 'off' && fresh.length > 0) {
+    fresh.forEach((record) => store.set(cacheKey(record), record));
+    const lines = fresh.map((record) => JSON.stringify(record)).join('\n') + '\n';
+    const append = () => fs.promises.appendFile(cachePath(), lines);
+    writeQueue = writeQueue.then(append, append);
+    await writeQueue;
+  }
+
+  const items = texts.map((text) => ({ text, ...outcomes.get(text) }));
+  const counts = { translated: 0, cached: 0, unchanged: 0, failed: 0 };
+  items.forEach((item) => { counts[item.status] += 1; });
+  return { language, provider: { name: provider.name, model }, batches: batches.length, ...counts, items };
+}
+
+// Function to describe a translateTexts outcome without the items, listing the failures by
+// position or, when `ids` is given, by the id of the text at that position
+export function translationReport({ language, provider, batches, translated, cached, unchanged, failed, items }, ids) {
+  const failures = items
+    .map((item, index) => (item.status === 'failed' ? { id: ids ? ids[index] : index, error: item.error } : null))
+    .filter(Boolean);
+  return { language, provider, batches, translated, cached, unchanged, failed, failures };
+}
+
+/**
+ * Handles a POST /translate body: { "texts": [...] } or { "text": "..." }, "lang" (ISO code or
+ * name), and optional "provider", "model" and "cache" as on the analysis routes.
+ * Items come back in input order, each with its own status and, when it failed, its error.
+ */
+export async function translateRequest(body = {}) {
+  const single = typeof body.text === 'string' && body.texts === undefined;
+  const texts = single ? [body.text] : body.texts;
+  if (!Array.isArray(texts) || texts.length === 0 || texts.some((text) => typeof text !== 'string')) {
+    throw createHttpError(400, '"texts" must be a non-empty array of strings (or send a single "text").');
+  }
+  if (texts.length > MAX_TEXTS) {
+    throw createHttpError(400, `At most ${MAX_TEXTS} texts can be translated per request.`);
+  }
+  if (!body.lang) {
+    throw createHttpError(400, '"lang" is required.');
+  }
+  const language = resolveLanguage(body.lang);
+  const { provider, model } = resolveProvider(body);
+  const cacheMode = parseCacheMode(body.cache);
+  return translateTexts(texts, language, { provider, model, cacheMode });
+}
@@ -0,0 +1,189 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHttpError } from '../utils/errors.js';
+import { parseDateParam } from '../utils/query.js';
+import { dataPath } from '../utils/storage.js';
+
+// Usage accounting for model API calls. modelCalls.js appends one record per call to
+// DATA_DIR/usage/calls.ndjson, tagged with the route (or job) that made it; /usage aggregates the
+// log into calls, tokens and estimated cost per route, per day and per model.
+
+// USD per million tokens (paid tier). Thinking tokens are billed as output. Models with a
+// `longContext` tier charge its rates for the whole call once the prompt exceeds `above` tokens.
+const DEFAULT_PRICING = {
+  'gemini-2.5-pro': { input: 1.25, output: 10, longContext: { above: 200000, input: 2.5, output: 15 } },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+};
+
+const context = new AsyncLocalStorage();
+let writeQueue = Promise.resolve();
+
+function usagePath() {
+  return path.join(dataPath('usage'), 'calls.ndjson');
+}
+
+// Function to tag every model call made while handling a request with its method and route
+// pattern. The pattern is only known once a router has matched, so it is read at call time.
+export function usageMiddleware(req, res, next) {
+  context.run({ req }, next);
+}
+
+// Function to run `task` with its model calls attributed to `route` (background jobs, scripts)
+export function withUsageRoute(route, task) {
+  return context.run({ route }, task);
+}
+
+// Function to name the route a model call is attributed to, e.g. `GET /jobs/:id` rather than
+// the request path, so every id shares one bucket
+export function currentRoute() {
+  const store = context.getStore();
+  if (store?.req) {
+    const { req } = store;
+    return `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`;
+  }
+  return store?.route || 'unattributed';
+}
+
+// Function to read the price table: the defaults, overridden per model by MODEL_PRICING (JSON)
+export function getPricing() {
+  if (!process.env.MODEL_PRICING) {
+    return DEFAULT_PRICING;
+  }
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.MODEL_PRICING) };
+  } catch (error) {
+    console.error('Ignoring MODEL_PRICING, it is not valid JSON:', error.message);
+    return DEFAULT_PRICING;
+  }
+}
+
+// Function to price one call in USD, null when the model has no price
+function callCost(record, pricing) {
+  const price = pricing[record.model];
+  if (!price) {
+    return null;
+  }
+  const rates = price.longContext && record.promptTokens > price.longContext.above ? price.longContext : price;
+  return (record.promptTokens * rates.input + record.outputTokens * rates.output) / 1e6;
+}
+
+// Function to append a call to the usage log; writes are queued so lines never interleave
+export function recordUsage(record) {
+  const line = `${JSON.stringify(record)}\n`;
+  const task = () => fs.promises.appendFile(usagePath(), line);
+  writeQueue = writeQueue.then(task, task);
+  return writeQueue.catch((error) => console.error('Failed to record model usage:', error));
+}
+
+function emptyStats() {
+  return { calls: 0, failed: 0, rejected: 0, retries: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, estimatedCost: 0 };
+}
+
+function addTo(stats, record, cost) {
+  if (record.status === 'rejected') {
+    stats.rejected += 1;
+    return;
+  }
+  stats.calls += 1;
+  stats.failed += record.status === 'failed' ? 1 : 0;
+  stats.retries += record.attempts - 1;
+  stats.promptTokens += record.promptTokens;
+  stats.outputTokens += record.outputTokens;
+  stats.totalTokens += record.totalTokens;
+  stats.estimatedCost += cost || 0;
+}
+
+function statsEntry(map, key, fields) {
+  if (!map.has(key)) {
+    map.set(key, { ...fields, ...emptyStats() });
+  }
+  return map.get(key);
+}
+
+function roundCost(stats) {
+  return { ...stats, estimatedCost: Number(stats.estimatedCost.toFixed(6)) };
+}
+
+function byTokens(a, b) {
+  return b.totalTokens - a.totalTokens || b.calls - a.calls;
+}
+
+/**
+ * Aggregates the usage log for GET /usage. ?from= and ?to= (dates or date-times, `to` exclusive)
+ * limit the calls counted and ?route= keeps one route. Returns totals plus the same counters per
+ * route, per day (each day also broken down per route) and per provider/model. Costs are estimates from the
+ * price table at the time of the request; calls to models without a price add nothing and
+ * their models are listed in `unpricedModels`.
+ */
+export async function summariseUsage(params = {}) {
+  const from = parseDateParam(params.from, 'from');
+  const to = parseDateParam(params.to, 'to');
+  if (from !== null && to !== null && from > to) {
+    throw createHttpError(400, 'from must not be after to.');
+  }
+  const pricing = getPricing();
+  const totals = emptyStats();
+  const routes = new Map();
+  const days = new Map();
+  const dayRoutes = new Map();
+  const models = new Map();
+  const unpriced = new Set();
+
+  await writeQueue;
+  let input;
+  try {
+    input = fs.createReadStream(usagePath(), 'utf8');
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        console.error('Skipping corrupt usage log line:', line);
+        continue;
+      }
+      const time = Date.parse(record.time);
+      if ((from !== null && time < from) || (to !== null && time >= to) || (params.route && record.route !== params.route)) {
+        continue;
+      }
+      const cost = callCost(record, pricing);
+      if (cost === null && record.status !== 'rejected') {
+        unpriced.add(record.model);
+      }
+      const day = record.time.slice(0, 10);
+      addTo(totals, record, cost);
+      addTo(statsEntry(routes, record.route, { route: record.route }), record, cost);
+      addTo(statsEntry(days, day, { day }), record, cost);
+      if (!dayRoutes.has(day)) {
+        dayRoutes.set(day, new Map());
+      }
+      addTo(statsEntry(dayRoutes.get(day), record.route, { route: record.route }), record, cost);
+      addTo(statsEntry(models, `${record.provider}|${record.model}`, { provider: record.provider, model: record.model }), record, cost);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  } finally {
+    input?.destroy();
+  }
+
+  return {
+    from: from !== null ? new Date(from).toISOString() : null,
+    to: to !== null ? new Date(to).toISOString() : null,
+    currency: 'USD',
+    totals: roundCost(totals),
+    byRoute: [...routes.values()].sort(byTokens).map(roundCost),
+    byDay: [...days.values()]
+      .sort((a, b) => a.day.localeCompare(b.day))
+      .map((day) => ({ ...roundCost(day), routes: [...dayRoutes.get(day.day).values()].sort(byTokens).map(roundCost) })),
+    byModel: [...models.values()].sort(byTokens).map(roundCost),
+    unpricedModels: [...unpriced],
+    pricing,
+  };
+}
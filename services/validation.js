@@ -0,0 +1,131 @@
+import { createHttpError } from '../utils/errors.js';
+
+const MAX_RAW_RESPONSE_CHARS = 2000;
+
+/**
+ * Guarded replacement for a bare JSON.parse(responseText) on model output.
+ * Tolerates a ```json fenced reply, and checks that each key in `expected` is present with the
+ * given type ('array', 'string' or 'object'). Anything else becomes a 502 that carries the raw
+ * reply, instead of an opaque 500.
+ */
+export function parseModelJson(responseText, expected = {}) {
+  if (!responseText || !responseText.trim()) {
+    throw createHttpError(502, 'Model returned an empty response.');
+  }
+
+  const cleaned = responseText.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch (parseError) {
+    console.error('Failed to parse JSON response:', responseText, parseError);
+    throw createHttpError(502, 'Model returned invalid JSON format.', {
+      parseError: parseError.message,
+      rawResponse: responseText.slice(0, MAX_RAW_RESPONSE_CHARS),
+    });
+  }
+
+  for (const [key, type] of Object.entries(expected)) {
+    const value = parsed?.[key];
+    const matches = type === 'array' ? Array.isArray(value) : typeof value === type && value !== null;
+    if (!matches) {
+      throw createHttpError(502, `Model response is missing "${key}" (expected ${type}).`, {
+        rawResponse: responseText.slice(0, MAX_RAW_RESPONSE_CHARS),
+      });
+    }
+  }
+  return parsed;
+}
+
+// Function to read a sentiment score as an integer 1-5, or null when it is out of range
+function normaliseScore(value) {
+  const score = Number(value);
+  return Number.isInteger(score) && score >= 1 && score <= 5 ? score : null;
+}
+
+export const ASPECT_TYPES = ['entity', 'hashtag', 'topic'];
+export const EMOTIONS = ['joy', 'anger', 'fear', 'sadness', 'surprise', 'disgust', 'trust'];
+
+const MAX_RATIONALE_CHARS = 300;
+
+/**
+ * Keeps the well-formed aspects of one tweet: a non-empty target, a known type and a 1-5 score.
+ * A target mentioned twice keeps its first score. Returns the kept aspects and how many were dropped.
+ */
+export function normaliseAspects(aspects) {
+  const kept = new Map();
+  let dropped = 0;
+  for (const aspect of Array.isArray(aspects) ? aspects : []) {
+    const target = typeof aspect?.target === 'string' ? aspect.target.trim() : '';
+    const score = normaliseScore(aspect?.sentiment_score);
+    const type = ASPECT_TYPES.includes(aspect?.type) ? aspect.type : null;
+    if (!target || score === null || !type || kept.has(target.toLowerCase())) {
+      dropped += 1;
+      continue;
+    }
+    kept.set(target.toLowerCase(), { target, type, sentiment_score: score });
+  }
+  return { aspects: [...kept.values()], dropped };
+}
+
+/**
+ * Reconciles the sentiments a model returned against the tweets that were sent.
+ * Returns one valid result per known id (first valid occurrence wins) and lists the ids that
+ * were missing, duplicated, not part of the request, or scored outside 1-5.
+ */
+export function reconcileSentiments(tweets, sentiments) {
+  const requestedIds = new Set(tweets.map((tweet) => tweet.id));
+  const seen = new Set();
+  const valid = new Map();
+  const duplicates = new Set();
+  const unknown = new Set();
+  const outOfRange = [];
+
+  for (const item of Array.isArray(sentiments) ? sentiments : []) {
+    const id = String(item?.id ?? '');
+    if (!requestedIds.has(id)) {
+      unknown.add(id);
+      continue;
+    }
+    if (seen.has(id)) {
+      duplicates.add(id);
+    }
+    seen.add(id);
+
+    const score = normaliseScore(item.sentiment_score);
+    if (score === null) {
+      outOfRange.push({ id, sentiment_score: item.sentiment_score });
+    } else if (!valid.has(id)) {
+      valid.set(id, { ...item, id, sentiment_score: score });
+    }
+  }
+
+  const missing = tweets.filter((tweet) => !seen.has(tweet.id)).map((tweet) => tweet.id);
+  return {
+    valid: [...valid.values()],
+    missing,
+    duplicates: [...duplicates],
+    unknown: [...unknown],
+    outOfRange: outOfRange.filter((item) => !valid.has(item.id)),
+  };
+}
+
+/**
+ * Normalises the extended signals of one result: `emotions` keeps the known labels (lower-cased,
+ * once each), `sarcasm` must be a boolean, `confidence` a number from 0 to 1 and `rationale` a
+ * string (cut to 300 characters). Invalid values become [] / null and are counted in `invalid`.
+ */
+export function normaliseSignals(item) {
+  let invalid = 0;
+  const rawEmotions = Array.isArray(item.emotions) ? item.emotions : [];
+  const emotions = [...new Set(rawEmotions.map((emotion) => String(emotion).trim().toLowerCase()))];
+  const known = emotions.filter((emotion) => EMOTIONS.includes(emotion));
+  invalid += (Array.isArray(item.emotions) ? 0 : 1) + emotions.length - known.length;
+
+  const sarcasm = typeof item.sarcasm === 'boolean' ? item.sarcasm : null;
+  const confidence = typeof item.confidence === 'number' && item.confidence >= 0 && item.confidence <= 1 ? item.confidence : null;
+  const rationale = typeof item.rationale === 'string' ? item.rationale.trim().slice(0, MAX_RATIONALE_CHARS) : null;
+  invalid += [sarcasm, confidence, rationale].filter((value) => value === null).length;
+
+  return { signals: { emotions: known, sarcasm, confidence, rationale }, invalid };
+}
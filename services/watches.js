@@ -0,0 +1,351 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { deliverAlert, parseWebhookUrl, recordAlert } from './alerts.js';
+import { getDataset, resolveDatasetSource } from './datasets.js';
+import { loadDatasetRows, runSentimentAnalysis } from './pipeline.js';
+import { resolveProvider } from './providers/index.js';
+import { parseFilters } from './selection.js';
+import { summariseScores, toTweets } from './sentiment.js';
+import { resolveTemplate } from './templates.js';
+import { selectDatedTweets } from './timeseries.js';
+import { withUsageRoute } from './usage.js';
+import { createHttpError } from '../utils/errors.js';
+import { compareMeans, describeScores } from '../utils/stats.js';
+import { dataPath, readJson, writeJson } from '../utils/storage.js';
+
+// Sentiment monitoring. A watch follows the dated tweets of one dataset that pass its filters,
+// cut into fixed windows (e.g. one day). When a window closes - a tweet dated after its end has
+// been ingested - its mean score is compared with the previous `baselineWindows` windows, and a
+// drop or spike of at least `threshold` points that is also significant at `alpha` raises an alert,
+// which is sent to the watch's webhook and kept in the alert history (alerts.js). Each window is
+// checked once; watches are checked whenever rows are appended to their dataset.
+
+export const DIRECTIONS = ['drop', 'spike', 'both'];
+const WINDOW_UNITS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+// Windows are counted from a Monday (1970-01-05, UTC), so weekly windows run Monday to Monday
+const WINDOW_ANCHOR = Date.UTC(1970, 0, 5);
+// Parameters the watch sets itself: every check scores the whole dataset within its windows
+const MANAGED_PARAMS = ['datasetId', 'mode', 'start', 'limit', 'from', 'to', 'sampling', 'seed', 'stratifyBy'];
+const MAX_EXAMPLES = 10;
+
+// Checks in progress per watch; checks of the same watch run one after another
+const checks = new Map();
+
+function watchesDir() {
+  return dataPath('watches');
+}
+
+function watchPath(id) {
+  return path.join(watchesDir(), `${id}.json`);
+}
+
+// Function to read a window size such as "30m", "6h", "1d" or "1w" as milliseconds
+export function parseWindow(value) {
+  const match = /^(\d+)([mhdw])$/.exec(String(value));
+  if (!match || Number(match[1]) === 0) {
+    throw createHttpError(400, 'window must be a number followed by m, h, d or w, e.g. "6h" or "1d".');
+  }
+  return Number(match[1]) * WINDOW_UNITS[match[2]];
+}
+
+function windowStart(timestamp, size) {
+  return WINDOW_ANCHOR + Math.floor((timestamp - WINDOW_ANCHOR) / size) * size;
+}
+
+function parseBoundedInt(value, fallback, name, min, max) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw createHttpError(400, `${name} must be an integer between ${min} and ${max}.`);
+  }
+  return parsed;
+}
+
+function parsePositiveNumber(value, fallback, name, max) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!(parsed > 0 && parsed < max)) {
+    throw createHttpError(400, `${name} must be a number above 0 and below ${max}.`);
+  }
+  return parsed;
+}
+
+// Function to find the earliest and latest timestamps of dated tweets (null when there are none)
+function timeRange(tweets) {
+  return tweets.reduce(({ earliest, latest }, { timestamp }) => ({
+    earliest: earliest === null ? timestamp : Math.min(earliest, timestamp),
+    latest: latest === null ? timestamp : Math.max(latest, timestamp),
+  }), { earliest: null, latest: null });
+}
+
+// Function to read the dated tweets of a watch's dataset that pass its filters, without scoring them
+async function readDatedTweets(watch) {
+  const { source, rows } = await loadDatasetRows({ ...watch.params, datasetId: watch.datasetId }, { start: 0, limit: Infinity });
+  return selectDatedTweets(toTweets(rows, source.columns).tweets, source.columns).tweets;
+}
+
+/**
+ * Creates a watch from a POST /watches body: { datasetId, name, params, window, baselineWindows,
+ * threshold, direction, minCount, alpha, examples, webhookUrl, backfill }. `params` holds the
+ * filters (language, hashtag, keyword, match), preprocessing and provider/model/template of the
+ * analysis routes. Without `backfill` only windows that close after the watch is created are
+ * checked; with it the windows already in the dataset are checked (and alerted on) straight away.
+ */
+export async function createWatch(body = {}) {
+  const { datasetId, name, params = {}, backfill = false } = body;
+  if (!datasetId) {
+    throw createHttpError(400, 'Please provide the "datasetId" of the dataset to watch.');
+  }
+  if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+    throw createHttpError(400, '"params" must be an object of the filter and provider parameters the analysis routes accept.');
+  }
+  const managed = Object.keys(params).filter((key) => MANAGED_PARAMS.includes(key));
+  if (managed.length > 0) {
+    throw createHttpError(400, `A watch sets ${managed.join(', ')} itself; leave ${managed.length === 1 ? 'it' : 'them'} out of "params".`);
+  }
+  if (typeof backfill !== 'boolean') {
+    throw createHttpError(400, 'backfill must be true or false.');
+  }
+  const dataset = await getDataset(datasetId);
+  const source = await resolveDatasetSource(datasetId);
+  if (!source.columns.date) {
+    throw createHttpError(400, 'Watches need dated tweets, and this dataset has no date column. Set one with the "columns" field when uploading.');
+  }
+  resolveProvider(params);
+  await resolveTemplate('sentiment', params.template);
+  parseFilters(params);
+
+  const direction = body.direction || 'both';
+  if (!DIRECTIONS.includes(direction)) {
+    throw createHttpError(400, `direction must be one of ${DIRECTIONS.join(', ')}.`);
+  }
+  const window = String(body.window || '1d');
+  const size = parseWindow(window);
+  const now = new Date().toISOString();
+  const watch = {
+    id: randomUUID(),
+    name: name || `Sentiment of ${dataset.name}`,
+    datasetId,
+    params,
+    window,
+    baselineWindows: parseBoundedInt(body.baselineWindows, 7, 'baselineWindows', 1, 100),
+    threshold: parsePositiveNumber(body.threshold, 0.5, 'threshold', 4),
+    direction,
+    minCount: parseBoundedInt(body.minCount, 20, 'minCount', 2, 100000),
+    alpha: parsePositiveNumber(body.alpha, 0.05, 'alpha', 1),
+    examples: parseBoundedInt(body.examples, 3, 'examples', 0, MAX_EXAMPLES),
+    webhookUrl: await parseWebhookUrl(body.webhookUrl),
+    // End of the last window checked (ISO); null checks from the first window with a full baseline
+    checkedThrough: null,
+    lastCheck: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (!backfill) {
+    const { latest } = timeRange(await readDatedTweets(watch));
+    if (latest !== null) {
+      watch.checkedThrough = new Date(windowStart(latest, size)).toISOString();
+    }
+  }
+  await writeJson(watchPath(watch.id), watch);
+  if (backfill) {
+    checkWatch(watch.id).catch((error) => console.error(`Check of watch ${watch.id} failed:`, error));
+  }
+  return watch;
+}
+
+export async function listWatches({ datasetId } = {}) {
+  const entries = await fs.promises.readdir(watchesDir());
+  const watches = await Promise.all(
+    entries.filter((entry) => /^[0-9a-f-]{36}\.json$/i.test(entry)).map((entry) => readJson(path.join(watchesDir(), entry)))
+  );
+  return watches
+    .filter((watch) => watch && (!datasetId || watch.datasetId === datasetId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function getWatch(id) {
+  // Ids are UUIDs; anything else could be an attempt to escape the watches directory
+  const watch = /^[0-9a-f-]{36}$/i.test(id) ? await readJson(watchPath(id)) : null;
+  if (!watch) {
+    throw createHttpError(404, `Watch ${id} not found.`);
+  }
+  return watch;
+}
+
+// Function to delete a watch; its alerts stay in the history
+export async function deleteWatch(id) {
+  const watch = await getWatch(id);
+  await fs.promises.rm(watchPath(id), { force: true });
+  return watch;
+}
+
+function side(entries) {
+  const summary = summariseScores(entries.map((entry) => entry.result));
+  const { mean } = describeScores(summary);
+  return { count: entries.length, meanScore: mean === null ? null : parseFloat(mean.toFixed(2)), summary };
+}
+
+/**
+ * Compares one closed window with its baseline and returns the alert it raises, or null. Windows
+ * or baselines with fewer than `minCount` scored tweets are not judged (`insufficient`).
+ */
+export function judgeWindow(watch, start, size, before, after) {
+  if (before.length < watch.minCount || after.length < watch.minCount) {
+    return { insufficient: true, alert: null };
+  }
+  const baseline = side(before);
+  const current = side(after);
+  const test = compareMeans(baseline.summary, current.summary);
+  const type = test.delta <= -watch.threshold ? 'drop' : test.delta >= watch.threshold ? 'spike' : null;
+  if (!type || (watch.direction !== 'both' && watch.direction !== type) || test.pValue === null || test.pValue >= watch.alpha) {
+    return { insufficient: false, alert: null };
+  }
+
+  // The most negative tweets of a drop and the most positive of a spike
+  const examples = [...after]
+    .sort((a, b) => (type === 'drop' ? a.result.sentiment_score - b.result.sentiment_score : b.result.sentiment_score - a.result.sentiment_score))
+    .slice(0, watch.examples)
+    .map(({ tweet, result }) => ({
+      id: tweet.id,
+      text: tweet.originalText || tweet.text,
+      date: new Date(tweet.timestamp).toISOString(),
+      sentiment_score: result.sentiment_score,
+    }));
+  return {
+    insufficient: false,
+    alert: {
+      id: randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      watch: { id: watch.id, name: watch.name, datasetId: watch.datasetId, params: watch.params },
+      window: { start: new Date(start).toISOString(), end: new Date(start + size).toISOString(), size: watch.window },
+      before: {
+        start: new Date(start - watch.baselineWindows * size).toISOString(),
+        end: new Date(start).toISOString(),
+        ...baseline,
+      },
+      after: current,
+      change: { meanScore: test.delta, z: test.z, pValue: test.pValue, threshold: watch.threshold, alpha: watch.alpha },
+      examples,
+    },
+  };
+}
+
+/**
+ * Checks the windows of a watch that closed since its last check. Only the tweets of those windows
+ * and their baselines are scored (stored scores are reused, so appended rows are usually the only
+ * ones sent to the model). Alerts are delivered and recorded before the watch moves on.
+ */
+async function runCheck(id) {
+  const watch = await getWatch(id);
+  const size = parseWindow(watch.window);
+  const checkedAt = new Date().toISOString();
+  let plan = { latest: null, windows: [] };
+
+  // Picks the closed, unchecked windows once the dataset's dated tweets are known
+  const selectTweets = (tweets, source) => {
+    const dated = selectDatedTweets(tweets, source.columns).tweets;
+    if (dated.length === 0) {
+      return { tweets: [], excluded: { outsideWindows: tweets.length } };
+    }
+    const { earliest, latest } = timeRange(dated);
+    const closedThrough = windowStart(latest, size);
+    const first = watch.checkedThrough !== null
+      ? Date.parse(watch.checkedThrough)
+      : windowStart(earliest, size) + watch.baselineWindows * size;
+    const windows = [];
+    for (let start = first; start + size <= closedThrough; start += size) {
+      windows.push(start);
+    }
+    plan = { latest, windows };
+    const from = first - watch.baselineWindows * size;
+    const selected = windows.length === 0 ? [] : dated.filter((tweet) => tweet.timestamp >= from && tweet.timestamp < closedThrough);
+    return { tweets: selected, excluded: { outsideWindows: tweets.length - selected.length } };
+  };
+
+  const run = await withUsageRoute('watch check', () => runSentimentAnalysis(
+    { ...watch.params, datasetId: watch.datasetId },
+    { defaultMode: 'full', selectTweets }
+  ));
+
+  const byWindow = new Map();
+  const resultById = new Map(run.results.map((result) => [result.id, result]));
+  for (const tweet of run.tweets) {
+    const result = resultById.get(tweet.id);
+    if (!result) continue;
+    const start = windowStart(tweet.timestamp, size);
+    if (!byWindow.has(start)) {
+      byWindow.set(start, []);
+    }
+    byWindow.get(start).push({ tweet, result });
+  }
+
+  const alerts = [];
+  let insufficient = 0;
+  for (const start of plan.windows) {
+    const before = [];
+    for (let k = 1; k <= watch.baselineWindows; k += 1) {
+      before.push(...(byWindow.get(start - k * size) || []));
+    }
+    const judged = judgeWindow(watch, start, size, before, byWindow.get(start) || []);
+    insufficient += judged.insufficient ? 1 : 0;
+    if (judged.alert) {
+      const delivery = await deliverAlert(judged.alert, watch.webhookUrl || process.env.ALERT_WEBHOOK_URL);
+      const alert = { ...judged.alert, delivery };
+      await recordAlert(alert);
+      alerts.push({ id: alert.id, type: alert.type, window: alert.window, change: alert.change, delivery: delivery.status });
+    }
+  }
+
+  const lastCheck = {
+    at: checkedAt,
+    latestTweet: plan.latest === null ? null : new Date(plan.latest).toISOString(),
+    windows: { checked: plan.windows.length, insufficient },
+    scoring: { scored: run.rows.scored, failed: run.rows.failed, cacheHits: run.cache.hits },
+    alerts,
+    error: null,
+  };
+  const checkedThrough = plan.windows.length > 0
+    ? new Date(plan.windows[plan.windows.length - 1] + size).toISOString()
+    : watch.checkedThrough;
+  await saveCheck(id, { checkedThrough, lastCheck });
+  return { watchId: id, checkedThrough, ...lastCheck };
+}
+
+// Function to save the outcome of a check, unless the watch was deleted while it ran
+async function saveCheck(id, fields) {
+  const current = await readJson(watchPath(id));
+  if (current) {
+    await writeJson(watchPath(id), { ...current, ...fields, updatedAt: new Date().toISOString() });
+  }
+}
+
+/**
+ * Checks a watch now (POST /watches/:id/check, and after appends). A failed check is recorded in
+ * the watch's `lastCheck` and leaves `checkedThrough` where it was, so the next check retries
+ * the same windows.
+ */
+export function checkWatch(id) {
+  const previous = checks.get(id) || Promise.resolve();
+  const check = previous.then(() => runCheck(id)).catch(async (error) => {
+    await saveCheck(id, { lastCheck: { at: new Date().toISOString(), error: { message: error.message, status: error.status || 500 } } });
+    throw error;
+  });
+  checks.set(id, check.catch(() => {}));
+  return check;
+}
+
+// Function to check every watch of a dataset in the background (after rows were appended); returns their ids
+export async function checkDatasetWatches(datasetId) {
+  const watches = await listWatches({ datasetId });
+  for (const watch of watches) {
+    checkWatch(watch.id).catch((error) => console.error(`Check of watch ${watch.id} failed:`, error));
+  }
+  return watches.map((watch) => watch.id);
+}
@@ -0,0 +1,69 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import http from 'http';
+import { deliverAlert, parseWebhookUrl } from '../services/alerts.js';
+
+const { lookup, promises: { lookup: lookupPromise } } = dns;
+let server;
+let received = [];
+let port;
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      received.push({ host: request.headers.host, body: JSON.parse(body) });
+      response.end('ok');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+afterEach(() => {
+  received = [];
+  dns.lookup = lookup;
+  dns.promises.lookup = lookupPromise;
+  delete process.env.ALERT_WEBHOOK_HOSTS;
+});
+
+test('webhook URLs must be http(s) and may not point at localhost or private addresses', async () => {
+  assert.equal(await parseWebhookUrl(''), null);
+  assert.equal(await parseWebhookUrl('https://93.184.216.34/hook'), 'https://93.184.216.34/hook');
+  await assert.rejects(parseWebhookUrl('ftp://example.com/'), { status: 400 });
+  await assert.rejects(parseWebhookUrl('not a url'), { status: 400 });
+  for (const url of ['http://localhost/', 'http://api.localhost/', 'http://127.0.0.1/', 'http://[::1]/', 'http://169.254.169.254/latest',
+    'http://10.1.2.3/', 'http://192.0.0.170/', 'http://198.18.0.1/', 'http://[::ffff:127.0.0.1]/', 'http://[64:ff9b::a9fe:a9fe]/']) {
+    await assert.rejects(parseWebhookUrl(url), { status: 400 }, url);
+  }
+});
+
+test('ALERT_WEBHOOK_HOSTS limits webhooks to the listed hosts, which may be private', async () => {
+  process.env.ALERT_WEBHOOK_HOSTS = 'localhost, hooks.internal';
+  assert.equal(await parseWebhookUrl('http://localhost:9000/hook'), 'http://localhost:9000/hook');
+  await assert.rejects(parseWebhookUrl('https://93.184.216.34/hook'), { status: 400 });
+});
+
+test('an allow-listed webhook receives the alert', async () => {
+  process.env.ALERT_WEBHOOK_HOSTS = '127.0.0.1';
+  const delivery = await deliverAlert({ id: 'a1' }, `http://127.0.0.1:${port}/hook`);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.responseStatus, 200);
+  assert.deepEqual(received.map((item) => item.body), [{ id: 'a1' }]);
+});
+
+test('a host that resolves to a public address when checked and to loopback when connecting is refused', async () => {
+  // DNS rebinding: the check sees a public address, the connection would go to this test's server
+  dns.promises.lookup = async () => [{ address: '93.184.216.34', family: 4 }];
+  dns.lookup = (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]);
+
+  const delivery = await deliverAlert({ id: 'a2' }, `http://rebind.example:${port}/hook`);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 1);
+  assert.match(delivery.error, /resolved to a loopback, private or link-local address/);
+  assert.deepEqual(received, []);
+});
@@ -0,0 +1,47 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHttpError, handleError } from '../utils/errors.js';
+
+const { error: consoleError } = console;
+let logged;
+
+// Function to make a stand-in for an Express response that records what was sent
+function fakeResponse() {
+  return {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+beforeEach(() => {
+  logged = [];
+  console.error = (...args) => logged.push(args);
+});
+
+afterEach(() => {
+  console.error = consoleError;
+});
+
+test('expected errors answer with their own status and details and are not logged', () => {
+  const response = fakeResponse();
+  handleError(response, createHttpError(400, 'Unknown provider "x".', { providers: ['fake'] }));
+  assert.equal(response.statusCode, 400);
+  assert.deepEqual(response.body, { error: 'Unknown provider "x".', details: { providers: ['fake'] } });
+  assert.deepEqual(logged, []);
+});
+
+test('unexpected errors are logged and answer 500 without naming a provider', () => {
+  const response = fakeResponse();
+  const error = new Error('Cannot read properties of undefined');
+  handleError(response, error);
+  assert.equal(response.statusCode, 500);
+  assert.deepEqual(response.body, { error: 'The request failed because of an internal error.', details: error.message });
+  assert.equal(logged.length, 1);
+  assert.equal(logged[0][1], error);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeMetrics, detectGoldColumn } from '../services/evaluation.js';
+
+function pairs(gold, predicted) {
+  return gold.map((score, index) => ({ gold: score, predicted: predicted[index] }));
+}
+
+test('computeMetrics reports perfect agreement', () => {
+  const metrics = computeMetrics(pairs([1, 2, 3, 4, 5], [1, 2, 3, 4, 5]));
+  assert.equal(metrics.accuracy, 1);
+  assert.equal(metrics.mae, 0);
+  assert.equal(metrics.kappa, 1);
+  assert.equal(metrics.weightedKappa, 1);
+  assert.deepEqual(metrics.perClass[3], { precision: 1, recall: 1, f1: 1, support: 1 });
+});
+
+test('computeMetrics gives chance-level agreement a kappa of 0', () => {
+  const metrics = computeMetrics(pairs([1, 1, 2, 2], [1, 2, 2, 1]));
+  assert.equal(metrics.accuracy, 0.5);
+  assert.equal(metrics.kappa, 0);
+  assert.equal(metrics.weightedKappa, 0);
+  assert.deepEqual(metrics.confusionMatrix.slice(0, 2).map((row) => row.slice(0, 2)), [[1, 1], [1, 1]]);
+});
+
+test('weighted kappa credits near misses that plain kappa does not', () => {
+  // One near miss (1 -> 2) and one exact match: kappa = (0.5 - 0.25) / 0.75, weighted = 1 - (1/16) / (26/32)
+  const metrics = computeMetrics(pairs([1, 5], [2, 5]));
+  assert.equal(metrics.kappa, 0.3333);
+  assert.equal(metrics.weightedKappa, 0.9231);
+  assert.equal(metrics.mae, 0.5);
+  assert.deepEqual(metrics.perClass[1], { precision: null, recall: 0, f1: null, support: 1 });
+  assert.deepEqual(metrics.perClass[2], { precision: 0, recall: null, f1: null, support: 0 });
+  assert.deepEqual(metrics.confusionMatrix[0], [0, 1, 0, 0, 0]);
+});
+
+test('computeMetrics leaves kappa undefined when only one class occurs, and handles no pairs', () => {
+  const single = computeMetrics(pairs([3, 3], [3, 3]));
+  assert.equal(single.accuracy, 1);
+  assert.equal(single.kappa, null);
+  assert.equal(single.weightedKappa, null);
+
+  const empty = computeMetrics([]);
+  assert.equal(empty.count, 0);
+  assert.equal(empty.accuracy, null);
+  assert.equal(empty.kappa, null);
+});
+
+test('detectGoldColumn picks the first known gold header, case-insensitively', () => {
+  assert.equal(detectGoldColumn(['id', 'Text', 'Label', 'score']), 'Label');
+  assert.equal(detectGoldColumn(['id', 'text']), null);
+});
@@ -0,0 +1,48 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDataset, resolveDatasetSource } from '../services/datasets.js';
+import { buildReport, prepareTweetExport } from '../services/exports.js';
+import { runSentimentAnalysis } from '../services/pipeline.js';
+
+let dataDir;
+let datasetId;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+  process.env.DATA_DIR = dataDir;
+  const filePath = path.join(dataDir, 'upload.csv');
+  fs.writeFileSync(filePath, 'id,text\n1,Trains on time\n2,Fares went up\n3,New line opened\n');
+  datasetId = (await createDataset({ filePath, originalName: 'trains.csv' })).id;
+  await runSentimentAnalysis({ datasetId, provider: 'fake' });
+
+  // Edit one tweet after it was scored, so its stored score no longer applies
+  const source = await resolveDatasetSource(datasetId);
+  fs.writeFileSync(source.filePath, 'id,text\n1,Trains on time\n2,Fares went down\n3,New line opened\n');
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function exportedIds(params) {
+  const exported = await prepareTweetExport(params);
+  let body = '';
+  for await (const chunk of exported.chunks) {
+    body += chunk;
+  }
+  return body.trim().split('\n').map((line) => JSON.parse(line).id);
+}
+
+test('the tweet export leaves out scores computed for an earlier text of the row', async () => {
+  assert.deepEqual(await exportedIds({ datasetId, provider: 'fake', format: 'ndjson', scoredOnly: 'true' }), ['1', '3']);
+});
+
+test('the report summarises the same scores as the tweet export', async () => {
+  const { body } = await buildReport({ datasetId, provider: 'fake', format: 'json' });
+  const report = JSON.parse(body);
+  assert.equal(report.sentiment.scored, 2);
+  assert.equal(Object.values(report.sentiment.summary).reduce((sum, { count }) => sum + count, 0), 2);
+});
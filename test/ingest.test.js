@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { detectFormat, flattenRecord, inspectFile, readRows, serializeRow } from '../services/ingest.js';
+
+let dir;
+
+// Function to write a temporary input file and return its path
+function writeInput(name, content) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('CSV rows with the wrong number of fields are reported and skipped', async () => {
+  const filePath = writeInput('tweets.csv', '\uFEFFid,text\n1,fine\n2,too,many\n3\n4,"quoted, comma"\n');
+  const { rows, report } = await readRows(filePath, { format: 'csv' });
+
+  assert.deepEqual(rows, [{ id: '1', text: 'fine' }, { id: '4', text: 'quoted, comma' }]);
+  assert.deepEqual(report.headers, ['id', 'text']);
+  assert.equal(report.rows, 2);
+  assert.equal(report.malformed, 2);
+  assert.deepEqual(report.errors, [
+    { record: 2, reason: 'Expected 2 fields, found 3.' },
+    { record: 3, reason: 'Expected 2 fields, found 1.' },
+  ]);
+  assert.equal(report.complete, true);
+});
+
+test('JSON Lines reports invalid JSON and non-object lines by line number', async () => {
+  const filePath = writeInput('tweets.jsonl', '{"id":1,"text":"a"}\n\n{"id":2,\n[1,2]\n{"id":3,"user":{"name":"x"},"text":"c"}\n');
+  const { rows, report } = await readRows(filePath, { format: 'jsonl' });
+
+  assert.deepEqual(rows, [{ id: '1', text: 'a' }, { id: '3', 'user.name': 'x', text: 'c' }]);
+  assert.deepEqual(report.headers, ['id', 'text', 'user.name']);
+  assert.equal(report.blank, 1);
+  assert.equal(report.malformed, 2);
+  assert.deepEqual(report.errors.map((error) => error.line), [3, 4]);
+  assert.match(report.errors[0].reason, /^Invalid JSON/);
+  assert.equal(report.errors[1].reason, 'Record is not a JSON object.');
+});
+
+test('JSON arrays report bad records and a missing closing bracket', async () => {
+  const filePath = writeInput('tweets.json', '{"meta":{"count":3},"data":[{"id":"1","text":"a, [b]"}, "text only", {"id":"2","text":"c"}, {"id":"3"');
+  const { rows, report } = await readRows(filePath, { format: 'json' });
+
+  assert.deepEqual(rows, [{ id: '1', text: 'a, [b]' }, { id: '2', text: 'c' }]);
+  assert.equal(report.malformed, 2);
+  assert.deepEqual(report.errors, [
+    { record: 2, reason: 'Record is not a JSON object.' },
+    { record: 4, reason: 'The file ends before the array of records is closed.' },
+  ]);
+});
+
+test('a JSON object without a record array is refused', async () => {
+  const filePath = writeInput('meta.json', '{"meta":{"count":0}}');
+  await assert.rejects(readRows(filePath, { format: 'json' }), { status: 422 });
+});
+
+test('inspectFile counts every readable row and readRows stops at the limit', async () => {
+  const filePath = writeInput('many.tsv', ['id\ttext', ...Array.from({ length: 50 }, (_, index) => `${index}\ttweet ${index}`)].join('\n'));
+  assert.equal(await detectFormat(filePath), 'tsv');
+  assert.equal((await inspectFile(filePath, { format: 'tsv' })).rowCount, 50);
+
+  const { rows, report } = await readRows(filePath, { format: 'tsv', start: 10, limit: 5 });
+  assert.deepEqual(rows.map((row) => row.id), ['10', '11', '12', '13', '14']);
+  assert.equal(report.complete, false);
+});
+
+test('flattenRecord and serializeRow keep nested fields and quote delimiters', () => {
+  const row = flattenRecord({ id: 1, entities: { hashtags: [{ tag: 'india' }, { tag: 'usa' }] }, geo: null, coords: [[1, 2]] });
+  assert.deepEqual(row, { id: '1', 'entities.hashtags': 'india, usa', geo: '', coords: '[[1,2]]' });
+  assert.equal(serializeRow({ id: '1', text: 'a, "b"' }, { format: 'csv', headers: ['id', 'text'] }), '1,"a, ""b"""\n');
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDataset } from '../services/datasets.js';
+import { cancelJob, createJob, isTerminal, subscribeToJob } from '../services/jobs.js';
+import { readJson } from '../utils/storage.js';
+
+let dataDir;
+const datasetIds = [];
+
+// Function to upload a CSV of `count` tweets and return its dataset id
+async function makeDataset(name, count) {
+  const filePath = path.join(dataDir, `${name}.csv`);
+  const lines = Array.from({ length: count }, (_, index) => `${name}-${index},${name} tweet ${index} about #trains and #delays`);
+  fs.writeFileSync(filePath, ['id,text', ...lines].join('\n'));
+  return (await createDataset({ filePath, originalName: `${name}.csv` })).id;
+}
+
+// Function to wait until a job has finished and its final state is saved; `onUpdate` sees every
+// state change before that
+async function waitForJob(job, onUpdate = () => {}) {
+  await new Promise((resolve) => {
+    const unsubscribe = subscribeToJob(job.id, (update) => {
+      onUpdate(update);
+      if (isTerminal(update)) {
+        unsubscribe();
+        resolve();
+      }
+    });
+  });
+  for (;;) {
+    const saved = await readJson(path.join(dataDir, 'jobs', `${job.id}.json`));
+    if (saved && isTerminal(saved)) {
+      return saved;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  process.env.DATA_DIR = dataDir;
+  datasetIds.push(await makeDataset('a', 250), await makeDataset('b', 250));
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function compareParams() {
+  return { provider: 'fake', concurrency: '1', cache: 'off', 'a.datasetId': datasetIds[0], 'b.datasetId': datasetIds[1] };
+}
+
+test('a compare job reports the batches of both sides as progress', async () => {
+  const job = await createJob('compare', compareParams());
+  const finished = await waitForJob(job);
+
+  assert.equal(finished.status, 'completed');
+  assert.deepEqual(finished.progress, { batchesDone: 6, batchesTotal: 6, tweetsScored: 500 });
+  assert.deepEqual(finished.result.sides.map((side) => side.count), [250, 250]);
+});
+
+test('cancelling a running compare job stops it between batches', async () => {
+  const job = await createJob('compare', compareParams());
+  let cancelled = false;
+  const finished = await waitForJob(job, (update) => {
+    if (!cancelled && update.status === 'running' && update.progress.batchesDone === 1) {
+      cancelled = true;
+      cancelJob(job.id);
+    }
+  });
+
+  assert.equal(finished.status, 'cancelled');
+  assert.equal(finished.result, null);
+  assert.deepEqual(finished.progress, { batchesDone: 1, batchesTotal: 3, tweetsScored: 100 });
+});
+
+test('a trends job with topics=true reports scoring progress and can be cancelled', async () => {
+  const params = { provider: 'fake', concurrency: '1', cache: 'off', datasetId: datasetIds[0], topics: 'true' };
+  const completed = await waitForJob(await createJob('trends', params));
+  assert.equal(completed.status, 'completed');
+  assert.deepEqual(completed.progress, { batchesDone: 3, batchesTotal: 3, tweetsScored: 250 });
+
+  const job = await createJob('trends', params);
+  let cancelled = false;
+  const finished = await waitForJob(job, (update) => {
+    if (!cancelled && update.status === 'running' && update.progress.batchesDone === 1) {
+      cancelled = true;
+      cancelJob(job.id);
+    }
+  });
+  assert.equal(finished.status, 'cancelled');
+  assert.equal(finished.progress.batchesDone, 1);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import lexiconProvider, { polarity, polarityToScore, textSignals } from '../services/providers/lexicon.js';
+
+test('polarity sums word scores with negation and intensifiers', () => {
+  assert.equal(polarity('a great day'), 2);
+  assert.equal(polarity('not good'), -1);
+  assert.equal(polarity('very bad 😡'), -3.5);
+  assert.equal(polarityToScore(polarity('an ordinary train')), 3);
+});
+
+test('words that name Object.prototype members score as neutral', () => {
+  assert.equal(polarity('constructor is great'), 2);
+  for (const word of ['constructor', 'toString', 'valueOf', 'hasOwnProperty', '__proto__']) {
+    assert.equal(polarity(word), 0);
+    assert.equal(textSignals(word).sentiment_score, 3);
+  }
+});
+
+test('trends count hashtags and words that name Object.prototype members', async () => {
+  const rows = ['#constructor is great', '#constructor again', 'toString toString toString'].map((text) => ({ text }));
+  const { trends } = await lexiconProvider.analyzeTrends({ rows, columns: { text: 'text' } }, {});
+  assert.match(trends.map((trend) => trend.description).join(' '), /#constructor appears in 2 of 3 tweets/);
+});
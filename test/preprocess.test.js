@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPreprocessor, decodeHtmlEntities, parsePreprocessSteps } from '../services/preprocess.js';
+
+const columns = { id: 'id', text: 'tweet', conversationId: 'conversation_id', date: 'date' };
+
+test('parsePreprocessSteps expands presets and puts steps in pipeline order', () => {
+  assert.deepEqual(parsePreprocessSteps(undefined), ['dedupe', 'decode-html', 'drop-empty']);
+  assert.deepEqual(parsePreprocessSteps('none'), []);
+  assert.deepEqual(parsePreprocessSteps('drop-empty, strip-urls,dedupe'), ['dedupe', 'strip-urls', 'drop-empty']);
+  assert.deepEqual(parsePreprocessSteps('notebook,strip-mentions'), ['select-columns', 'simple', 'dedupe', 'decode-html', 'strip-mentions', 'drop-empty']);
+});
+
+test('parsePreprocessSteps rejects unknown steps and simple with conversational', () => {
+  for (const value of ['typo', 'constructor', 'toString']) {
+    assert.throws(() => parsePreprocessSteps(value), { status: 400, message: `Unknown preprocess step "${value}".` });
+  }
+  assert.throws(() => parsePreprocessSteps('simple,conversational'), { status: 400 });
+});
+
+test('decodeHtmlEntities decodes named and numeric entities and leaves unknown ones', () => {
+  assert.equal(decodeHtmlEntities('Tom &amp; Jerry &lt;3 &#39;hi&#x27; &#128512;'), "Tom & Jerry <3 'hi' 😀");
+  assert.equal(decodeHtmlEntities('&bogus; &constructor; &#99999999;'), '&bogus; &constructor; &#99999999;');
+});
+
+test('createPreprocessor runs the steps row by row and counts what each removed', () => {
+  const preprocessor = createPreprocessor(columns, parsePreprocessSteps('notebook,strip-urls'));
+  const rows = [
+    { id: '1', conversation_id: '1', tweet: 'Fares &amp; delays https://t.co/x', date: 'd', extra: 'x' },
+    { id: '1', conversation_id: '1', tweet: 'Duplicate id', date: 'd' },
+    { id: '2', conversation_id: '1', tweet: 'A reply', date: 'd' },
+    { id: '3', conversation_id: '3', tweet: 'https://t.co/only-a-link', date: 'd' },
+    { id: '4', conversation_id: '4', tweet: 'Kept', date: 'd' },
+  ];
+  const kept = rows.map((row) => preprocessor.process(row)).filter(Boolean);
+
+  assert.deepEqual(kept, [
+    { id: '1', tweet: 'Fares & delays', date: 'd', conversation_id: '1' },
+    { id: '4', tweet: 'Kept', date: 'd', conversation_id: '4' },
+  ]);
+  assert.deepEqual(preprocessor.report, {
+    steps: ['select-columns', 'simple', 'dedupe', 'decode-html', 'strip-urls', 'drop-empty'],
+    input: 5,
+    output: 2,
+    removed: { 'select-columns': 0, simple: 1, dedupe: 1, 'decode-html': 0, 'strip-urls': 0, 'drop-empty': 1 },
+  });
+  assert.equal(rows[0].tweet, 'Fares &amp; delays https://t.co/x');
+});
+
+test('createPreprocessor refuses conversation steps without the columns they need', () => {
+  assert.throws(() => createPreprocessor({ text: 'tweet' }, ['simple']), { status: 400 });
+});
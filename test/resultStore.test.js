@@ -0,0 +1,49 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import fakeProvider from '../services/providers/fake.js';
+import { scoreTweets } from '../services/sentiment.js';
+import { lookupScores, storeScores } from '../services/resultStore.js';
+
+let dataDir;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-store-'));
+  process.env.DATA_DIR = dataDir;
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const tweets = [
+  { id: '1', text: 'Trains were on time today' },
+  { id: '2', text: 'Another delay on the morning train' },
+  { id: '3', text: 'Ticket prices went up again' },
+];
+const key = { datasetId: 'test', provider: 'fake', model: 'fake-v1', promptVersion: 'v1' };
+
+test('scores stored from a fake provider run are served from the cache', async () => {
+  const first = await lookupScores(tweets, key);
+  assert.equal(first.cached.length, 0);
+  assert.equal(first.uncached.length, tweets.length);
+
+  const { results } = await scoreTweets(first.uncached, { provider: fakeProvider, model: 'fake-v1' });
+  assert.equal(await storeScores(first.uncached, results, key), tweets.length);
+
+  const second = await lookupScores(tweets, key);
+  assert.deepEqual(second.uncached, []);
+  assert.deepEqual(second.cached, results);
+
+  const lines = fs.readFileSync(path.join(dataDir, 'cache', 'sentiment.ndjson'), 'utf8').trim().split('\n');
+  assert.equal(lines.length, tweets.length);
+});
+
+test('the cache misses when the text, model or prompt version changes', async () => {
+  const edited = [{ ...tweets[0], text: 'Trains were late today' }, tweets[1]];
+  assert.deepEqual((await lookupScores(edited, key)).uncached.map((tweet) => tweet.id), ['1']);
+  assert.equal((await lookupScores(tweets, { ...key, model: 'fake-v2' })).cached.length, 0);
+  assert.equal((await lookupScores(tweets, { ...key, promptVersion: 'v2' })).cached.length, 0);
+});
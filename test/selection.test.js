@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCompareParams } from '../services/compare.js';
+import { createSelector, seededRandom } from '../services/selection.js';
+
+const columns = { id: 'id', text: 'text', date: 'date', language: 'language' };
+
+// Function to run rows through a selector and return the ids it selects with its report
+function select(rows, params, { start = 0, limit = Infinity } = {}) {
+  const selector = createSelector(columns, params, { start, limit });
+  for (const row of rows) {
+    if (selector.add(row)) break;
+  }
+  const { rows: selected, report } = selector.finish();
+  return { ids: selected.map((row) => row.id), report };
+}
+
+const dated = [
+  { id: '1', text: 'a', date: '2022-07-07 23:59:59' },
+  { id: '2', text: 'b', date: '2022-07-08 00:00:00' },
+  { id: '3', text: 'c', date: '2022-07-08 12:00:00' },
+  { id: '4', text: 'd', date: '2022-07-09 00:00:00' },
+  { id: '5', text: 'e', date: '' },
+];
+
+test('from is inclusive and to is exclusive', () => {
+  const { ids, report } = select(dated, { from: '2022-07-08', to: '2022-07-09' });
+  assert.deepEqual(ids, ['2', '3']);
+  assert.equal(report.excluded.date, 3);
+  assert.equal(report.filters.to, '2022-07-09T00:00:00.000Z');
+});
+
+test('back-to-back ranges split the tweets without overlap', () => {
+  const before = select(dated, { to: '2022-07-08' }).ids;
+  const after = select(dated, { from: '2022-07-08' }).ids;
+  assert.deepEqual(before, ['1']);
+  assert.deepEqual(after, ['2', '3', '4']);
+});
+
+test('compare hands each side its own from and to unchanged', () => {
+  const { sides } = parseCompareParams({ datasetId: 'x', 'a.to': '2022-07-08', 'b.from': '2022-07-08', 'b.label': 'After' });
+  assert.deepEqual(sides.map(({ label, params }) => ({ label, params })), [
+    { label: 'A', params: { datasetId: 'x', to: '2022-07-08' } },
+    { label: 'After', params: { datasetId: 'x', from: '2022-07-08' } },
+  ]);
+});
+
+// Function to make `count` rows alternating between English and Hindi, one hour apart
+function manyRows(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: String(index),
+    text: `tweet ${index}`,
+    language: index % 4 === 0 ? 'hi' : 'en',
+    date: new Date(Date.UTC(2022, 6, 1) + index * 3600000).toISOString(),
+  }));
+}
+
+test('seededRandom repeats its sequence for a seed and stays in [0, 1)', () => {
+  const first = seededRandom(42);
+  const second = seededRandom(42);
+  const values = Array.from({ length: 1000 }, () => first());
+  assert.deepEqual(Array.from({ length: 1000 }, () => second()), values);
+  assert.ok(values.every((value) => value >= 0 && value < 1));
+  assert.notDeepEqual(Array.from({ length: 5 }, seededRandom(43)), values.slice(0, 5));
+});
+
+test('random pages of one seed are windows of the same order and never overlap', () => {
+  const rows = manyRows(500);
+  const all = select(rows, { sampling: 'random', seed: '7' }).ids;
+  assert.equal(new Set(all).size, 500);
+  assert.notDeepEqual(all.slice(0, 20), rows.slice(0, 20).map((row) => row.id));
+
+  const pages = [0, 20, 40].map((start) => select(rows, { sampling: 'random', seed: '7' }, { start, limit: 20 }).ids);
+  assert.deepEqual(pages.flat(), all.slice(0, 60));
+  assert.deepEqual(select(rows, { sampling: 'random', seed: '7' }, { limit: 20 }).report.sampling, { strategy: 'random', seed: 7 });
+});
+
+test('recent takes the newest tweets first and puts undated ones last', () => {
+  const rows = [...manyRows(100), { id: 'undated', text: 'x', language: 'en', date: '' }];
+  assert.deepEqual(select(rows, { sampling: 'recent' }, { limit: 3 }).ids, ['99', '98', '97']);
+  assert.deepEqual(select(rows, { sampling: 'recent' }, { start: 99, limit: 5 }).ids, ['0', 'undated']);
+});
+
+test('stratified samples keep each stratum at its share of the matched rows', () => {
+  const rows = manyRows(400);
+  const { ids, report } = select(rows, { sampling: 'stratified', seed: '3' }, { limit: 40 });
+  assert.deepEqual(report.sampling.strata, { en: { available: 300, selected: 30 }, hi: { available: 100, selected: 10 } });
+  assert.deepEqual(select(rows, { sampling: 'stratified', seed: '3' }, { limit: 40 }).ids, ids);
+
+  // 400 hourly rows span 17 days, so 24 rows give every day one or two
+  const byDay = Object.values(select(rows, { sampling: 'stratified', stratifyBy: 'day', seed: '3' }, { limit: 24 }).report.sampling.strata);
+  assert.equal(byDay.length, 17);
+  assert.equal(byDay.reduce((sum, stratum) => sum + stratum.selected, 0), 24);
+  assert.ok(byDay.every((stratum) => stratum.selected === 1 || stratum.selected === 2));
+});
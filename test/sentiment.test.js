@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fakeProvider from '../services/providers/fake.js';
+import { buildBatches, scoreTweets } from '../services/sentiment.js';
+
+function makeTweets(count) {
+  return Array.from({ length: count }, (_, index) => ({ id: String(index), text: `Tweet number ${index} about #trains` }));
+}
+
+test('buildBatches caps batches by row count and token budget', () => {
+  const tweets = makeTweets(250);
+  assert.deepEqual(buildBatches(tweets, 1000000).map((batch) => batch.length), [100, 100, 50]);
+
+  const small = buildBatches(tweets, 200);
+  assert.ok(small.length > 3);
+  assert.equal(small.flat().length, tweets.length);
+});
+
+test('scoreTweets scores every tweet with the fake provider, deterministically', async () => {
+  const tweets = makeTweets(30);
+  const run = () => scoreTweets(tweets, { provider: fakeProvider, model: 'fake-v1', maxBatchTokens: 200, concurrency: 2 });
+  const first = await run();
+  const second = await run();
+
+  assert.ok(first.batches.total > 1);
+  assert.equal(first.batches.failed, 0);
+  assert.deepEqual(first.results.map((result) => result.id).sort(), tweets.map((tweet) => tweet.id).sort());
+  first.results.forEach((result) => assert.ok(result.sentiment_score >= 1 && result.sentiment_score <= 5));
+  assert.deepEqual(second.results, first.results);
+});
+
+test('scoreTweets reconciles dropped, duplicated, unknown and out-of-range results', async () => {
+  const calls = [];
+  // The first call drops tweet 0, scores tweet 1 out of range, repeats tweet 2 and adds an unknown id;
+  // repair calls go to the fake provider unchanged
+  const faultyProvider = {
+    async scoreSentiment(tweets, options) {
+      calls.push(tweets.map((tweet) => tweet.id));
+      const results = await fakeProvider.scoreSentiment(tweets, options);
+      if (calls.length > 1) {
+        return results;
+      }
+      return [
+        ...results.filter((result) => result.id !== '0').map((result) => (result.id === '1' ? { ...result, sentiment_score: 9 } : result)),
+        results.find((result) => result.id === '2'),
+        { id: 'x', sentiment_score: 3 },
+      ];
+    },
+  };
+
+  const { results, validation } = await scoreTweets(makeTweets(5), { provider: faultyProvider, model: 'fake-v1', maxBatchTokens: 8000 });
+
+  assert.deepEqual(calls, [['0', '1', '2', '3', '4'], ['0', '1']]);
+  assert.deepEqual(results.map((result) => result.id), ['0', '1', '2', '3', '4']);
+  assert.deepEqual(validation.duplicates, ['2']);
+  assert.deepEqual(validation.unknown, ['x']);
+  assert.deepEqual(validation.outOfRange, [{ id: '1', sentiment_score: 9 }]);
+  assert.equal(validation.repairCalls, 1);
+  assert.equal(validation.repaired, 2);
+  assert.deepEqual(validation.unresolved, []);
+});
+
+test('scoreTweets reports tweets the provider never scores as unresolved', async () => {
+  const silentProvider = { scoreSentiment: async () => [] };
+  const { results, validation } = await scoreTweets(makeTweets(2), { provider: silentProvider, model: 'fake-v1', maxRepairAttempts: 1 });
+
+  assert.deepEqual(results, []);
+  assert.equal(validation.repairCalls, 1);
+  assert.deepEqual(validation.unresolved, [{ id: '0', reason: 'missing' }, { id: '1', reason: 'missing' }]);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adjustPValues, compareDistributions, compareMeans, compareProportions, describeScores } from '../utils/stats.js';
+
+// Function to build a 1-5 summary (the shape of summariseScores) from five counts
+function summary(counts) {
+  return Object.fromEntries(counts.map((count, index) => [index + 1, { count }]));
+}
+
+test('describeScores reads the count, mean and sample variance from the counts', () => {
+  assert.deepEqual(describeScores(summary([5, 0, 0, 0, 5])), { count: 10, mean: 3, variance: 40 / 9 });
+  assert.deepEqual(describeScores(summary([0, 0, 0, 0, 0])), { count: 0, mean: null, variance: null });
+});
+
+test('compareMeans runs a Welch z test on the mean scores', () => {
+  // Standard error sqrt((40/9)/10) = 2/3, so a delta of 2 is z = 3
+  assert.deepEqual(compareMeans(summary([5, 0, 0, 0, 5]), summary([0, 0, 0, 0, 10])), { delta: 2, z: 3, pValue: 0.0027 });
+  assert.deepEqual(compareMeans(summary([0, 0, 10, 0, 0]), summary([0, 0, 10, 0, 0])), { delta: 0, z: null, pValue: 1 });
+  assert.deepEqual(compareMeans(summary([0, 0, 10, 0, 0]), summary([0, 0, 0, 0, 1])), { delta: 2, z: null, pValue: null });
+});
+
+test('compareProportions runs a pooled z test and reports the delta in points', () => {
+  const result = compareProportions(50, 100, 60, 100);
+  assert.equal(result.delta, 10);
+  assert.equal(result.z, 1.42);
+  assert.ok(Math.abs(result.pValue - 0.1552) < 0.001);
+  assert.deepEqual(compareProportions(0, 10, 0, 10), { delta: 0, z: null, pValue: 1 });
+  assert.deepEqual(compareProportions(1, 0, 1, 10), { delta: null, z: null, pValue: null });
+});
+
+test('compareDistributions runs a chi-square test over the scores either side gave', () => {
+  // Expected counts 5 and 15 on each side: (5^2 / 5 + 5^2 / 15) * 2 = 13.33 with one degree of freedom
+  const shifted = compareDistributions(summary([10, 0, 0, 0, 10]), summary([0, 0, 0, 0, 20]));
+  assert.equal(shifted.statistic, 13.33);
+  assert.equal(shifted.df, 1);
+  assert.ok(shifted.pValue < 0.001);
+
+  const same = compareDistributions(summary([3, 4, 5, 4, 3]), summary([3, 4, 5, 4, 3]));
+  assert.equal(same.statistic, 0);
+  assert.equal(same.df, 4);
+  assert.ok(same.pValue > 0.5);
+
+  assert.deepEqual(compareDistributions(summary([0, 0, 4, 0, 0]), summary([0, 0, 6, 0, 0])), { statistic: null, df: 0, pValue: null });
+});
+
+test('adjustPValues applies Benjamini-Hochberg and keeps nulls in place', () => {
+  assert.deepEqual(adjustPValues([0.01, 0.04, null, 0.03, 0.5]), [0.04, 0.0533, null, 0.0533, 0.5]);
+  assert.deepEqual(adjustPValues([]), []);
+});
@@ -0,0 +1,44 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTemplate, getTemplate, listTemplates } from '../services/templates.js';
+
+let dataDir;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+  process.env.DATA_DIR = dataDir;
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a new name starts at version 1 and copies the fields of its base', async () => {
+  const template = await createTemplate({ name: 'brand-monitor', basedOn: 'proud-indian-v1', description: 'Brand mentions.' });
+  const base = await getTemplate('proud-indian-v1');
+  assert.equal(template.id, 'brand-monitor-v1');
+  assert.equal(template.type, 'sentiment');
+  assert.equal(template.basedOn, 'proud-indian-v1');
+  assert.deepEqual(template.scale, base.scale);
+});
+
+test('concurrent posts of one name get consecutive versions and none is overwritten', async () => {
+  const created = await Promise.all(Array.from({ length: 5 }, (_, index) => createTemplate({
+    name: 'brand-monitor',
+    basedOn: 'brand-monitor-v1',
+    description: `Revision ${index}.`,
+  })));
+  assert.deepEqual(created.map((template) => template.version), [2, 3, 4, 5, 6]);
+
+  const stored = (await listTemplates()).filter((template) => template.name === 'brand-monitor');
+  assert.equal(stored.length, 6);
+  assert.equal(new Set(stored.map((template) => template.description)).size, 6);
+});
+
+test('a name keeps its type and invalid names are refused', async () => {
+  await assert.rejects(createTemplate({ name: 'brand-monitor', type: 'trends' }), { status: 409 });
+  await assert.rejects(createTemplate({ name: 'Brand Monitor', basedOn: 'proud-indian-v1' }), { status: 400 });
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bucketLabel, buildTimeSeries, selectDatedTweets, validateTimezone } from '../services/timeseries.js';
+
+const at = (iso) => Date.parse(iso);
+
+test('hour buckets follow the local clock across daylight saving changes', () => {
+  // New York skips 02:00-03:00 on 2022-03-13 and repeats 01:00-02:00 on 2022-11-06
+  assert.equal(bucketLabel(at('2022-03-13T06:30:00Z'), 'hour', 'America/New_York'), '2022-03-13T01:00');
+  assert.equal(bucketLabel(at('2022-03-13T07:30:00Z'), 'hour', 'America/New_York'), '2022-03-13T03:00');
+  assert.equal(bucketLabel(at('2022-11-06T05:30:00Z'), 'hour', 'America/New_York'), '2022-11-06T01:00');
+  assert.equal(bucketLabel(at('2022-11-06T06:30:00Z'), 'hour', 'America/New_York'), '2022-11-06T01:00');
+  assert.equal(bucketLabel(at('2022-07-10T23:59:59Z'), 'hour', 'UTC'), '2022-07-10T23:00');
+});
+
+test('day buckets use the local date of the timezone', () => {
+  assert.equal(bucketLabel(at('2022-07-10T20:00:00Z'), 'day', 'UTC'), '2022-07-10');
+  assert.equal(bucketLabel(at('2022-07-10T20:00:00Z'), 'day', 'Asia/Kolkata'), '2022-07-11');
+  assert.equal(bucketLabel(at('2022-07-11T02:00:00Z'), 'day', 'America/Los_Angeles'), '2022-07-10');
+});
+
+test('week buckets start on the local Monday', () => {
+  assert.equal(bucketLabel(at('2022-07-10T12:00:00Z'), 'week', 'UTC'), '2022-07-04');
+  assert.equal(bucketLabel(at('2022-07-11T00:00:00Z'), 'week', 'UTC'), '2022-07-11');
+  // Sunday evening in UTC is already Monday in India
+  assert.equal(bucketLabel(at('2022-07-10T20:00:00Z'), 'week', 'Asia/Kolkata'), '2022-07-11');
+  assert.equal(bucketLabel(at('2023-01-01T12:00:00Z'), 'week', 'UTC'), '2022-12-26');
+  assert.equal(bucketLabel(at('2022-11-07T03:00:00Z'), 'week', 'America/New_York'), '2022-10-31');
+});
+
+test('selectDatedTweets drops and counts tweets without a readable date', () => {
+  const columns = { text: 'text', date: 'date' };
+  const tweets = [
+    { id: '1', row: { date: '2022-07-10 10:00:00' } },
+    { id: '2', row: { date: 'not a date' } },
+    { id: '3', row: { date: '' } },
+  ];
+  const { tweets: dated, excluded } = selectDatedTweets(tweets, columns);
+  assert.deepEqual(dated.map((tweet) => [tweet.id, tweet.timestamp]), [['1', at('2022-07-10T10:00:00Z')]]);
+  assert.deepEqual(excluded, { undated: 2 });
+  assert.throws(() => selectDatedTweets(tweets, { text: 'text' }), { status: 400 });
+});
+
+test('buildTimeSeries returns chronological buckets with their mean and distribution', () => {
+  const tweets = [
+    { id: 'b', timestamp: at('2022-07-12T09:00:00Z') },
+    { id: 'a1', timestamp: at('2022-07-10T09:00:00Z') },
+    { id: 'a2', timestamp: at('2022-07-10T18:00:00Z') },
+    { id: 'unscored', timestamp: at('2022-07-09T09:00:00Z') },
+  ];
+  const results = [{ id: 'a1', sentiment_score: 2 }, { id: 'a2', sentiment_score: 5 }, { id: 'b', sentiment_score: 4 }];
+  const series = buildTimeSeries(tweets, results, { interval: 'day', timezone: 'UTC' });
+  assert.deepEqual(series.map(({ bucket, count, meanScore }) => ({ bucket, count, meanScore })), [
+    { bucket: '2022-07-10', count: 2, meanScore: 3.5 },
+    { bucket: '2022-07-12', count: 1, meanScore: 4 },
+  ]);
+  assert.equal(series[0].summary[5].percentage, 50);
+});
+
+test('validateTimezone accepts IANA names only', () => {
+  assert.equal(validateTimezone('Asia/Kolkata'), 'Asia/Kolkata');
+  assert.throws(() => validateTimezone('Mars/Olympus'), { status: 400 });
+});
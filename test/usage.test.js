@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { currentRoute, usageMiddleware, withUsageRoute } from '../services/usage.js';
+
+// Function to answer each request with the route its model calls would be logged under
+async function routesFor(paths) {
+  const router = express.Router();
+  router.get('/:id', (req, res) => res.json({ route: currentRoute() }));
+  router.post('/:id/check', (req, res) => res.json({ route: currentRoute() }));
+
+  const app = express();
+  app.use(usageMiddleware);
+  app.use('/watches', router);
+  app.use((req, res) => res.json({ route: currentRoute() }));
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const routes = [];
+    for (const [method, requestPath] of paths) {
+      const response = await fetch(base + requestPath, { method });
+      routes.push((await response.json()).route);
+    }
+    return routes;
+  } finally {
+    server.close();
+  }
+}
+
+test('usage is grouped by route pattern, not by request path', async () => {
+  const routes = await routesFor([
+    ['GET', '/watches/a1'],
+    ['GET', '/watches/b2'],
+    ['POST', '/watches/a1/check'],
+    ['GET', '/unknown/path'],
+  ]);
+  assert.deepEqual(routes, [
+    'GET /watches/:id',
+    'GET /watches/:id',
+    'POST /watches/:id/check',
+    'GET /unknown/path',
+  ]);
+});
+
+test('calls outside a request use the route they were given', async () => {
+  assert.equal(currentRoute(), 'unattributed');
+  assert.equal(await withUsageRoute('job trends', async () => currentRoute()), 'job trends');
+});
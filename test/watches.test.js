@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { judgeWindow, parseWindow } from '../services/watches.js';
+
+const DAY = 86400000;
+const start = Date.UTC(2022, 6, 11);
+const watch = {
+  id: 'w1',
+  name: 'Fuel prices',
+  datasetId: 'd1',
+  params: {},
+  window: '1d',
+  baselineWindows: 7,
+  minCount: 10,
+  threshold: 0.5,
+  direction: 'both',
+  alpha: 0.05,
+  examples: 3,
+};
+
+// Function to build scored window entries, one per score, an hour apart from `from`
+function entries(scores, from) {
+  return scores.map((score, index) => ({
+    tweet: { id: `${from}-${index}`, text: `tweet ${index}`, timestamp: from + index * 3600000 },
+    result: { id: `${from}-${index}`, sentiment_score: score },
+  }));
+}
+
+const positive = entries(Array.from({ length: 20 }, (_, index) => 4 + (index % 2)), start - 7 * DAY);
+const negative = entries(Array.from({ length: 20 }, (_, index) => 1 + (index % 2)), start);
+
+test('parseWindow reads minutes, hours, days and weeks', () => {
+  assert.equal(parseWindow('30m'), 30 * 60000);
+  assert.equal(parseWindow('6h'), 6 * 3600000);
+  assert.equal(parseWindow('1d'), DAY);
+  assert.equal(parseWindow('2w'), 14 * DAY);
+  for (const value of ['0d', '1y', 'd', '1.5h', '-1d', undefined]) {
+    assert.throws(() => parseWindow(value), { status: 400 }, String(value));
+  }
+});
+
+test('judgeWindow raises a drop with the most negative tweets as examples', () => {
+  const { insufficient, alert } = judgeWindow(watch, start, DAY, positive, negative);
+  assert.equal(insufficient, false);
+  assert.equal(alert.type, 'drop');
+  assert.equal(alert.change.meanScore, -3);
+  assert.ok(alert.change.pValue < 0.05);
+  assert.deepEqual(alert.window, { start: '2022-07-11T00:00:00.000Z', end: '2022-07-12T00:00:00.000Z', size: '1d' });
+  assert.equal(alert.before.start, '2022-07-04T00:00:00.000Z');
+  assert.equal(alert.before.count, 20);
+  assert.deepEqual(alert.examples.map((example) => example.sentiment_score), [1, 1, 1]);
+});
+
+test('judgeWindow raises a spike the other way round, and respects the direction', () => {
+  assert.equal(judgeWindow(watch, start, DAY, negative, positive).alert.type, 'spike');
+  assert.equal(judgeWindow({ ...watch, direction: 'spike' }, start, DAY, positive, negative).alert, null);
+  assert.equal(judgeWindow({ ...watch, direction: 'drop' }, start, DAY, positive, negative).alert.type, 'drop');
+});
+
+test('judgeWindow ignores small or insignificant changes and windows with too few tweets', () => {
+  const baseline = entries(Array.from({ length: 20 }, (_, index) => 3 + (index % 2)), start - 7 * DAY);
+  const steady = entries(Array.from({ length: 20 }, (_, index) => 3 + (index % 3 === 0 ? 1 : 0)), start);
+  assert.deepEqual(judgeWindow(watch, start, DAY, baseline, steady), { insufficient: false, alert: null });
+  assert.equal(judgeWindow({ ...watch, threshold: 5 }, start, DAY, positive, negative).alert, null);
+  // Half a point higher, but too spread out to be significant
+  const mixed = entries(Array.from({ length: 10 }, (_, index) => (index % 2 ? 5 : 1)), start - DAY);
+  const mixedHigher = entries(Array.from({ length: 10 }, (_, index) => (index % 2 ? 5 : 2)), start);
+  assert.equal(judgeWindow(watch, start, DAY, mixed, mixedHigher).alert, null);
+  assert.deepEqual(judgeWindow(watch, start, DAY, positive, negative.slice(0, 9)), { insufficient: true, alert: null });
+});
@@ -0,0 +1,35 @@
+// Function to create an error that handleError reports with its own status and message
+export function createHttpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+// Function to answer a failed request for every router. Errors made with createHttpError are
+// expected (bad input, unknown ids) and answered with their own status and message; the rest are
+// unexpected, so only they are logged with their stack.
+export function handleError(res, error) {
+  if (error.expose) {
+    const body = { error: error.message };
+    if (error.details !== undefined) {
+      body.details = error.details;
+    }
+    res.status(error.status).json(body);
+    return;
+  }
+
+  console.error('Request failed:', error);
+  if (error.code === 'ENOENT') {
+    res.status(404).json({ error: `File not found: ${error.path || 'unknown path'}` });
+  } else if (error.message.includes('token count exceeds')) {
+    res.status(400).json({ error: 'Input too large for model. Try a smaller CSV or increase sampling limit.' });
+  } else if (error.status === 400 && error.message.includes('response_schema')) {
+    res.status(400).json({ error: 'Schema validation failed—check config.', details: error.message });
+  } else {
+    res.status(500).json({ error: 'The request failed because of an internal error.', details: error.message });
+  }
+}
@@ -0,0 +1,25 @@
+import { createHttpError } from './errors.js';
+
+// Function to read an optional non-negative integer query parameter
+export function parseNonNegativeInt(value, fallback, name) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw createHttpError(400, `${name} must be a non-negative integer.`);
+  }
+  return parsed;
+}
+
+// Function to read an optional date/time query parameter as epoch milliseconds
+export function parseDateParam(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw createHttpError(400, `${name} must be an ISO 8601 date or date-time.`);
+  }
+  return parsed;
+}
@@ -0,0 +1,106 @@
+// Significance tests for comparing sentiment between two sets of tweets. Scores are 1-5 counts
+// (the summary shape of summariseScores), so means and variances come from the counts. The tests
+// use normal approximations, which is why callers only test groups with enough tweets.
+
+const SCORES = [1, 2, 3, 4, 5];
+
+// Function to approximate the standard normal CDF (Abramowitz and Stegun 26.2.17)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp((-z * z) / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+}
+
+function twoSidedP(z) {
+  return Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+}
+
+function round(value, digits = 4) {
+  return parseFloat(value.toFixed(digits));
+}
+
+// Function to read the count, mean and variance of scores from a 1-5 summary
+export function describeScores(summary) {
+  const count = SCORES.reduce((sum, score) => sum + summary[score].count, 0);
+  if (count === 0) {
+    return { count, mean: null, variance: null };
+  }
+  const mean = SCORES.reduce((sum, score) => sum + score * summary[score].count, 0) / count;
+  const squares = SCORES.reduce((sum, score) => sum + summary[score].count * (score - mean) ** 2, 0);
+  return { count, mean, variance: count > 1 ? squares / (count - 1) : 0 };
+}
+
+// Function to test whether two 1-5 summaries have different mean scores (Welch's z approximation)
+export function compareMeans(summaryA, summaryB) {
+  const a = describeScores(summaryA);
+  const b = describeScores(summaryB);
+  if (a.count < 2 || b.count < 2) {
+    return { delta: a.mean !== null && b.mean !== null ? round(b.mean - a.mean, 2) : null, z: null, pValue: null };
+  }
+  const standardError = Math.sqrt(a.variance / a.count + b.variance / b.count);
+  const delta = b.mean - a.mean;
+  if (standardError === 0) {
+    return { delta: round(delta, 2), z: null, pValue: delta === 0 ? 1 : 0 };
+  }
+  const z = delta / standardError;
+  return { delta: round(delta, 2), z: round(z, 2), pValue: round(twoSidedP(z)) };
+}
+
+// Function to test whether a share (successes out of a total) differs between two sets (pooled z test)
+export function compareProportions(successesA, totalA, successesB, totalB) {
+  if (totalA === 0 || totalB === 0) {
+    return { delta: null, z: null, pValue: null };
+  }
+  const shareA = successesA / totalA;
+  const shareB = successesB / totalB;
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  const delta = round((shareB - shareA) * 100, 2);
+  if (standardError === 0) {
+    return { delta, z: null, pValue: 1 };
+  }
+  const z = (shareB - shareA) / standardError;
+  return { delta, z: round(z, 2), pValue: round(twoSidedP(z)) };
+}
+
+/**
+ * Chi-square test of whether two 1-5 distributions differ. Scores nobody gave on either side
+ * are left out; the p-value uses the Wilson-Hilferty approximation of the chi-square distribution.
+ */
+export function compareDistributions(summaryA, summaryB) {
+  const scores = SCORES.filter((score) => summaryA[score].count + summaryB[score].count > 0);
+  const totalA = scores.reduce((sum, score) => sum + summaryA[score].count, 0);
+  const totalB = scores.reduce((sum, score) => sum + summaryB[score].count, 0);
+  const df = scores.length - 1;
+  if (df < 1 || totalA === 0 || totalB === 0) {
+    return { statistic: null, df: Math.max(df, 0), pValue: null };
+  }
+  const total = totalA + totalB;
+  let statistic = 0;
+  for (const score of scores) {
+    const column = summaryA[score].count + summaryB[score].count;
+    for (const [observed, rowTotal] of [[summaryA[score].count, totalA], [summaryB[score].count, totalB]]) {
+      const expected = (rowTotal * column) / total;
+      statistic += (observed - expected) ** 2 / expected;
+    }
+  }
+  const z = ((statistic / df) ** (1 / 3) - (1 - 2 / (9 * df))) / Math.sqrt(2 / (9 * df));
+  return { statistic: round(statistic, 2), df, pValue: round(1 - normalCdf(z)) };
+}
+
+// Function to adjust p-values for testing many groups at once (Benjamini-Hochberg); null stays null
+export function adjustPValues(pValues) {
+  const ranked = pValues
+    .map((pValue, index) => ({ pValue, index }))
+    .filter(({ pValue }) => pValue !== null)
+    .sort((a, b) => a.pValue - b.pValue);
+  const adjusted = new Array(pValues.length).fill(null);
+  let running = 1;
+  for (let rank = ranked.length; rank >= 1; rank -= 1) {
+    const { pValue, index } = ranked[rank - 1];
+    running = Math.min(running, (pValue * ranked.length) / rank);
+    adjusted[index] = round(running);
+  }
+  return adjusted;
+}
@@ -0,0 +1,32 @@
+import fs from 'fs';
+import path from 'path';
+
+// Function to resolve (and create) a subdirectory of the data directory.
+// DATA_DIR is read on every call because dotenv is loaded after this module is imported.
+export function dataPath(...segments) {
+  const dirPath = path.resolve(process.env.DATA_DIR || './data', ...segments);
+  fs.mkdirSync(dirPath, { recursive: true });
+  return dirPath;
+}
+
+// Function to read a JSON file, returning the fallback when it does not exist yet
+export async function readJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+let tempCounter = 0;
+
+// Function to write a JSON file atomically so a crash never leaves half a file behind
+export async function writeJson(filePath, data) {
+  tempCounter += 1;
+  const tempPath = `${filePath}.${process.pid}.${tempCounter}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tempPath, filePath);
+}
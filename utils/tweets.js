@@ -0,0 +1,48 @@
+// Helpers for reading the optional tweet columns detected for a dataset
+
+// Position of a row among the readable rows of its dataset file, set when the row is read so it
+// survives preprocessing and selection; tweets without an id column are identified by it
+export const ROW_INDEX = Symbol('rowIndex');
+// A row's text as read from the file, before preprocessing changed it
+export const ROW_TEXT = Symbol('rowText');
+
+// Function to read a row's hashtags, lower-cased and without '#'.
+// Accepts the notebook export format "['india', 'usa']", plain comma/space separated lists,
+// and falls back to #tags found in the tweet text when the dataset has no hashtags column.
+export function getHashtags(row, columns) {
+  const raw = columns.hashtags ? row[columns.hashtags] : '';
+  let tags = [];
+  if (raw && raw.trim()) {
+    tags = raw.replace(/[[\]'"#]/g, ' ').split(/[\s,]+/);
+  } else if (columns.text) {
+    tags = (row[columns.text] || '').match(/#[\p{L}\p{N}_]+/gu) || [];
+  }
+  return [...new Set(tags.map((tag) => tag.replace(/^#/, '').toLowerCase()).filter(Boolean))];
+}
+
+// Function to read a row's language code, 'und' (undetermined) when missing
+export function getLanguage(row, columns) {
+  const value = columns.language ? (row[columns.language] || '').trim().toLowerCase() : '';
+  return value || 'und';
+}
+
+// Function to read a row's timestamp as epoch milliseconds, null when missing or unparseable.
+// Numeric values are epoch seconds or milliseconds (the notebook's created_at is "1657899353000.0");
+// date-times without an offset, like "2022-07-15 15:35:53", are read as UTC, and the Twitter v1.1
+// format "Wed Oct 10 20:19:24 +0000 2018" is read with its offset.
+export function getTimestamp(row, columns) {
+  const value = columns.date ? (row[columns.date] || '').trim() : '';
+  if (!value) {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    const number = Number(value);
+    return number < 1e11 ? number * 1000 : number;
+  }
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+  let parsed = Date.parse(hasOffset ? value : `${value.replace(' ', 'T')}Z`);
+  if (Number.isNaN(parsed) && /\s[+-]\d{4}\s/.test(value)) {
+    parsed = Date.parse(value);
+  }
+  return Number.isNaN(parsed) ? null : parsed;
+}
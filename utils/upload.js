@@ -0,0 +1,59 @@
+import fs from 'fs';
+import multer from 'multer';
+import path from 'path';
+import { dataPath } from './storage.js';
+import { createHttpError } from './errors.js';
+
+const DATA_EXTENSIONS = ['.csv', '.tsv', '.tab', '.jsonl', '.ndjson', '.json'];
+const DATA_MIME_TYPES = ['text/csv', 'text/tab-separated-values', 'application/json', 'application/x-ndjson', 'application/jsonl'];
+
+// Function to create the upload middleware per request, reading MAX_UPLOAD_MB then because dotenv
+// is loaded after this module is imported
+function createUpload() {
+  const maxUploadMb = Number(process.env.MAX_UPLOAD_MB) || 200;
+  return multer({
+    storage: multer.diskStorage({ destination: (req, file, cb) => cb(null, dataPath('uploads')) }),
+    limits: { fileSize: maxUploadMb * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+      const isData = DATA_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()) || DATA_MIME_TYPES.includes(file.mimetype);
+      cb(isData ? null : createHttpError(415, `Only ${DATA_EXTENSIONS.join(', ')} uploads are supported.`), isData);
+    },
+  });
+}
+
+// Function to run the multer middleware for a data file in the "file" field and surface its errors through handleError
+export function receiveDataFile(req, res) {
+  return new Promise((resolve, reject) => {
+    createUpload().single('file')(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        reject(createHttpError(400, `Upload failed: ${error.message}`));
+      } else if (error) {
+        reject(error);
+      } else {
+        resolve(req.file);
+      }
+    });
+  });
+}
+
+// Function to delete an uploaded temporary file once it has been moved or consumed
+export async function discardUpload(file) {
+  if (file) {
+    await fs.promises.rm(file.path, { force: true });
+  }
+}
+
+// Function to parse a JSON-encoded multipart field such as columns={"text":"tweet"}
+export function parseJsonField(value, name) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (parseError) {
+    throw createHttpError(400, `"${name}" must be valid JSON.`, parseError.message);
+  }
+}
@@ -0,0 +1,187 @@
+import zlib from 'zlib';
+
+// Minimal streaming XLSX writer: one worksheet of inline strings and numbers, written as a ZIP
+// whose entries use data descriptors, so rows are compressed and sent as they arrive instead of
+// building the whole workbook in memory.
+
+const FLUSH_EVERY_ROWS = 500;
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`;
+
+export const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function workbookXml(sheetName) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`;
+}
+
+function cellXml(value) {
+  if (value === null || value === undefined || value === '') {
+    return '<c/>';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c><v>${value}</v></c>`;
+  }
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function rowXml(values) {
+  return `<row>${values.map(cellXml).join('')}</row>`;
+}
+
+// DOS date/time fields of the ZIP headers
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Writes ZIP entries one after another. Each entry is deflated as it is written; its CRC and
+ * sizes follow the data in a data descriptor and are repeated in the central directory.
+ */
+class ZipWriter {
+  constructor() {
+    this.offset = 0;
+    this.entries = [];
+    this.stamp = dosDateTime(new Date());
+  }
+
+  localHeader(name) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0808, 6); // data descriptor + UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(this.stamp.time, 10);
+    header.writeUInt16LE(this.stamp.day, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    return Buffer.concat([header, nameBuffer]);
+  }
+
+  // Function to stream one entry: yields the header, the compressed chunks and the data descriptor
+  async *entry(name, chunks) {
+    const entry = { name, offset: this.offset, crc: 0, compressedSize: 0, size: 0 };
+    const header = this.localHeader(name);
+    this.offset += header.length;
+    yield header;
+
+    const deflate = zlib.createDeflateRaw();
+    const output = [];
+    deflate.on('data', (chunk) => output.push(chunk));
+    const drain = () => {
+      const buffer = Buffer.concat(output.splice(0));
+      entry.compressedSize += buffer.length;
+      this.offset += buffer.length;
+      return buffer;
+    };
+
+    for await (const chunk of chunks) {
+      const input = Buffer.from(chunk, 'utf8');
+      entry.crc = zlib.crc32(input, entry.crc);
+      entry.size += input.length;
+      deflate.write(input);
+      await new Promise((resolve) => deflate.flush(resolve));
+      const compressed = drain();
+      if (compressed.length > 0) {
+        yield compressed;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      deflate.on('end', resolve);
+      deflate.on('error', reject);
+      deflate.end();
+    });
+    const rest = drain();
+    if (rest.length > 0) {
+      yield rest;
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc >>> 0, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    this.offset += descriptor.length;
+    this.entries.push(entry);
+    yield descriptor;
+  }
+
+  // Function to build the central directory and end record that close the archive
+  finish() {
+    const records = this.entries.map((entry) => {
+      const nameBuffer = Buffer.from(entry.name, 'utf8');
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(this.stamp.time, 12);
+      record.writeUInt16LE(this.stamp.day, 14);
+      record.writeUInt32LE(entry.crc >>> 0, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(nameBuffer.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, nameBuffer]);
+    });
+    const directory = Buffer.concat(records);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(records.length, 8);
+    end.writeUInt16LE(records.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(this.offset, 16);
+    return Buffer.concat([directory, end]);
+  }
+}
+
+/**
+ * Streams a single-sheet workbook. `rows` is an (async) iterable of value arrays; numbers are
+ * written as numeric cells and everything else as text.
+ */
+export async function* writeXlsx({ sheetName = 'Sheet1', headers, rows }) {
+  const zip = new ZipWriter();
+  yield* zip.entry('[Content_Types].xml', [CONTENT_TYPES]);
+  yield* zip.entry('_rels/.rels', [ROOT_RELS]);
+  yield* zip.entry('xl/workbook.xml', [workbookXml(sheetName)]);
+  yield* zip.entry('xl/_rels/workbook.xml.rels', [WORKBOOK_RELS]);
+
+  async function* sheetChunks() {
+    yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+      + rowXml(headers);
+    let pending = '';
+    let count = 0;
+    for await (const values of rows) {
+      pending += rowXml(values);
+      count += 1;
+      if (count % FLUSH_EVERY_ROWS === 0) {
+        yield pending;
+        pending = '';
+      }
+    }
+    yield `${pending}</sheetData></worksheet>`;
+  }
+  yield* zip.entry('xl/worksheets/sheet1.xml', sheetChunks());
+  yield zip.finish();
+}